@@ -25,6 +25,11 @@ class CapacityMonitor {
      * Initialize capacity monitor
      */
     init() {
+        if (!Features.isEnabled('capacityMonitoring')) {
+            console.log('CapacityMonitor disabled by feature flag');
+            return;
+        }
+        
         this.startMonitoring();
         console.log('CapacityMonitor initialized');
     }
@@ -39,23 +44,12 @@ class CapacityMonitor {
      */
     async fetchCapacity() {
         try {
-            const token = localStorage.getItem('token');
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.getCapacity}&` +
-                `token=${encodeURIComponent(token)}&` +
-                `_=${Date.now()}`
-            );
-            
-            const data = await response.json();
+            const data = await ApiClient.get('getCapacity', {}, { auth: true });
             
-            if (data.success) {
-                this.currentCapacity = data.capacity;
-                this.notifyListeners();
-                this.checkWarnings();
-                return data.capacity;
-            }
-            
-            return null;
+            this.currentCapacity = data.capacity;
+            this.notifyListeners();
+            this.checkWarnings();
+            return data.capacity;
         } catch (error) {
             console.error('Failed to fetch capacity:', error);
             return null;
@@ -162,9 +156,9 @@ class CapacityMonitor {
      * @returns {string} - Recommended tier name
      */
     getRecommendedTier() {
-        if (!this.currentCapacity) return 'NEWBIE';
+        if (!this.currentCapacity) return CONFIG.getBaseTier();
         
-        let bestTier = 'NEWBIE';
+        let bestTier = CONFIG.getBaseTier();
         let mostSpace = 0;
         
         for (const [tier, data] of Object.entries(this.currentCapacity.tiers)) {
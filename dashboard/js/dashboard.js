@@ -5,10 +5,26 @@
 
 class Dashboard {
     constructor() {
-        this.token = localStorage.getItem('token');
+        this.token = Session.getToken();
         this.affiliateId = localStorage.getItem('affiliateID');
         this.tierManager = new TierManager();
         this.capacityMonitor = new CapacityMonitor();
+        this.idleMonitor = null;
+        this.twoFactorManager = null;
+        this.passkeyManager = null;
+        this.sessionManager = null;
+        this.emailChangeManager = null;
+        this.deactivationManager = null;
+        this.profile = null;
+        this.profileFields = { name: 'updateName', email: 'updateEmail' };
+        this.passwordFields = {
+            currentPassword: 'currentPassword',
+            newPassword: 'newPassword',
+            confirmPassword: 'confirmPassword'
+        };
+        this.updateTimer = null;
+        
+        this.unsubscribeSession = Session.subscribe((type, payload) => this.handleSessionEvent(type, payload));
         
         this.init();
     }
@@ -22,12 +38,36 @@ class Dashboard {
             return;
         }
         
+        this.idleMonitor = new IdleMonitor({
+            onTimeout: () => this.logout('idle'),
+            onLogout: () => this.logout()
+        });
+        
+        // Tier and capacity values come from the backend
+        await RuntimeConfig.load();
+        
         // Initialize components
         await this.loadInitialData();
         this.setupEventListeners();
         this.startRealTimeUpdates();
         this.updateUI();
         
+        if (document.getElementById('twoFactorSection')) {
+            this.twoFactorManager = new TwoFactorManager(this);
+        }
+        if (document.getElementById('passkeySection')) {
+            this.passkeyManager = new PasskeyManager(this);
+        }
+        if (document.getElementById('sessionsSection')) {
+            this.sessionManager = new SessionManager(this);
+        }
+        if (document.getElementById('emailChangeContent') && this.profile) {
+            this.emailChangeManager = new EmailChangeManager(this);
+        }
+        if (document.getElementById('deactivateContent') && this.profile) {
+            this.deactivationManager = new DeactivationManager(this);
+        }
+        
         console.log('Dashboard initialized');
     }
     
@@ -46,41 +86,88 @@ class Dashboard {
         }
         
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.validateSession}&` +
-                `token=${encodeURIComponent(this.token)}&_=${Date.now()}`
-            );
-            
-            const data = await response.json();
+            const data = await ApiClient.get('validateSession', {}, { auth: true });
             
             if (!data.valid) {
                 this.logout();
                 return false;
             }
             
+            // Tier requires 2FA and it isn't enabled yet - settings is the only page that works
+            if (data.twoFactorSetupRequired && !window.location.pathname.endsWith('settings.html')) {
+                window.location.href = '/dashboard/settings.html?setup=2fa';
+                return false;
+            }
+            
             return true;
         } catch (error) {
             console.error('Session validation failed:', error);
+            
+            if (ApiClient.isBackendError(error)) {
+                this.logout();
+            }
             return false;
         }
     }
     
     /**
      * Redirect to login page
+     * @param {string} reason - Optional reason shown on the login page (e.g. 'idle')
      */
-    redirectToLogin() {
-        window.location.href = '/login.html';
+    redirectToLogin(reason) {
+        window.location.href = reason ? `/login.html?reason=${encodeURIComponent(reason)}` : '/login.html';
     }
     
     /**
      * Logout user
+     * @param {string} reason - Optional reason shown on the login page
      */
-    logout() {
-        localStorage.removeItem('token');
-        localStorage.removeItem('affiliateID');
-        localStorage.removeItem('sessionStart');
-        localStorage.removeItem('tier');
-        this.redirectToLogin();
+    async logout(reason) {
+        this.stopRealTimeUpdates();
+        
+        if (Session.getToken()) {
+            try {
+                await ApiClient.get('logout', {}, { auth: true, skipRefresh: true });
+            } catch (error) {
+                console.error('Logout API call failed:', error);
+            }
+        }
+        
+        Session.clear();
+        this.redirectToLogin(reason);
+    }
+    
+    /**
+     * React to login, logout, tier and token changes made in another tab
+     * @param {string} type - Session.EVENTS type
+     * @param {Object} payload - Event data
+     */
+    handleSessionEvent(type, payload) {
+        switch (type) {
+            case Session.EVENTS.logout:
+                this.stopRealTimeUpdates();
+                this.redirectToLogin();
+                break;
+                
+            case Session.EVENTS.login:
+                // A different account signed in - nothing on this page is theirs
+                if (payload.affiliateID !== this.affiliateId) {
+                    this.stopRealTimeUpdates();
+                    window.location.reload();
+                    return;
+                }
+                this.token = Session.getToken();
+                break;
+                
+            case Session.EVENTS.token:
+                this.token = Session.getToken();
+                break;
+                
+            case Session.EVENTS.tier:
+                this.tierManager.clearCache();
+                this.loadInitialData();
+                break;
+        }
     }
     
     // ============================================
@@ -114,22 +201,14 @@ class Dashboard {
      */
     async loadOverview() {
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.getDashboard}&` +
-                `token=${encodeURIComponent(this.token)}&_=${Date.now()}`
-            );
+            const data = await ApiClient.get('getDashboard', {}, { auth: true });
             
-            const data = await response.json();
-            
-            if (data.success) {
-                this.updateOverviewStats(data);
-                await this.loadRecentActivity();
-            } else {
-                this.showError('Failed to load dashboard data');
-            }
+            this.updateOverviewStats(data);
+            await this.loadRecentActivity();
         } catch (error) {
             console.error('Error loading overview:', error);
-            this.showError('Network error loading dashboard');
+            this.showError(ApiClient.isBackendError(error) ?
+                'Failed to load dashboard data' : 'Network error loading dashboard');
         }
     }
     
@@ -138,21 +217,13 @@ class Dashboard {
      */
     async loadProducts() {
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.getProducts}&` +
-                `token=${encodeURIComponent(this.token)}&_=${Date.now()}`
-            );
-            
-            const data = await response.json();
+            const data = await ApiClient.get('getProducts', {}, { auth: true });
             
-            if (data.success) {
-                this.renderProducts(data.products);
-            } else {
-                this.showError('Failed to load products');
-            }
+            this.renderProducts(data.products);
         } catch (error) {
             console.error('Error loading products:', error);
-            this.showError('Network error loading products');
+            this.showError(ApiClient.isBackendError(error) ?
+                'Failed to load products' : 'Network error loading products');
         }
     }
     
@@ -161,21 +232,13 @@ class Dashboard {
      */
     async loadLeaderboard() {
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.getLeaderboard}&` +
-                `token=${encodeURIComponent(this.token)}&_=${Date.now()}`
-            );
-            
-            const data = await response.json();
+            const data = await ApiClient.get('getLeaderboard', {}, { auth: true });
             
-            if (data.success) {
-                this.renderLeaderboard(data.leaderboard, data.totalAffiliates);
-            } else {
-                this.showError('Failed to load leaderboard');
-            }
+            this.renderLeaderboard(data.leaderboard, data.totalAffiliates);
         } catch (error) {
             console.error('Error loading leaderboard:', error);
-            this.showError('Network error loading leaderboard');
+            this.showError(ApiClient.isBackendError(error) ?
+                'Failed to load leaderboard' : 'Network error loading leaderboard');
         }
     }
     
@@ -184,16 +247,9 @@ class Dashboard {
      */
     async loadSettings() {
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.getDashboard}&` +
-                `token=${encodeURIComponent(this.token)}&_=${Date.now()}`
-            );
-            
-            const data = await response.json();
+            const data = await ApiClient.get('getDashboard', {}, { auth: true });
             
-            if (data.success) {
-                this.populateSettings(data);
-            }
+            this.populateSettings(data);
         } catch (error) {
             console.error('Error loading settings:', error);
             this.showError('Failed to load settings');
@@ -251,7 +307,7 @@ class Dashboard {
         document.getElementById('conversionRate').textContent = (data.conversionRate || 0) + '%';
         
         // Update tier display
-        document.getElementById('currentTier').textContent = data.level || 'Newbie';
+        document.getElementById('currentTier').textContent = CONFIG.getTierMeta(data.level).label;
         document.getElementById('nextTier').textContent = data.nextTier ? `→ ${data.nextTier}` : '';
         document.getElementById('tierProgress').style.width = `${data.tierProgress || 0}%`;
         document.getElementById('currentSales').textContent = data.totalSales || 0;
@@ -334,10 +390,10 @@ class Dashboard {
             }
             
             return `
-                <tr class="${entry.isCurrentUser ? 'current-user-row' : ''} ${rankClass}">
+                <tr class="${entry.isCurrentUser ? 'current-user-row' : ''} ${rankClass}" data-tier="${Sanitizer.escapeHtml(entry.level)}">
                     <td>${rankDisplay}</td>
                     <td>${Sanitizer.escapeHtml(entry.affiliateID)}</td>
-                    <td><span class="tier-badge tier-${entry.level.toLowerCase()}">${entry.level}</span></td>
+                    <td>${this.tierManager.getTierBadge(entry.level)}</td>
                     <td>${entry.totalSales}</td>
                     <td>$${entry.totalCommission}</td>
                     <td class="pulse-score">${entry.pulseScore}</td>
@@ -345,6 +401,8 @@ class Dashboard {
             `;
         }).join('');
         
+        this.renderTierFilters();
+        
         // Add filter functionality
         document.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -355,6 +413,19 @@ class Dashboard {
         });
     }
     
+    /**
+     * Render one filter button per tier, in tier order
+     */
+    renderTierFilters() {
+        const filters = document.getElementById('tierFilters');
+        if (!filters) return;
+        
+        filters.innerHTML = '<button class="btn btn-small btn-outline filter-btn active" data-tier="all">All</button>' +
+            CONFIG.getTierList().map(tier => `
+                <button class="btn btn-small btn-outline filter-btn" data-tier="${tier.key}">${Sanitizer.escapeHtml(tier.label)}</button>
+            `).join('');
+    }
+    
     /**
      * Filter leaderboard by tier
      * @param {string} tier - Tier to filter by
@@ -363,15 +434,10 @@ class Dashboard {
         const rows = document.querySelectorAll('#leaderboardBody tr');
         
         rows.forEach(row => {
-            if (tier === 'all') {
+            if (tier === 'all' || row.dataset.tier === tier) {
                 row.style.display = '';
             } else {
-                const tierCell = row.querySelector('td:nth-child(3) span');
-                if (tierCell && tierCell.textContent === tier) {
-                    row.style.display = '';
-                } else {
-                    row.style.display = 'none';
-                }
+                row.style.display = 'none';
             }
         });
     }
@@ -381,14 +447,20 @@ class Dashboard {
      * @param {Object} data - User data
      */
     populateSettings(data) {
+        this.profile = {
+            name: data.name || '',
+            email: data.email || '',
+            pendingEmailChange: data.pendingEmailChange || null
+        };
+        
         document.getElementById('affiliateID').textContent = this.affiliateId;
         document.getElementById('updateName').value = data.name || '';
         document.getElementById('updateEmail').value = data.email || '';
-        document.getElementById('currentTier').textContent = data.level || 'Newbie';
+        document.getElementById('currentTier').textContent = CONFIG.getTierMeta(data.level).label;
         document.getElementById('commissionMultiplier').textContent = 
-            (CONFIG.TIERS[data.level]?.commissionMultiplier || 1.0) + 'x';
+            CONFIG.getTierMultiplier(data.level) + 'x';
         document.getElementById('clickLimit').textContent = 
-            CONFIG.TIERS[data.level]?.perAffiliateClickLimit || 5;
+            CONFIG.getTierLimit(data.level);
         document.getElementById('memberSince').textContent = 
             data.joinedDate ? new Date(data.joinedDate).toLocaleDateString() : '-';
         
@@ -419,64 +491,215 @@ class Dashboard {
     }
     
     /**
-     * Handle profile update
+     * Handle profile update. The name is saved optimistically and rolled
+     * back if the backend rejects it; an email goes through EmailChangeManager.
      * @param {Event} e - Form submit event
      */
     async handleProfileUpdate(e) {
         e.preventDefault();
         
-        const name = document.getElementById('updateName').value;
-        const email = document.getElementById('updateEmail').value;
+        const form = e.target;
+        const name = document.getElementById('updateName').value.trim().replace(/\s+/g, ' ');
+        const email = Sanitizer.sanitizeEmail(document.getElementById('updateEmail').value);
+        
+        this.clearFieldErrors(form);
+        
+        if (!this.profile) {
+            this.showError('Your profile has not loaded yet. Refresh the page and try again.');
+            return;
+        }
         
         // Validate
+        const errors = {};
         if (!Validator.isValidName(name)) {
-            this.showError('Please enter a valid name');
+            errors.name = 'Use 2-50 letters, spaces, hyphens or apostrophes';
+        }
+        if (!Validator.isEmail(email)) {
+            errors.email = 'Please enter a valid email';
+        }
+        if (Object.keys(errors).length > 0) {
+            this.showFieldErrors(errors, this.profileFields);
             return;
         }
         
-        if (!Validator.isEmail(email)) {
-            this.showError('Please enter a valid email');
+        // A new email only takes effect once the new address confirms it
+        if (this.emailChangeManager && email !== this.profile.email) {
+            this.emailChangeManager.start(email);
+        }
+        
+        if (name === this.profile.name) {
+            if (email === this.profile.email) this.showAlert('info', 'No changes to save');
             return;
         }
         
-        this.showAlert('info', 'Updating profile...');
+        const previous = this.profile.name;
+        const button = form.querySelector('button[type="submit"]');
         
-        // Simulate update (implement actual API call)
-        setTimeout(() => {
+        this.profile.name = name;
+        button.disabled = true;
+        
+        try {
+            const data = await ApiClient.post('updateProfile', { name }, { auth: true });
+            
+            this.profile.name = data.name;
+            document.getElementById('updateName').value = data.name;
             this.showAlert('success', 'Profile updated successfully!');
-        }, 1000);
+        } catch (error) {
+            console.error('Error updating profile:', error);
+            
+            // Roll back - only keep what was typed if there's a field error to fix
+            this.profile.name = previous;
+            if (error.data?.fields) {
+                this.showFieldErrors(error.data.fields, this.profileFields);
+            } else {
+                document.getElementById('updateName').value = previous;
+            }
+            this.showError(error.message || 'Could not update your profile');
+        } finally {
+            button.disabled = false;
+        }
     }
     
     /**
-     * Handle password change
+     * Handle password change. Both credentials are derived with the account
+     * email; other devices are signed out by the backend.
      * @param {Event} e - Form submit event
      */
     async handlePasswordChange(e) {
         e.preventDefault();
         
+        const form = e.target;
         const current = document.getElementById('currentPassword').value;
         const newPass = document.getElementById('newPassword').value;
         const confirm = document.getElementById('confirmPassword').value;
         
-        // Validate
-        if (newPass !== confirm) {
-            this.showError('New passwords do not match');
+        this.clearFieldErrors(form);
+        
+        if (!this.profile) {
+            this.showError('Your profile has not loaded yet. Refresh the page and try again.');
             return;
         }
         
+        // Validate
+        const errors = {};
         const passwordCheck = Validator.isStrongPassword(newPass);
+        if (!current) {
+            errors.currentPassword = 'Enter your current password';
+        }
         if (!passwordCheck.valid) {
-            this.showError(passwordCheck.reason);
+            errors.newPassword = passwordCheck.reason;
+        } else if (newPass === current) {
+            errors.newPassword = 'Choose a password you are not already using';
+        }
+        if (newPass !== confirm) {
+            errors.confirmPassword = 'New passwords do not match';
+        }
+        if (Object.keys(errors).length > 0) {
+            this.showFieldErrors(errors, this.passwordFields);
             return;
         }
         
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
         this.showAlert('info', 'Changing password...');
         
-        // Simulate change (implement actual API call)
-        setTimeout(() => {
-            this.showAlert('success', 'Password changed successfully!');
-            document.getElementById('changePasswordForm').reset();
-        }, 1000);
+        try {
+            const body = {
+                password: await PasswordHash.derive(current, this.profile.email),
+                newPassword: await PasswordHash.derive(newPass, this.profile.email),
+                passwordScheme: PasswordHash.SCHEME
+            };
+            
+            let data;
+            try {
+                data = await ApiClient.post('changePassword', body, { auth: true });
+            } catch (error) {
+                // Account still on the pre-PBKDF2 credential (see Auth.postLogin)
+                if (!error.data?.legacyPassword) throw error;
+                data = await ApiClient.post('changePassword', { ...body, legacyPassword: PasswordHash.legacy(current) }, { auth: true });
+            }
+            
+            form.reset();
+            this.showAlert('success', data.revokedSessions > 0
+                ? `Password changed. ${data.revokedSessions} other ${data.revokedSessions === 1 ? 'device was' : 'devices were'} signed out.`
+                : 'Password changed successfully!'
+            );
+            
+            if (this.sessionManager) {
+                await this.sessionManager.loadSessions();
+            }
+        } catch (error) {
+            console.error('Error changing password:', error);
+            
+            if (error.data?.fields) {
+                this.showFieldErrors(error.data.fields, this.passwordFields);
+            }
+            this.showError(error.message || 'Could not change your password');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Download everything the backend holds about this affiliate as a zip
+     * of JSON and CSV files, generated fresh on each request
+     * @param {HTMLButtonElement} button - Export button (disabled while it runs)
+     */
+    async exportData(button) {
+        if (button) button.disabled = true;
+        this.showAlert('info', 'Preparing your data export...');
+        
+        try {
+            const data = await ApiClient.get('exportData', {}, { auth: true });
+            const { blob, filename } = DataExport.buildArchive(data);
+            
+            DataExport.download(blob, filename);
+            this.showAlert('success', `Downloaded ${filename}`);
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            this.showError(error.message || 'Could not export your data');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+    
+    // ============================================
+    // FIELD ERRORS
+    // ============================================
+    
+    /**
+     * Show validation messages under their inputs
+     * @param {Object} errors - { field: message } (backend or client field names)
+     * @param {Object} inputs - { field: input ID }
+     */
+    showFieldErrors(errors, inputs) {
+        Object.entries(errors).forEach(([field, message]) => {
+            const input = document.getElementById(inputs[field]);
+            if (!input) return;
+            
+            const note = document.createElement('small');
+            note.className = 'field-error';
+            note.textContent = message;
+            
+            input.classList.add('is-invalid');
+            input.setAttribute('aria-invalid', 'true');
+            input.insertAdjacentElement('afterend', note);
+        });
+        
+        const first = Object.keys(errors).map(field => document.getElementById(inputs[field])).find(Boolean);
+        if (first) first.focus();
+    }
+    
+    /**
+     * Remove validation messages from a form
+     * @param {HTMLFormElement} form - Form to clear
+     */
+    clearFieldErrors(form) {
+        form.querySelectorAll('.field-error').forEach(note => note.remove());
+        form.querySelectorAll('.is-invalid').forEach(input => {
+            input.classList.remove('is-invalid');
+            input.removeAttribute('aria-invalid');
+        });
     }
     
     // ============================================
@@ -504,13 +727,25 @@ class Dashboard {
      */
     startRealTimeUpdates() {
         // Update every minute
-        setInterval(async () => {
+        this.updateTimer = setInterval(async () => {
             if (window.location.pathname.includes('/dashboard/')) {
                 await this.tierManager.updateSidebarInfo();
             }
         }, 60000);
     }
     
+    /**
+     * Stop all timers (sidebar refresh, capacity monitor and idle tracking)
+     */
+    stopRealTimeUpdates() {
+        if (this.updateTimer) {
+            clearInterval(this.updateTimer);
+            this.updateTimer = null;
+        }
+        this.capacityMonitor.stopMonitoring();
+        this.idleMonitor?.stop();
+    }
+    
     /**
      * Show alert message
      * @param {string} type - Alert type
@@ -597,17 +832,20 @@ window.copyReferralLink = () => {
 
 /**
  * Export data
+ * @param {HTMLButtonElement} button - Export button
  */
-window.exportData = () => {
-    alert('Data export feature coming soon!');
+window.exportData = (button) => {
+    if (window.dashboard) {
+        window.dashboard.exportData(button);
+    }
 };
 
 /**
- * Confirm account deactivation
+ * Start account deactivation
  */
 window.confirmDeactivate = () => {
-    if (confirm('Are you sure you want to deactivate your account? This action can be undone within 30 days.')) {
-        alert('Account deactivation requested. Check your email for confirmation.');
+    if (window.dashboard?.deactivationManager) {
+        window.dashboard.deactivationManager.start();
     }
 };
 
@@ -0,0 +1,246 @@
+/**
+ * Deactivation Manager
+ * Deactivates the account from the settings Danger Zone. The request needs
+ * the current password and a reason, and only takes effect once the code
+ * emailed to the account is entered. Logging in again during the grace
+ * period reactivates the account; after it, the account is deleted.
+ */
+
+class DeactivationManager {
+    /**
+     * @param {Dashboard} dashboard - Owning dashboard (for alerts, field errors and the loaded profile)
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.content = document.getElementById('deactivateContent');
+        this.fields = {
+            reason: 'deactivateReason',
+            details: 'deactivateDetails',
+            password: 'deactivatePassword'
+        };
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize deactivation manager
+     */
+    init() {
+        this.content.addEventListener('click', (e) => this.handleClick(e));
+        this.content.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        console.log('DeactivationManager initialized');
+    }
+    
+    // ============================================
+    // RENDERING
+    // ============================================
+    
+    /**
+     * Ask for a reason and the current password
+     */
+    start() {
+        const { graceDays, detailsMaxLength, reasons } = CONFIG.DEACTIVATION;
+        const options = Object.entries(reasons)
+            .map(([value, label]) => `<option value="${Sanitizer.escapeHtml(value)}">${Sanitizer.escapeHtml(label)}</option>`)
+            .join('');
+        
+        this.content.innerHTML = `
+            <form data-deactivate-form="request" class="mt-3" novalidate>
+                <p class="text-muted mb-3">
+                    Your links stop earning and you are signed out everywhere. Log in within ${graceDays} days
+                    to reactivate; after that your account and its data are deleted for good.
+                </p>
+                <div class="form-group">
+                    <label for="deactivateReason">Why are you leaving?</label>
+                    <select class="form-control" id="deactivateReason" required style="max-width: 400px;">
+                        <option value="">Choose a reason</option>
+                        ${options}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="deactivateDetails">Anything else we should know? (optional)</label>
+                    <textarea class="form-control" id="deactivateDetails" rows="3"
+                              maxlength="${detailsMaxLength}" style="max-width: 400px;"></textarea>
+                </div>
+                <div class="form-group">
+                    <label for="deactivatePassword">Current Password</label>
+                    <input type="password" class="form-control" id="deactivatePassword"
+                           maxlength="50" autocomplete="current-password" required style="max-width: 300px;">
+                </div>
+                <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                    <button type="submit" class="btn btn-danger">Email Me a Code</button>
+                    <button type="button" class="btn btn-outline" data-deactivate-action="dismiss">Cancel</button>
+                </div>
+            </form>
+        `;
+        
+        this.content.querySelector('select').focus();
+    }
+    
+    /**
+     * Code entry for a requested deactivation
+     * @param {string} expiresAt - ISO date the code expires
+     */
+    renderConfirm(expiresAt) {
+        const expires = new Date(expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        const email = this.dashboard.profile?.email || 'your email';
+        
+        this.content.innerHTML = `
+            <form data-deactivate-form="confirm" class="mt-3">
+                <p class="text-muted mb-3">
+                    Enter the 8-digit code we sent to <strong>${Sanitizer.escapeHtml(email)}</strong>
+                    before ${Sanitizer.escapeHtml(expires)}. Your account stays active until you do.
+                </p>
+                <div class="form-group">
+                    <label for="deactivateCode">Confirmation Code</label>
+                    <input type="text" class="form-control" id="deactivateCode"
+                           maxlength="8" inputmode="numeric" autocomplete="one-time-code"
+                           required placeholder="12345678" style="max-width: 200px;">
+                </div>
+                <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                    <button type="submit" class="btn btn-danger">Deactivate Account</button>
+                    <button type="button" class="btn btn-outline" data-deactivate-action="dismiss">Keep My Account</button>
+                </div>
+            </form>
+        `;
+        
+        this.content.querySelector('input').focus();
+    }
+    
+    /**
+     * Clear the steps
+     */
+    reset() {
+        this.content.innerHTML = '';
+    }
+    
+    // ============================================
+    // ACTIONS
+    // ============================================
+    
+    /**
+     * Request the deactivation code
+     * @param {HTMLFormElement} form - Request form
+     */
+    async handleRequest(form) {
+        const reason = document.getElementById(this.fields.reason).value;
+        const details = document.getElementById(this.fields.details).value.trim();
+        const password = document.getElementById(this.fields.password).value;
+        
+        this.dashboard.clearFieldErrors(form);
+        
+        const errors = {};
+        if (!reason) errors.reason = 'Please choose a reason';
+        if (!password) errors.password = 'Enter your current password';
+        if (Object.keys(errors).length > 0) {
+            this.dashboard.showFieldErrors(errors, this.fields);
+            return;
+        }
+        
+        try {
+            const clientData = await ClientData.getClientData();
+            const data = await ApiClient.post('requestDeactivation', {
+                reason,
+                details,
+                password: await PasswordHash.derive(password, this.dashboard.profile.email),
+                passwordScheme: PasswordHash.SCHEME,
+                ip: clientData.ip,
+                ipAttestation: clientData.ipAttestation,
+                ua: clientData.ua
+            }, { auth: true });
+            
+            this.renderConfirm(data.expiresAt);
+            this.dashboard.showAlert('info', 'Check your email for the code to finish deactivating your account.');
+        } catch (error) {
+            console.error('Error requesting deactivation:', error);
+            
+            if (error.data?.fields) {
+                this.dashboard.showFieldErrors(error.data.fields, this.fields);
+            }
+            this.dashboard.showAlert('error', error.message || 'Could not start the deactivation');
+        }
+    }
+    
+    /**
+     * Confirm with the emailed code, then leave the dashboard
+     * @param {string} code - 8-digit code
+     */
+    async handleConfirm(code) {
+        const { graceDays } = CONFIG.DEACTIVATION;
+        if (!confirm(`Deactivate your account now? You can reactivate it by logging in within ${graceDays} days.`)) {
+            return;
+        }
+        
+        try {
+            await ApiClient.post('confirmDeactivation', { code }, { auth: true });
+            
+            // Every session was ended by the backend, this one included
+            this.dashboard.stopRealTimeUpdates();
+            Session.clear();
+            this.dashboard.redirectToLogin('deactivated');
+        } catch (error) {
+            console.error('Error confirming deactivation:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not deactivate your account');
+            
+            if (error.data?.deactivationExpired) {
+                this.reset();
+            } else {
+                this.content.querySelector('input').value = '';
+            }
+        }
+    }
+    
+    // ============================================
+    // EVENTS
+    // ============================================
+    
+    /**
+     * Handle button clicks inside the steps
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        const button = e.target.closest('[data-deactivate-action]');
+        if (button?.dataset.deactivateAction === 'dismiss') {
+            this.reset();
+        }
+    }
+    
+    /**
+     * Handle request and code form submissions
+     * @param {Event} e - Form submit event
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const action = form.dataset.deactivateForm;
+        
+        if (action === 'confirm') {
+            const code = form.querySelector('input').value.trim();
+            if (!Validator.isValidVerificationCode(code)) {
+                this.dashboard.showAlert('error', 'Enter the 8-digit code from your email');
+                return;
+            }
+        }
+        
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        
+        try {
+            if (action === 'request') {
+                await this.handleRequest(form);
+            } else {
+                await this.handleConfirm(form.querySelector('input').value.trim());
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+window.DeactivationManager = DeactivationManager;
@@ -0,0 +1,270 @@
+/**
+ * Email Change Manager
+ * Moves the account to a new email on the settings page. The change waits
+ * until the new address confirms it with an emailed code, and the old
+ * address is sent an undo link.
+ */
+
+class EmailChangeManager {
+    /**
+     * @param {Dashboard} dashboard - Owning dashboard (for alerts and the loaded profile)
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.content = document.getElementById('emailChangeContent');
+        this.email = dashboard.profile?.email || '';
+        this.newEmail = null;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize email change manager
+     */
+    init() {
+        this.content.addEventListener('click', (e) => this.handleClick(e));
+        this.content.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        // A change started earlier is still waiting for its code
+        const pending = this.dashboard.profile?.pendingEmailChange;
+        if (pending) {
+            this.newEmail = pending.newEmail;
+            this.renderConfirm(pending.expiresAt);
+        }
+        
+        console.log('EmailChangeManager initialized');
+    }
+    
+    // ============================================
+    // RENDERING
+    // ============================================
+    
+    /**
+     * Ask for the current password before the change is requested
+     * @param {string} newEmail - Requested email
+     */
+    start(newEmail) {
+        this.newEmail = newEmail;
+        
+        this.content.innerHTML = `
+            <form data-email-change-form="request" class="mt-3">
+                <p class="text-muted mb-3">
+                    To move your account to <strong>${Sanitizer.escapeHtml(newEmail)}</strong>, enter your current password.
+                    We'll send a code to the new address, and your email stays as it is until you enter it.
+                </p>
+                <div class="form-group">
+                    <label for="emailChangePassword">Current Password</label>
+                    <input type="password" class="form-control" id="emailChangePassword"
+                           maxlength="50" autocomplete="current-password" required style="max-width: 300px;">
+                </div>
+                <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                    <button type="submit" class="btn btn-primary">Send Code</button>
+                    <button type="button" class="btn btn-outline" data-email-change-action="dismiss">Cancel</button>
+                </div>
+            </form>
+        `;
+        
+        this.content.querySelector('input').focus();
+    }
+    
+    /**
+     * Code entry for a change waiting on the new address
+     * @param {string} expiresAt - ISO date the code expires
+     */
+    renderConfirm(expiresAt) {
+        const expires = new Date(expiresAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        
+        this.content.innerHTML = `
+            <form data-email-change-form="confirm" class="mt-3">
+                <p class="text-muted mb-3">
+                    Enter the 8-digit code we sent to <strong>${Sanitizer.escapeHtml(this.newEmail)}</strong>
+                    before ${Sanitizer.escapeHtml(expires)}. Until then you keep signing in with
+                    ${Sanitizer.escapeHtml(this.email)}.
+                </p>
+                <div class="form-group">
+                    <label for="emailChangeCode">Confirmation Code</label>
+                    <input type="text" class="form-control" id="emailChangeCode"
+                           maxlength="8" inputmode="numeric" autocomplete="one-time-code"
+                           required placeholder="12345678" style="max-width: 200px;">
+                </div>
+                <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                    <button type="submit" class="btn btn-primary">Confirm New Email</button>
+                    <button type="button" class="btn btn-outline" data-email-change-action="resend">Send New Code</button>
+                    <button type="button" class="btn btn-outline" data-email-change-action="cancel">Cancel Change</button>
+                </div>
+            </form>
+        `;
+    }
+    
+    /**
+     * Clear the steps and put the current email back in the profile form
+     */
+    reset() {
+        this.newEmail = null;
+        this.content.innerHTML = '';
+        document.getElementById('updateEmail').value = this.email;
+    }
+    
+    // ============================================
+    // ACTIONS
+    // ============================================
+    
+    /**
+     * Request the change. The password credential is derived from the email,
+     * so the one for the new address is sent along to replace it on confirm.
+     * @param {string} password - Current password
+     */
+    async handleRequest(password) {
+        try {
+            const clientData = await ClientData.getClientData();
+            const data = await ApiClient.post('requestEmailChange', {
+                newEmail: this.newEmail,
+                password: await PasswordHash.derive(password, this.email),
+                newPassword: await PasswordHash.derive(password, this.newEmail),
+                passwordScheme: PasswordHash.SCHEME,
+                ip: clientData.ip,
+                ipAttestation: clientData.ipAttestation,
+                ua: clientData.ua
+            }, { auth: true });
+            
+            this.renderConfirm(data.expiresAt);
+            this.content.querySelector('input').focus();
+            this.dashboard.showAlert('success', `Code sent to ${this.newEmail}. We've also let ${this.email} know.`);
+        } catch (error) {
+            console.error('Error requesting email change:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not start the email change');
+            
+            if (error.data?.fields?.email) {
+                this.reset();
+            }
+        }
+    }
+    
+    /**
+     * Confirm the change with the code from the new address
+     * @param {string} code - 8-digit code
+     */
+    async handleConfirm(code) {
+        try {
+            const data = await ApiClient.post('confirmEmailChange', { code }, { auth: true });
+            
+            this.email = data.email;
+            if (this.dashboard.profile) {
+                this.dashboard.profile.email = data.email;
+                this.dashboard.profile.pendingEmailChange = null;
+            }
+            this.reset();
+            this.dashboard.showAlert('success', `Your email is now ${data.email}. Use it the next time you log in.`);
+        } catch (error) {
+            console.error('Error confirming email change:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not confirm the new email');
+            
+            if (error.data?.changeExpired || error.data?.fields?.email) {
+                this.reset();
+            } else {
+                this.content.querySelector('input').value = '';
+            }
+        }
+    }
+    
+    /**
+     * Send another code to the new address
+     */
+    async handleResend() {
+        try {
+            const clientData = await ClientData.getClientData();
+            const data = await ApiClient.post('resendEmailChange', { ip: clientData.ip, ipAttestation: clientData.ipAttestation }, { auth: true });
+            
+            this.renderConfirm(data.expiresAt);
+            this.dashboard.showAlert('success', 'New code sent. Earlier codes no longer work.');
+        } catch (error) {
+            console.error('Error resending email change code:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not send a new code');
+            
+            if (error.data?.changeExpired) {
+                this.reset();
+            }
+        }
+    }
+    
+    /**
+     * Drop a change waiting for its code
+     */
+    async handleCancel() {
+        try {
+            await ApiClient.post('cancelEmailChange', {}, { auth: true });
+            
+            this.reset();
+            this.dashboard.showAlert('info', 'Email change cancelled');
+        } catch (error) {
+            console.error('Error cancelling email change:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not cancel the email change');
+        }
+    }
+    
+    // ============================================
+    // EVENTS
+    // ============================================
+    
+    /**
+     * Handle button clicks inside the steps
+     * @param {Event} e - Click event
+     */
+    async handleClick(e) {
+        const button = e.target.closest('[data-email-change-action]');
+        if (!button) return;
+        
+        button.disabled = true;
+        try {
+            switch (button.dataset.emailChangeAction) {
+                case 'dismiss':
+                    this.reset();
+                    break;
+                case 'resend':
+                    await this.handleResend();
+                    break;
+                case 'cancel':
+                    await this.handleCancel();
+                    break;
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    /**
+     * Handle password and code form submissions
+     * @param {Event} e - Form submit event
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const action = form.dataset.emailChangeForm;
+        const value = form.querySelector('input').value.trim();
+        
+        if (action === 'confirm' && !Validator.isValidVerificationCode(value)) {
+            this.dashboard.showAlert('error', `Enter the 8-digit code sent to ${this.newEmail}`);
+            return;
+        }
+        
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        
+        try {
+            if (action === 'request') {
+                await this.handleRequest(form.querySelector('input').value);
+            } else {
+                await this.handleConfirm(value);
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+window.EmailChangeManager = EmailChangeManager;
@@ -0,0 +1,192 @@
+/**
+ * Idle Session Monitor
+ * Logs out after CONFIG.SECURITY.idleTimeoutMinutes without activity, with a
+ * countdown warning for the last idleWarningSeconds. Activity is shared
+ * through localStorage so a busy tab keeps the others signed in.
+ */
+
+class IdleMonitor {
+    /**
+     * @param {Object} options - { onTimeout } when the idle window lapses,
+     *                           { onLogout } when the user logs out from the warning
+     */
+    constructor(options = {}) {
+        this.onTimeout = options.onTimeout || (() => {});
+        this.onLogout = options.onLogout || this.onTimeout;
+        this.timeoutMs = CONFIG.SECURITY.idleTimeoutMinutes * 60 * 1000;
+        this.warningMs = CONFIG.SECURITY.idleWarningSeconds * 1000;
+        
+        this.activityEvents = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'wheel'];
+        this.activityThrottle = 5000; // Write shared activity at most every 5s
+        this.tickInterval = 1000;
+        
+        this.lastWrite = 0;
+        this.tickTimer = null;
+        this.modal = null;
+        this.timedOut = false;
+        this.handleActivity = () => this.recordActivity();
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize idle monitor
+     */
+    init() {
+        this.recordActivity(true);
+        this.start();
+        console.log('IdleMonitor initialized');
+    }
+    
+    // ============================================
+    // TRACKING
+    // ============================================
+    
+    /**
+     * Start listening for activity and checking the idle clock
+     */
+    start() {
+        this.activityEvents.forEach(type => {
+            document.addEventListener(type, this.handleActivity, { passive: true });
+        });
+        
+        this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
+    }
+    
+    /**
+     * Stop tracking and close the warning
+     */
+    stop() {
+        this.activityEvents.forEach(type => {
+            document.removeEventListener(type, this.handleActivity);
+        });
+        
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+        
+        this.hideWarning();
+    }
+    
+    /**
+     * Record user activity. Ignored while the warning is open - the user
+     * must choose to stay signed in.
+     * @param {boolean} force - Write even if throttled or warning is open
+     */
+    recordActivity(force = false) {
+        if (!force && this.modal) return;
+        
+        const now = Date.now();
+        if (!force && now - this.lastWrite < this.activityThrottle) return;
+        
+        this.lastWrite = now;
+        localStorage.setItem(CONFIG.CACHE_KEYS.lastActivity, now.toString());
+    }
+    
+    /**
+     * Latest activity across all tabs
+     * @returns {number} - Timestamp in ms
+     */
+    getLastActivity() {
+        const shared = parseInt(localStorage.getItem(CONFIG.CACHE_KEYS.lastActivity), 10) || 0;
+        return Math.max(shared, this.lastWrite);
+    }
+    
+    /**
+     * Check the idle clock: warn, time out, or close a warning that another
+     * tab's activity has made stale
+     */
+    tick() {
+        if (this.timedOut) return;
+        
+        const remaining = this.timeoutMs - (Date.now() - this.getLastActivity());
+        
+        if (remaining <= 0) {
+            this.timedOut = true;
+            this.stop();
+            this.onTimeout();
+            return;
+        }
+        
+        if (remaining <= this.warningMs) {
+            this.showWarning(remaining);
+        } else if (this.modal) {
+            this.hideWarning();
+        }
+    }
+    
+    /**
+     * Keep the session alive (from the warning modal)
+     */
+    extend() {
+        this.hideWarning();
+        this.recordActivity(true);
+    }
+    
+    // ============================================
+    // WARNING MODAL
+    // ============================================
+    
+    /**
+     * Show or update the countdown warning
+     * @param {number} remaining - Time left in ms
+     */
+    showWarning(remaining) {
+        if (!this.modal) {
+            this.modal = document.createElement('div');
+            this.modal.className = 'modal-overlay';
+            this.modal.innerHTML = `
+                <div class="modal" role="alertdialog" aria-modal="true" aria-labelledby="idleTitle" aria-describedby="idleMessage">
+                    <h2 id="idleTitle">Still there?</h2>
+                    <p id="idleMessage">
+                        You'll be logged out in <strong class="idle-countdown"></strong>
+                        due to inactivity.
+                    </p>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn-outline" data-idle-action="logout">Log Out</button>
+                        <button type="button" class="btn btn-primary" data-idle-action="extend">Stay Signed In</button>
+                    </div>
+                </div>
+            `;
+            
+            this.modal.querySelector('[data-idle-action="extend"]').addEventListener('click', () => this.extend());
+            this.modal.querySelector('[data-idle-action="logout"]').addEventListener('click', () => {
+                this.timedOut = true;
+                this.stop();
+                this.onLogout();
+            });
+            
+            document.body.appendChild(this.modal);
+            this.modal.querySelector('[data-idle-action="extend"]').focus();
+        }
+        
+        this.modal.querySelector('.idle-countdown').textContent = this.formatRemaining(remaining);
+    }
+    
+    /**
+     * Close the warning
+     */
+    hideWarning() {
+        if (this.modal) {
+            this.modal.remove();
+            this.modal = null;
+        }
+    }
+    
+    /**
+     * Format a countdown as m:ss
+     * @param {number} ms - Time left in ms
+     * @returns {string} - Formatted time
+     */
+    formatRemaining(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+window.IdleMonitor = IdleMonitor;
@@ -0,0 +1,309 @@
+/**
+ * Passkey Manager
+ * Lists, adds, renames and removes the affiliate's passkeys on the settings
+ * page. Browsers without WebAuthn can still rename and remove passkeys that
+ * were added elsewhere.
+ */
+
+class PasskeyManager {
+    /**
+     * @param {Dashboard} dashboard - Owning dashboard (for alerts)
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.section = document.getElementById('passkeySection');
+        this.content = document.getElementById('passkeyContent');
+        this.passkeys = [];
+        this.editingId = null;
+        this.supported = Passkey.isSupported();
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize passkey manager
+     */
+    async init() {
+        this.content.addEventListener('click', (e) => this.handleClick(e));
+        this.content.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        await this.loadPasskeys();
+        console.log('PasskeyManager initialized');
+    }
+    
+    // ============================================
+    // DATA
+    // ============================================
+    
+    /**
+     * Load registered passkeys
+     */
+    async loadPasskeys() {
+        try {
+            const data = await ApiClient.get('listPasskeys', {}, { auth: true });
+            this.passkeys = data.passkeys || [];
+        } catch (error) {
+            console.error('Error loading passkeys:', error);
+            this.content.innerHTML = '<p class="text-muted">Passkeys are unavailable right now.</p>';
+            return;
+        }
+        
+        // Flag off: only show the section so existing passkeys can be removed
+        if (!Features.isEnabled('passkeys') && this.passkeys.length === 0) {
+            this.section.style.display = 'none';
+            return;
+        }
+        
+        this.render();
+    }
+    
+    /**
+     * Check if a new passkey can be added from this browser
+     * @returns {boolean} - True if adding is possible
+     */
+    canAdd() {
+        return this.supported && Features.isEnabled('passkeys');
+    }
+    
+    // ============================================
+    // RENDERING
+    // ============================================
+    
+    /**
+     * Render the passkey list and add form
+     */
+    render() {
+        const intro = this.supported
+            ? 'Sign in with your fingerprint, face or device PIN instead of a password. Add a passkey on each device you use.'
+            : 'This browser does not support passkeys. You can still manage passkeys added on other devices.';
+        
+        this.content.innerHTML = `
+            <p class="text-muted mb-3">${intro}</p>
+            ${this.passkeys.length
+                ? `<ul class="passkey-list">${this.passkeys.map(passkey => this.renderItem(passkey)).join('')}</ul>`
+                : '<p class="text-muted mb-3">No passkeys yet.</p>'}
+            ${this.canAdd() ? `
+                <form data-passkey-form="add" class="passkey-add">
+                    <div class="form-group">
+                        <label for="passkeyName">Passkey Name</label>
+                        <input type="text" class="form-control" id="passkeyName"
+                               maxlength="50" placeholder="${Sanitizer.escapeHtml(this.suggestName())}">
+                    </div>
+                    <button type="submit" class="btn btn-primary">Add Passkey</button>
+                </form>
+            ` : ''}
+        `;
+        
+        if (this.editingId) {
+            this.content.querySelector('[data-passkey-form="rename"] input')?.focus();
+        }
+    }
+    
+    /**
+     * Render one passkey row (or its rename form)
+     * @param {Object} passkey - { id, name, createdAt, lastUsedAt }
+     * @returns {string} - HTML
+     */
+    renderItem(passkey) {
+        const id = Sanitizer.escapeHtml(passkey.id);
+        const name = Sanitizer.escapeHtml(passkey.name);
+        
+        if (passkey.id === this.editingId) {
+            return `
+                <li class="passkey-item">
+                    <form data-passkey-form="rename" data-passkey-id="${id}" class="passkey-rename">
+                        <input type="text" class="form-control" maxlength="50" value="${name}" aria-label="Passkey name" required>
+                        <button type="submit" class="btn btn-primary">Save</button>
+                        <button type="button" class="btn btn-outline" data-passkey-action="cancel">Cancel</button>
+                    </form>
+                </li>
+            `;
+        }
+        
+        return `
+            <li class="passkey-item">
+                <div>
+                    <div class="passkey-name">🔑 ${name}</div>
+                    <div class="text-muted passkey-meta">
+                        Added ${this.formatDate(passkey.createdAt)} ·
+                        ${passkey.lastUsedAt ? `Last used ${this.formatDate(passkey.lastUsedAt)}` : 'Never used'}
+                    </div>
+                </div>
+                <div class="passkey-actions">
+                    <button type="button" class="btn btn-outline" data-passkey-action="rename" data-passkey-id="${id}">Rename</button>
+                    <button type="button" class="btn btn-danger" data-passkey-action="remove" data-passkey-id="${id}">Remove</button>
+                </div>
+            </li>
+        `;
+    }
+    
+    // ============================================
+    // ACTIONS
+    // ============================================
+    
+    /**
+     * Register a new passkey on this device
+     * @param {string} name - Name entered by the user
+     */
+    async handleAdd(name) {
+        let options;
+        try {
+            options = await ApiClient.post('getPasskeyRegistrationOptions', {}, { auth: true });
+        } catch (error) {
+            console.error('Error starting passkey registration:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not start passkey registration');
+            return;
+        }
+        
+        let credential;
+        try {
+            credential = await Passkey.register(options);
+        } catch (error) {
+            console.warn('Passkey prompt failed:', error);
+            this.dashboard.showAlert(Passkey.isCancelled(error) ? 'info' : 'error', Passkey.describeError(error));
+            return;
+        }
+        
+        try {
+            const data = await ApiClient.post('registerPasskey', {
+                name: name || this.suggestName(),
+                credential
+            }, { auth: true });
+            
+            this.passkeys.push(data.passkey);
+            this.render();
+            this.dashboard.showAlert('success', 'Passkey added. You can now use it to sign in.');
+        } catch (error) {
+            console.error('Error registering passkey:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not add passkey');
+        }
+    }
+    
+    /**
+     * Rename a passkey
+     * @param {string} id - Credential ID
+     * @param {string} name - New name
+     */
+    async handleRename(id, name) {
+        try {
+            const data = await ApiClient.post('renamePasskey', { credentialId: id, name }, { auth: true });
+            
+            this.passkeys = this.passkeys.map(passkey => passkey.id === id ? data.passkey : passkey);
+            this.editingId = null;
+            this.render();
+        } catch (error) {
+            console.error('Error renaming passkey:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not rename passkey');
+        }
+    }
+    
+    /**
+     * Remove a passkey after confirmation
+     * @param {string} id - Credential ID
+     */
+    async handleRemove(id) {
+        const passkey = this.passkeys.find(item => item.id === id);
+        if (!passkey) return;
+        
+        if (!confirm(`Remove the passkey "${passkey.name}"? You won't be able to sign in with it any more.`)) {
+            return;
+        }
+        
+        try {
+            await ApiClient.post('deletePasskey', { credentialId: id }, { auth: true });
+            
+            this.passkeys = this.passkeys.filter(item => item.id !== id);
+            this.render();
+            this.dashboard.showAlert('success', 'Passkey removed');
+        } catch (error) {
+            console.error('Error removing passkey:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not remove passkey');
+        }
+    }
+    
+    // ============================================
+    // EVENTS
+    // ============================================
+    
+    /**
+     * Handle button clicks inside the section
+     * @param {Event} e - Click event
+     */
+    handleClick(e) {
+        const button = e.target.closest('[data-passkey-action]');
+        if (!button) return;
+        
+        switch (button.dataset.passkeyAction) {
+            case 'rename':
+                this.editingId = button.dataset.passkeyId;
+                this.render();
+                break;
+            case 'cancel':
+                this.editingId = null;
+                this.render();
+                break;
+            case 'remove':
+                this.handleRemove(button.dataset.passkeyId);
+                break;
+        }
+    }
+    
+    /**
+     * Handle add and rename form submission
+     * @param {Event} e - Submit event
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const name = form.querySelector('input').value.trim();
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        
+        try {
+            if (form.dataset.passkeyForm === 'add') {
+                await this.handleAdd(name);
+            } else if (name) {
+                await this.handleRename(form.dataset.passkeyId, name);
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    // ============================================
+    // HELPERS
+    // ============================================
+    
+    /**
+     * Default name for a passkey created on this device
+     * @returns {string} - Suggested name
+     */
+    suggestName() {
+        const ua = navigator.userAgent;
+        const device = /iPhone/.test(ua) ? 'iPhone'
+            : /iPad/.test(ua) ? 'iPad'
+            : /Android/.test(ua) ? 'Android'
+            : /Mac OS X/.test(ua) ? 'Mac'
+            : /Windows/.test(ua) ? 'Windows PC'
+            : /Linux/.test(ua) ? 'Linux PC'
+            : null;
+        
+        return device ? `${device} passkey` : 'Passkey';
+    }
+    
+    /**
+     * Format an ISO date for display
+     * @param {string} value - ISO date
+     * @returns {string} - Local date
+     */
+    formatDate(value) {
+        return value ? new Date(value).toLocaleDateString() : '-';
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+window.PasskeyManager = PasskeyManager;
@@ -0,0 +1,227 @@
+/**
+ * Session Manager
+ * Lists where the affiliate is signed in on the settings page and signs
+ * out single devices or every other device.
+ */
+
+class SessionManager {
+    /**
+     * @param {Dashboard} dashboard - Owning dashboard (for alerts and logout)
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.content = document.getElementById('sessionsContent');
+        this.sessions = [];
+        this.activeWindow = 5 * 60 * 1000; // Seen this recently counts as "Active now"
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize session manager
+     */
+    async init() {
+        this.content.addEventListener('click', (e) => this.handleClick(e));
+        
+        await this.loadSessions();
+        console.log('SessionManager initialized');
+    }
+    
+    // ============================================
+    // DATA
+    // ============================================
+    
+    /**
+     * Load active sessions
+     */
+    async loadSessions() {
+        try {
+            const data = await ApiClient.get('listSessions', {}, { auth: true });
+            this.sessions = data.sessions || [];
+            this.render();
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            this.content.innerHTML = '<p class="text-muted">Sessions are unavailable right now.</p>';
+        }
+    }
+    
+    // ============================================
+    // RENDERING
+    // ============================================
+    
+    /**
+     * Render the session list
+     */
+    render() {
+        const others = this.sessions.filter(session => !session.current).length;
+        
+        this.content.innerHTML = `
+            <p class="text-muted mb-3">
+                Devices signed in to your account. Sign out any you don't recognise, then change your password.
+            </p>
+            <ul class="session-list">
+                ${this.sessions.map(session => this.renderItem(session)).join('')}
+            </ul>
+            ${others > 0 ? `
+                <button type="button" class="btn btn-outline" data-session-action="revoke-others">
+                    Sign Out All Other Devices (${others})
+                </button>
+            ` : ''}
+        `;
+    }
+    
+    /**
+     * Render one session row
+     * @param {Object} session - { id, current, ip, ua, platform, timezone, created, lastSeen }
+     * @returns {string} - HTML
+     */
+    renderItem(session) {
+        const details = [
+            session.ip ? `IP ${session.ip}` : null,
+            session.timezone,
+            `Signed in ${new Date(session.created).toLocaleDateString()}`
+        ].filter(Boolean).join(' · ');
+        
+        return `
+            <li class="session-item">
+                <div>
+                    <div class="session-device">
+                        ${Sanitizer.escapeHtml(this.describeDevice(session.ua, session.platform))}
+                        ${session.current ? '<span class="session-current">This device</span>' : ''}
+                    </div>
+                    <div class="text-muted session-meta">${Sanitizer.escapeHtml(details)}</div>
+                    <div class="text-muted session-meta">${session.current ? 'Active now' : this.formatLastSeen(session.lastSeen)}</div>
+                </div>
+                <button type="button" class="btn ${session.current ? 'btn-outline' : 'btn-danger'}"
+                        data-session-action="revoke" data-session-id="${Sanitizer.escapeHtml(session.id)}">
+                    Sign Out
+                </button>
+            </li>
+        `;
+    }
+    
+    // ============================================
+    // ACTIONS
+    // ============================================
+    
+    /**
+     * Sign out one device (this one goes through the normal logout)
+     * @param {string} id - Session ID
+     */
+    async handleRevoke(id) {
+        const session = this.sessions.find(item => item.id === id);
+        if (!session) return;
+        
+        if (session.current) {
+            await this.dashboard.logout();
+            return;
+        }
+        
+        try {
+            await ApiClient.post('revokeSession', { sessionId: id }, { auth: true });
+            
+            this.sessions = this.sessions.filter(item => item.id !== id);
+            this.render();
+            this.dashboard.showAlert('success', `Signed out ${this.describeDevice(session.ua, session.platform)}`);
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not sign out that device');
+            await this.loadSessions();
+        }
+    }
+    
+    /**
+     * Sign out every device except this one
+     */
+    async handleRevokeOthers() {
+        if (!confirm('Sign out of VettedPulse on every other device?')) return;
+        
+        try {
+            const data = await ApiClient.post('revokeOtherSessions', {}, { auth: true });
+            
+            this.sessions = this.sessions.filter(item => item.current);
+            this.render();
+            this.dashboard.showAlert('success', `Signed out ${data.revoked} other ${data.revoked === 1 ? 'device' : 'devices'}`);
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not sign out other devices');
+        }
+    }
+    
+    /**
+     * Handle button clicks inside the section
+     * @param {Event} e - Click event
+     */
+    async handleClick(e) {
+        const button = e.target.closest('[data-session-action]');
+        if (!button) return;
+        
+        button.disabled = true;
+        try {
+            if (button.dataset.sessionAction === 'revoke') {
+                await this.handleRevoke(button.dataset.sessionId);
+            } else {
+                await this.handleRevokeOthers();
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    // ============================================
+    // HELPERS
+    // ============================================
+    
+    /**
+     * Readable browser and OS from a user agent
+     * @param {string} ua - User agent
+     * @param {string} platform - navigator.platform at sign-in
+     * @returns {string} - e.g. "Chrome on Windows"
+     */
+    describeDevice(ua, platform) {
+        if (!ua) return platform || 'Unknown device';
+        
+        const browser = /Edg\//.test(ua) ? 'Edge'
+            : /OPR\/|Opera/.test(ua) ? 'Opera'
+            : /Firefox\/|FxiOS/.test(ua) ? 'Firefox'
+            : /Chrome\/|CriOS/.test(ua) ? 'Chrome'
+            : /Safari\//.test(ua) ? 'Safari'
+            : 'Browser';
+        
+        const os = /iPhone/.test(ua) ? 'iPhone'
+            : /iPad/.test(ua) ? 'iPad'
+            : /Android/.test(ua) ? 'Android'
+            : /CrOS/.test(ua) ? 'ChromeOS'
+            : /Mac OS X/.test(ua) ? 'macOS'
+            : /Windows/.test(ua) ? 'Windows'
+            : /Linux/.test(ua) ? 'Linux'
+            : platform || 'unknown OS';
+        
+        return `${browser} on ${os}`;
+    }
+    
+    /**
+     * Format a last-seen time relative to now
+     * @param {string} value - ISO date
+     * @returns {string} - e.g. "Last active 3 hours ago"
+     */
+    formatLastSeen(value) {
+        const elapsed = Date.now() - new Date(value).getTime();
+        if (elapsed < this.activeWindow) return 'Active now';
+        
+        const minutes = Math.floor(elapsed / 60000);
+        if (minutes < 60) return `Last active ${minutes} minutes ago`;
+        
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `Last active ${hours} ${hours === 1 ? 'hour' : 'hours'} ago`;
+        
+        const days = Math.floor(hours / 24);
+        return `Last active ${days} ${days === 1 ? 'day' : 'days'} ago`;
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+window.SessionManager = SessionManager;
@@ -38,41 +38,34 @@ class TierManager {
         if (cached) return cached;
         
         try {
-            const token = localStorage.getItem('token');
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.getTierStatus}&` +
-                `affiliateId=${encodeURIComponent(affiliateId)}&` +
-                `token=${encodeURIComponent(token)}&` +
-                `_=${Date.now()}`
-            );
+            const data = await ApiClient.get('getTierStatus', { affiliateId }, { auth: true });
             
-            const data = await response.json();
+            const tierData = {
+                tier: data.currentTier,
+                tierInfo: CONFIG.getTierByName(data.currentTier),
+                clicksToday: data.clicksToday || 0,
+                clicksLimit: data.clicksLimit || 0,
+                clicksRemaining: data.clicksRemaining || 0,
+                salesToday: data.salesToday || 0,
+                totalSales: data.totalSales || 0,
+                tierProgress: data.progressToNext || 0,
+                nextTier: data.nextTier,
+                commissionMultiplier: data.commissionMultiplier || 1.0,
+                upgradeAvailable: data.upgradeAvailable || false
+            };
             
-            if (data.success) {
-                const tierData = {
-                    tier: data.currentTier,
-                    tierInfo: CONFIG.TIERS[data.currentTier] || CONFIG.TIERS.NEWBIE,
-                    clicksToday: data.clicksToday || 0,
-                    clicksLimit: data.clicksLimit || 0,
-                    clicksRemaining: data.clicksRemaining || 0,
-                    salesToday: data.salesToday || 0,
-                    totalSales: data.totalSales || 0,
-                    tierProgress: data.progressToNext || 0,
-                    nextTier: data.nextTier,
-                    commissionMultiplier: data.commissionMultiplier || 1.0,
-                    upgradeAvailable: data.upgradeAvailable || false
-                };
-                
-                // Cache the result
-                this.setCached(cacheKey, tierData);
-                
-                // Notify listeners
-                this.notifyListeners(tierData);
-                
-                return tierData;
+            // Cache the result
+            this.setCached(cacheKey, tierData);
+            
+            // Backend tier changed (e.g. promotion) - keep every tab in step
+            if (affiliateId === this.currentAffiliateId) {
+                Session.setTier(tierData.tier);
             }
             
-            return null;
+            // Notify listeners
+            this.notifyListeners(tierData);
+            
+            return tierData;
         } catch (error) {
             console.error('Failed to get tier status:', error);
             return null;
@@ -133,6 +126,10 @@ class TierManager {
      * @returns {Promise<Object>} - Upgrade eligibility
      */
     async canUpgrade(affiliateId = this.currentAffiliateId) {
+        if (!Features.isEnabled('tieredAccess')) {
+            return { canUpgrade: false, reason: 'Tier upgrades are currently disabled' };
+        }
+        
         const tier = await this.getCurrentTier(affiliateId);
         if (!tier || !tier.nextTier) {
             return { canUpgrade: false, reason: 'Already at max tier' };
@@ -156,7 +153,7 @@ class TierManager {
                 return {
                     canUpgrade: false,
                     reason: `${tier.nextTier} tier is currently full`,
-                    waitlist: true
+                    waitlist: Features.isEnabled('waitlistEnabled')
                 };
             }
         }
@@ -183,30 +180,23 @@ class TierManager {
         }
         
         try {
-            const token = localStorage.getItem('token');
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=upgradeTier&` +
-                `affiliateId=${encodeURIComponent(affiliateId)}&` +
-                `token=${encodeURIComponent(token)}&` +
-                `_=${Date.now()}`
-            );
+            const data = await ApiClient.get('upgradeTier', { affiliateId }, { auth: true });
             
-            const data = await response.json();
-            
-            if (data.success) {
-                // Clear cache
-                this.clearCache();
-                
-                return {
-                    success: true,
-                    newTier: data.newTier,
-                    message: `Congratulations! You've been upgraded to ${data.newTier}`
-                };
-            }
+            // Clear cache
+            this.clearCache();
+            Session.setTier(data.newTier);
             
-            return { success: false, message: data.message || 'Upgrade failed' };
+            return {
+                success: true,
+                newTier: data.newTier,
+                message: `Congratulations! You've been upgraded to ${data.newTier}`
+            };
         } catch (error) {
             console.error('Upgrade request failed:', error);
+            
+            if (ApiClient.isBackendError(error)) {
+                return { success: false, message: error.message || 'Upgrade failed' };
+            }
             return { success: false, message: 'Network error' };
         }
     }
@@ -226,12 +216,9 @@ class TierManager {
         if (cached) return cached;
         
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=getCapacity&_=${Date.now()}`
-            );
-            const data = await response.json();
+            const data = await ApiClient.get('getCapacity');
             
-            if (data.success && data.capacity.tiers[tierName]) {
+            if (data.capacity.tiers[tierName]) {
                 const capacity = data.capacity.tiers[tierName];
                 this.setCached(cacheKey, capacity, 60000); // 1 minute cache
                 return capacity;
@@ -250,16 +237,9 @@ class TierManager {
      */
     async getAllTierCapacities() {
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=getCapacity&_=${Date.now()}`
-            );
-            const data = await response.json();
-            
-            if (data.success) {
-                return data.capacity.tiers;
-            }
+            const data = await ApiClient.get('getCapacity');
             
-            return {};
+            return data.capacity.tiers;
         } catch (error) {
             console.error('Failed to get tier capacities:', error);
             return {};
@@ -309,14 +289,7 @@ class TierManager {
      * @returns {string|null} - Next tier name
      */
     getNextTier(currentTier) {
-        const tierOrder = ['NEWBIE', 'ACTIVE', 'PRO', 'ELITE'];
-        const currentIndex = tierOrder.indexOf(currentTier);
-        
-        if (currentIndex >= 0 && currentIndex < tierOrder.length - 1) {
-            return tierOrder[currentIndex + 1];
-        }
-        
-        return null;
+        return CONFIG.getNextTier(currentTier);
     }
     
     /**
@@ -325,8 +298,8 @@ class TierManager {
      * @returns {string} - HTML badge
      */
     getTierBadge(tier) {
-        const tierInfo = CONFIG.TIERS[tier] || CONFIG.TIERS.NEWBIE;
-        return `<span class="tier-badge tier-${tier.toLowerCase()}">${tierInfo.name}</span>`;
+        const meta = CONFIG.getTierMeta(tier);
+        return `<span class="${meta.badgeClass}" style="--tier-color: ${meta.color}">${Sanitizer.escapeHtml(meta.label)}</span>`;
     }
     
     /**
@@ -335,13 +308,7 @@ class TierManager {
      * @returns {string} - Color code
      */
     getTierColor(tier) {
-        const colors = {
-            'NEWBIE': '#808080',
-            'ACTIVE': '#FFD700',
-            'PRO': '#FFF44F',
-            'ELITE': '#28A745'
-        };
-        return colors[tier] || '#FFFFFF';
+        return CONFIG.isValidTier(tier) ? CONFIG.getTierMeta(tier).color : '#FFFFFF';
     }
     
     // ============================================
@@ -427,11 +394,12 @@ class TierManager {
         if (!tierInfo) return;
         
         const progress = Math.round(tier.tierProgress);
-        const nextTierText = tier.nextTier ? `→ ${tier.nextTier}` : 'Max Level';
+        const current = CONFIG.getTierMeta(tier.tier);
+        const nextTierText = tier.nextTier ? `→ ${Sanitizer.escapeHtml(CONFIG.getTierMeta(tier.nextTier).label)}` : 'Max Level';
         
         tierInfo.innerHTML = `
-            <div class="tier-name" style="color: ${this.getTierColor(tier.tier)}">
-                ${tier.tier}
+            <div class="tier-name" style="color: ${current.color}">
+                ${Sanitizer.escapeHtml(current.label)}
             </div>
             <div class="tier-progress">
                 ${progress}% to ${nextTierText}
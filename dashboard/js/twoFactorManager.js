@@ -0,0 +1,390 @@
+/**
+ * Two-Factor Authentication Manager
+ * TOTP enrollment, recovery codes and disabling 2FA on the settings page.
+ * Shown when FEATURES.twoFactorAuth is on, and always when the affiliate's
+ * tier has requireTwoFactor or 2FA is already enabled.
+ */
+
+class TwoFactorManager {
+    /**
+     * @param {Dashboard} dashboard - Owning dashboard (for alerts)
+     */
+    constructor(dashboard) {
+        this.dashboard = dashboard;
+        this.section = document.getElementById('twoFactorSection');
+        this.content = document.getElementById('twoFactorContent');
+        this.status = null;
+        this.recoveryCodes = null;
+        this.lowRecoveryCodes = 3;
+        
+        this.init();
+    }
+    
+    /**
+     * Initialize two-factor manager
+     */
+    async init() {
+        this.content.addEventListener('click', (e) => this.handleClick(e));
+        this.content.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        await this.loadStatus();
+        console.log('TwoFactorManager initialized');
+    }
+    
+    // ============================================
+    // STATUS
+    // ============================================
+    
+    /**
+     * Load 2FA status and render the matching view
+     */
+    async loadStatus() {
+        try {
+            this.status = await ApiClient.get('getTwoFactorStatus', {}, { auth: true });
+        } catch (error) {
+            console.error('Error loading two-factor status:', error);
+            this.content.innerHTML = '<p class="text-muted">Two-factor status is unavailable right now.</p>';
+            return;
+        }
+        
+        const { enabled, required } = this.status;
+        
+        if (!Features.isEnabled('twoFactorAuth') && !required && !enabled) {
+            this.section.style.display = 'none';
+            return;
+        }
+        
+        if (required && !enabled) {
+            this.section.scrollIntoView({ behavior: 'smooth' });
+            this.dashboard.showAlert('warning', 'Your tier requires two-factor authentication. Set it up to continue using the dashboard.');
+            await this.startSetup();
+            return;
+        }
+        
+        this.renderStatus();
+    }
+    
+    /**
+     * Render the enabled/disabled summary
+     */
+    renderStatus() {
+        const { enabled, required, enabledAt, recoveryCodesRemaining } = this.status;
+        
+        if (!enabled) {
+            this.content.innerHTML = `
+                <p class="text-muted mb-3">
+                    Protect your account with a code from an authenticator app
+                    (Google Authenticator, 1Password, Authy...) in addition to your password.
+                </p>
+                <button type="button" class="btn btn-primary" data-two-factor-action="setup">Enable Two-Factor Authentication</button>
+            `;
+            return;
+        }
+        
+        const lowCodes = recoveryCodesRemaining <= this.lowRecoveryCodes;
+        
+        this.content.innerHTML = `
+            <div class="info-display mb-3">
+                <div class="info-row">
+                    <span class="info-label">Status:</span>
+                    <span class="info-value">Enabled${required ? ' (required for your tier)' : ''}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Enabled On:</span>
+                    <span class="info-value">${enabledAt ? new Date(enabledAt).toLocaleDateString() : '-'}</span>
+                </div>
+                <div class="info-row">
+                    <span class="info-label">Recovery Codes Left:</span>
+                    <span class="info-value" ${lowCodes ? 'style="color: var(--alert-red);"' : ''}>${recoveryCodesRemaining}</span>
+                </div>
+            </div>
+            ${lowCodes ? '<p class="text-muted mb-3">You are running low on recovery codes - generate a new set.</p>' : ''}
+            <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                <button type="button" class="btn btn-outline" data-two-factor-action="regenerate">New Recovery Codes</button>
+                ${required ? '' : '<button type="button" class="btn btn-danger" data-two-factor-action="disable">Disable</button>'}
+            </div>
+        `;
+    }
+    
+    // ============================================
+    // ENROLLMENT
+    // ============================================
+    
+    /**
+     * Ask the backend for a new secret and show the enrollment QR code
+     */
+    async startSetup() {
+        try {
+            const data = await ApiClient.post('setupTwoFactor', {}, { auth: true });
+            this.renderSetup(data.secret, data.otpauthUrl);
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not start two-factor setup');
+        }
+    }
+    
+    /**
+     * Render the QR code, manual key and confirmation form
+     * @param {string} secret - Base32 secret
+     * @param {string} otpauthUrl - Enrollment URI
+     */
+    renderSetup(secret, otpauthUrl) {
+        this.content.innerHTML = `
+            <ol class="two-factor-steps">
+                <li>Scan this QR code with your authenticator app.</li>
+                <li>Enter the 6-digit code the app shows to finish.</li>
+            </ol>
+            <div class="qr-code">${QrCode.toSvg(otpauthUrl)}</div>
+            <p class="text-muted">
+                Can't scan? Enter this key manually:
+                <code class="secret-key">${Sanitizer.escapeHtml(this.formatSecret(secret))}</code>
+            </p>
+            ${this.codeFormHtml('enable', 'Verify & Enable')}
+        `;
+        
+        this.content.querySelector('input').focus();
+    }
+    
+    /**
+     * Confirm enrollment with a code from the app
+     * @param {string} code - 6-digit code
+     */
+    async handleEnable(code) {
+        try {
+            const data = await ApiClient.post('enableTwoFactor', { code }, { auth: true });
+            
+            this.status = { ...this.status, enabled: true, enabledAt: new Date().toISOString(), recoveryCodesRemaining: data.recoveryCodes.length };
+            this.renderRecoveryCodes(data.recoveryCodes);
+            this.dashboard.showAlert('success', 'Two-factor authentication enabled');
+        } catch (error) {
+            console.error('Error enabling two-factor:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not enable two-factor authentication');
+        }
+    }
+    
+    // ============================================
+    // RECOVERY CODES
+    // ============================================
+    
+    /**
+     * Show a fresh set of recovery codes (only ever shown once)
+     * @param {string[]} codes - Recovery codes
+     */
+    renderRecoveryCodes(codes) {
+        this.recoveryCodes = codes;
+        
+        this.content.innerHTML = `
+            <p class="mb-3">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose
+                your authenticator. <strong>They won't be shown again.</strong>
+            </p>
+            <ul class="recovery-codes">
+                ${codes.map(code => `<li>${Sanitizer.escapeHtml(code)}</li>`).join('')}
+            </ul>
+            <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                <button type="button" class="btn btn-outline" data-two-factor-action="copy-codes">Copy</button>
+                <button type="button" class="btn btn-outline" data-two-factor-action="download-codes">Download</button>
+                <button type="button" class="btn btn-primary" data-two-factor-action="done">I've Saved These</button>
+            </div>
+        `;
+    }
+    
+    /**
+     * Download the recovery codes as a text file
+     */
+    downloadRecoveryCodes() {
+        const text = [
+            'VettedPulse two-factor recovery codes',
+            `Generated ${new Date().toLocaleString()}`,
+            '',
+            ...this.recoveryCodes
+        ].join('\n');
+        
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'vettedpulse-recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    // ============================================
+    // DISABLE / REGENERATE
+    // ============================================
+    
+    /**
+     * Ask for a code before a sensitive change
+     * @param {string} action - 'disable' or 'regenerate'
+     */
+    renderConfirm(action) {
+        const message = action === 'disable'
+            ? 'Enter a code from your authenticator app or a recovery code to turn off two-factor authentication.'
+            : 'Enter a code from your authenticator app to replace your recovery codes. Your old codes will stop working.';
+        
+        this.content.innerHTML = `
+            <p class="text-muted mb-3">${message}</p>
+            ${this.codeFormHtml(action, action === 'disable' ? 'Disable' : 'Generate New Codes')}
+        `;
+        
+        this.content.querySelector('input').focus();
+    }
+    
+    /**
+     * Turn off 2FA
+     * @param {string} value - TOTP or recovery code
+     */
+    async handleDisable(value) {
+        const body = Validator.isValidTotpCode(value)
+            ? { code: value.replace(/\s+/g, '') }
+            : { recoveryCode: value };
+        
+        try {
+            await ApiClient.post('disableTwoFactor', body, { auth: true });
+            
+            this.status = { ...this.status, enabled: false, enabledAt: null, recoveryCodesRemaining: 0 };
+            this.renderStatus();
+            this.dashboard.showAlert('success', 'Two-factor authentication disabled');
+        } catch (error) {
+            console.error('Error disabling two-factor:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not disable two-factor authentication');
+        }
+    }
+    
+    /**
+     * Replace the recovery codes
+     * @param {string} code - 6-digit code
+     */
+    async handleRegenerate(code) {
+        try {
+            const data = await ApiClient.post('regenerateRecoveryCodes', { code }, { auth: true });
+            
+            this.status.recoveryCodesRemaining = data.recoveryCodes.length;
+            this.renderRecoveryCodes(data.recoveryCodes);
+            this.dashboard.showAlert('success', 'New recovery codes generated');
+        } catch (error) {
+            console.error('Error regenerating recovery codes:', error);
+            this.dashboard.showAlert('error', error.message || 'Could not generate new recovery codes');
+        }
+    }
+    
+    // ============================================
+    // EVENTS
+    // ============================================
+    
+    /**
+     * Handle button clicks inside the section
+     * @param {Event} e - Click event
+     */
+    async handleClick(e) {
+        const button = e.target.closest('[data-two-factor-action]');
+        if (!button) return;
+        
+        switch (button.dataset.twoFactorAction) {
+            case 'setup':
+                await this.startSetup();
+                break;
+            case 'disable':
+            case 'regenerate':
+                this.renderConfirm(button.dataset.twoFactorAction);
+                break;
+            case 'copy-codes':
+                await window.copyToClipboard(this.recoveryCodes.join('\n'), button);
+                break;
+            case 'download-codes':
+                this.downloadRecoveryCodes();
+                break;
+            case 'done':
+                this.recoveryCodes = null;
+                this.renderStatus();
+                break;
+            case 'cancel':
+                this.loadStatus();
+                break;
+        }
+    }
+    
+    /**
+     * Handle code form submission
+     * @param {Event} e - Submit event
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const action = form.dataset.twoFactorForm;
+        const value = form.querySelector('input').value.trim();
+        const allowRecovery = action === 'disable';
+        
+        if (!Validator.isValidTotpCode(value) && !(allowRecovery && Validator.isValidRecoveryCode(value))) {
+            this.dashboard.showAlert('error', allowRecovery
+                ? 'Enter a 6-digit code or a recovery code'
+                : 'Enter the 6-digit code from your authenticator app');
+            return;
+        }
+        
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        
+        try {
+            switch (action) {
+                case 'enable':
+                    await this.handleEnable(value.replace(/\s+/g, ''));
+                    break;
+                case 'disable':
+                    await this.handleDisable(value);
+                    break;
+                case 'regenerate':
+                    await this.handleRegenerate(value.replace(/\s+/g, ''));
+                    break;
+            }
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    // ============================================
+    // HELPERS
+    // ============================================
+    
+    /**
+     * Code entry form markup
+     * @param {string} action - Form action
+     * @param {string} label - Submit button label
+     * @returns {string} - HTML
+     */
+    codeFormHtml(action, label) {
+        // Required enrollment can't be cancelled
+        const canCancel = !(action === 'enable' && this.status?.required);
+        
+        return `
+            <form data-two-factor-form="${action}" class="mt-3">
+                <div class="form-group">
+                    <label for="twoFactorInput">Authentication Code</label>
+                    <input type="text" class="form-control" id="twoFactorInput"
+                           maxlength="11" autocomplete="one-time-code"
+                           autocapitalize="off" spellcheck="false" required
+                           placeholder="123456" style="max-width: 200px;">
+                </div>
+                <div style="display: flex; gap: 1rem; flex-wrap: wrap;">
+                    <button type="submit" class="btn btn-primary">${label}</button>
+                    ${canCancel ? '<button type="button" class="btn btn-outline" data-two-factor-action="cancel">Cancel</button>' : ''}
+                </div>
+            </form>
+        `;
+    }
+    
+    /**
+     * Split a secret into groups of four for manual entry
+     * @param {string} secret - Base32 secret
+     * @returns {string} - Grouped secret
+     */
+    formatSecret(secret) {
+        return secret.match(/.{1,4}/g).join(' ');
+    }
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+window.TwoFactorManager = TwoFactorManager;
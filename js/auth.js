@@ -18,10 +18,16 @@ console.log('🔍 APPS_SCRIPT_URL:', CONFIG?.APPS_SCRIPT_URL || 'CONFIG not load
 
 class Auth {
     constructor() {
-        this.loginAttempts = new Map();
+        this.lockoutTimer = null;
+        this.captcha = null;
         this.pendingEmail = null;
         this.systemStatus = 'ONLINE';
         this.verificationTimer = null;
+        this.twoFactorChallenge = null;
+        this.resetEmail = null;
+        this.resetToken = null;
+        this.undoToken = null;
+        this.magicLink = null;
         
         this.init();
     }
@@ -33,13 +39,26 @@ class Auth {
         // Check system status
         this.checkSystemStatus();
         
-        // Check for existing session
-        this.validateExistingSession();
+        // Check for existing session (pages opened from emailed links handle it themselves)
+        if (!this.isMagicLinkPage() && !this.isEmailChangePage()) {
+            this.validateExistingSession();
+        }
+        
+        // Signed in from another tab - follow it to the dashboard
+        Session.subscribe((type) => {
+            if (type === Session.EVENTS.login && this.isAuthPage()) {
+                window.location.href = '/dashboard/';
+            }
+        });
         
         // Bind form handlers
         const loginForm = document.getElementById('loginForm');
         if (loginForm) {
             loginForm.addEventListener('submit', (e) => this.handleLogin(e));
+            document.getElementById('email').addEventListener('change', (e) => {
+                this.resumeLockout(Sanitizer.sanitizeEmail(e.target.value));
+            });
+            this.showLogoutReason();
         }
         
         const signupForm = document.getElementById('signupForm');
@@ -48,6 +67,54 @@ class Auth {
             this.loadTierOptions();
         }
         
+        const passkeyLogin = document.getElementById('passkeyLogin');
+        if (passkeyLogin && Features.isEnabled('passkeys') && Passkey.isSupported()) {
+            passkeyLogin.style.display = 'block';
+            document.getElementById('passkeyLoginBtn').addEventListener('click', () => this.handlePasskeyLogin());
+        }
+        
+        const magicLinkOption = document.getElementById('magicLinkOption');
+        if (magicLinkOption && Features.isEnabled('magicLinks')) {
+            magicLinkOption.style.display = 'block';
+            document.getElementById('magicLinkBtn').addEventListener('click', (e) => this.handleMagicLinkRequest(e));
+        }
+        
+        if (this.isMagicLinkPage()) {
+            document.getElementById('magicLinkSignInBtn').addEventListener('click', () => this.handleMagicLinkSignIn());
+            this.loadMagicLink();
+        }
+        
+        if (this.isEmailChangePage()) {
+            document.getElementById('emailUndoBtn').addEventListener('click', () => this.handleEmailChangeUndo());
+            this.loadEmailChangeUndo();
+        }
+        
+        const twoFactorForm = document.getElementById('twoFactorForm');
+        if (twoFactorForm) {
+            twoFactorForm.addEventListener('submit', (e) => this.handleTwoFactor(e));
+            document.getElementById('cancelTwoFactor').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.resetTwoFactorStep();
+            });
+        }
+        
+        const reactivateSection = document.getElementById('reactivateSection');
+        if (reactivateSection) {
+            document.getElementById('reactivateBtn').addEventListener('click', () => this.handleReactivate());
+            document.getElementById('cancelReactivate').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.hideReactivateStep();
+            });
+        }
+        
+        const resetRequestForm = document.getElementById('resetRequestForm');
+        if (resetRequestForm) {
+            resetRequestForm.addEventListener('submit', (e) => this.handleResetRequest(e));
+            document.getElementById('resetPasswordForm').addEventListener('submit', (e) => this.handleResetPassword(e));
+            document.getElementById('resendReset').addEventListener('click', (e) => this.resendReset(e));
+            this.loadResetLink();
+        }
+        
         const verificationForm = document.getElementById('verificationForm');
         if (verificationForm) {
             verificationForm.addEventListener('submit', (e) => this.handleVerification(e));
@@ -74,10 +141,7 @@ class Auth {
      */
     async checkSystemStatus() {
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.getSystemStatus}&_=${Date.now()}`
-            );
-            const data = await response.json();
+            const data = await ApiClient.get('getSystemStatus');
             
             this.systemStatus = data.status;
             
@@ -126,26 +190,19 @@ class Auth {
      * @returns {Promise<boolean>}
      */
     async validateExistingSession() {
-        const token = localStorage.getItem('token');
+        const token = Session.getToken();
         const affiliateId = localStorage.getItem('affiliateID');
         
         if (!token || !affiliateId) return false;
         
         // Check session age
-        const sessionStart = localStorage.getItem('sessionStart');
-        if (sessionStart) {
-            const age = Date.now() - parseInt(sessionStart);
-            if (age > CONFIG.SECURITY.sessionHours * 60 * 60 * 1000) {
-                this.logout();
-                return false;
-            }
+        if (!Session.isActive()) {
+            this.logout();
+            return false;
         }
         
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.validateSession}&token=${encodeURIComponent(token)}`
-            );
-            const data = await response.json();
+            const data = await ApiClient.get('validateSession', {}, { auth: true });
             
             if (!data.valid) {
                 this.logout();
@@ -153,73 +210,172 @@ class Auth {
             }
             
             // Redirect to dashboard if on auth pages
-            if (window.location.pathname.includes('login') || 
-                window.location.pathname.includes('signup')) {
+            if (this.isAuthPage()) {
                 window.location.href = '/dashboard/';
             }
             
             return true;
         } catch (error) {
             console.error('Session validation failed:', error);
+            
+            if (ApiClient.isBackendError(error)) {
+                this.logout();
+            }
             return false;
         }
     }
     
+    /**
+     * Explain why the user landed on the login page (set by Dashboard.logout)
+     */
+    showLogoutReason() {
+        const reason = new URLSearchParams(window.location.search).get('reason');
+        
+        if (reason === 'idle') {
+            this.showAlert('info', `You were logged out after ${CONFIG.SECURITY.idleTimeoutMinutes} minutes of inactivity.`);
+        } else if (reason === 'reset') {
+            this.showAlert('success', 'Password changed. Log in with your new password.');
+        } else if (reason === 'deactivated') {
+            this.showAlert('info', `Your account is deactivated. Log in within ${CONFIG.DEACTIVATION.graceDays} days if you change your mind.`);
+        }
+    }
+    
+    /**
+     * Check if this is the login or signup page
+     * @returns {boolean} - True on auth pages
+     */
+    isAuthPage() {
+        return window.location.pathname.includes('login') || 
+               window.location.pathname.includes('signup');
+    }
+    
+    /**
+     * Check if this is the sign-in link landing page
+     * @returns {boolean} - True on magic-link.html
+     */
+    isMagicLinkPage() {
+        return window.location.pathname.includes('magic-link');
+    }
+    
+    /**
+     * Check if this is the email change undo page
+     * @returns {boolean} - True on email-change.html
+     */
+    isEmailChangePage() {
+        return window.location.pathname.includes('email-change');
+    }
+    
     /**
      * Logout user
      */
     async logout() {
-        const token = localStorage.getItem('token');
+        const token = Session.getToken();
         
         if (token) {
             try {
-                await fetch(
-                    `${CONFIG.APPS_SCRIPT_URL}?action=${CONFIG.ENDPOINTS.logout}&token=${encodeURIComponent(token)}`
-                );
+                await ApiClient.get('logout', {}, { auth: true, skipRefresh: true });
             } catch (error) {
                 console.error('Logout API call failed:', error);
             }
         }
         
-        localStorage.removeItem('token');
-        localStorage.removeItem('affiliateID');
-        localStorage.removeItem('sessionStart');
-        localStorage.removeItem('tier');
+        Session.clear();
         
         window.location.href = '/login.html';
     }
     
     // ============================================
-    // RATE LIMITING
+    // LOGIN LOCKOUT
+    // The backend counts failures and locks the email; the lockout end is
+    // kept in localStorage only so the countdown survives a reload
     // ============================================
     
     /**
-     * Check rate limit for login attempts
-     * @param {string} email - User email
-     * @returns {boolean}
+     * Storage key for an email's lockout
+     * @param {string} email - Login email
+     * @returns {string} - localStorage key
+     */
+    getLockoutKey(email) {
+        return CONFIG.CACHE_KEYS.loginAttempts + email.toLowerCase();
+    }
+    
+    /**
+     * Show the countdown again if this email is still locked
+     * @param {string} email - Login email
+     * @returns {boolean} - True if locked
      */
-    checkRateLimit(email) {
-        const now = Date.now();
-        const attempts = this.loginAttempts.get(email) || [];
+    resumeLockout(email) {
+        if (!email) return false;
         
-        // Clean old attempts
-        const recentAttempts = attempts.filter(
-            timestamp => now - timestamp < CONFIG.SECURITY.rateLimitWindow
-        );
+        const lockedUntil = parseInt(localStorage.getItem(this.getLockoutKey(email)), 10) || 0;
+        if (lockedUntil <= Date.now()) {
+            localStorage.removeItem(this.getLockoutKey(email));
+            return false;
+        }
         
-        this.loginAttempts.set(email, recentAttempts);
+        this.startLockoutCountdown(email, lockedUntil);
+        return true;
+    }
+    
+    /**
+     * Disable the login form and count down to the end of a lockout
+     * @param {string} email - Locked email
+     * @param {number} lockedUntil - Timestamp in ms
+     */
+    startLockoutCountdown(email, lockedUntil) {
+        const button = document.querySelector('#loginForm button[type="submit"]');
+        
+        localStorage.setItem(this.getLockoutKey(email), lockedUntil.toString());
+        this.hideCaptcha();
+        clearInterval(this.lockoutTimer);
+        button.disabled = true;
+        
+        const tick = () => {
+            const remaining = lockedUntil - Date.now();
+            
+            if (remaining <= 0) {
+                clearInterval(this.lockoutTimer);
+                this.lockoutTimer = null;
+                localStorage.removeItem(this.getLockoutKey(email));
+                button.disabled = false;
+                this.showAlert('info', 'You can try logging in again.');
+                return;
+            }
+            
+            const seconds = Math.ceil(remaining / 1000);
+            this.showAlert('error', 
+                `Too many failed login attempts. Try again in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}.`
+            );
+        };
         
-        return recentAttempts.length < CONFIG.SECURITY.maxLoginAttempts;
+        tick();
+        this.lockoutTimer = setInterval(tick, 1000);
     }
     
     /**
-     * Record login attempt
-     * @param {string} email - User email
+     * Ask the security question the backend sent with a failed login
+     * @param {Object} captcha - { id, question }
      */
-    recordLoginAttempt(email) {
-        const attempts = this.loginAttempts.get(email) || [];
-        attempts.push(Date.now());
-        this.loginAttempts.set(email, attempts);
+    showCaptcha(captcha) {
+        this.captcha = captcha;
+        
+        document.getElementById('captchaQuestion').textContent = captcha.question;
+        document.getElementById('captchaAnswer').value = '';
+        document.getElementById('captchaAnswer').required = true;
+        document.getElementById('captchaGroup').style.display = 'block';
+    }
+    
+    /**
+     * Remove the security question
+     */
+    hideCaptcha() {
+        this.captcha = null;
+        
+        const group = document.getElementById('captchaGroup');
+        if (!group) return;
+        
+        group.style.display = 'none';
+        document.getElementById('captchaAnswer').required = false;
     }
     
     // ============================================
@@ -245,52 +401,664 @@ class Auth {
             return;
         }
         
-        // Rate limiting check
-        if (!this.checkRateLimit(email)) {
-            this.showAlert('error', `Too many login attempts. Please wait ${CONFIG.SECURITY.loginLockoutMinutes} minutes.`);
+        if (this.resumeLockout(email)) return;
+        
+        this.showAlert('info', 'Authenticating...');
+        
+        try {
+            const data = await this.postLogin({
+                email: email,
+                password: await PasswordHash.derive(password, email),
+                passwordScheme: PasswordHash.SCHEME,
+                ...(this.captcha ? {
+                    captchaId: this.captcha.id,
+                    captchaAnswer: document.getElementById('captchaAnswer').value.trim()
+                } : {}),
+                ...await this.getDeviceInfo()
+            }, password);
+            
+            this.hideCaptcha();
+            
+            if (data.twoFactorRequired) {
+                this.showTwoFactorStep(data.challengeToken);
+                return;
+            }
+            
+            this.completeLogin(data);
+        } catch (error) {
+            console.error('Login error:', error);
+            
+            if (error.data?.deactivated) {
+                this.hideCaptcha();
+                this.showReactivateStep(error.data.deletionScheduledAt);
+            } else if (ApiClient.isLockedOut(error)) {
+                this.startLockoutCountdown(email, new Date(error.data.lockedUntil).getTime());
+            } else if (ApiClient.isBackendError(error)) {
+                if (error.data?.captchaRequired) {
+                    this.showCaptcha(error.data.captcha);
+                }
+                
+                const remaining = error.data?.attemptsRemaining;
+                this.showAlert('error', (error.message || 'Login failed') +
+                    (remaining ? ` ${remaining} ${remaining === 1 ? 'attempt' : 'attempts'} left before a ${CONFIG.SECURITY.loginLockoutMinutes}-minute lockout.` : '')
+                );
+            } else {
+                this.showAlert('error', error.message || 'Network error. Please try again.');
+            }
+        }
+    }
+    
+    /**
+     * Device details stored with the session (shown in Settings > Sessions),
+     * with this browser's privacy consent and device fingerprint
+     * @returns {Promise<Object>} - { ip, ipAttestation, ua, platform, timezone, consent, fingerprint, fingerprintVersion, fingerprintLevel, fingerprintStability }
+     */
+    async getDeviceInfo() {
+        const clientData = await ClientData.getClientData();
+        
+        return {
+            ip: clientData.ip,
+            ipAttestation: clientData.ipAttestation,
+            ua: clientData.ua,
+            platform: clientData.platform,
+            timezone: clientData.timezone,
+            consent: clientData.consent,
+            fingerprint: clientData.fingerprint,
+            fingerprintVersion: clientData.fingerprintVersion,
+            fingerprintLevel: clientData.fingerprintLevel,
+            fingerprintStability: clientData.fingerprintStability
+        };
+    }
+    
+    /**
+     * POST the login, upgrading accounts that still have a pre-PBKDF2 credential
+     * @param {Object} body - Login body with the derived password
+     * @param {string} password - Raw password (only for the legacy upgrade)
+     * @param {string} endpoint - 'login' or 'reactivateAccount'
+     * @returns {Promise<Object>} - Login response
+     * @throws {ApiError} - On failure
+     */
+    async postLogin(body, password, endpoint = 'login') {
+        try {
+            return await ApiClient.post(endpoint, body);
+        } catch (error) {
+            // Backend proves the old credential once, then stores the derived one
+            if (ApiClient.isBackendError(error) && error.data?.legacyPassword) {
+                return ApiClient.post(endpoint, { ...body, legacyPassword: PasswordHash.legacy(password) });
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Store the session and go to the dashboard (or to 2FA setup if the tier requires it)
+     * @param {Object} data - Login or verifyTwoFactor response
+     * @param {string} message - Success message shown before redirecting
+     */
+    completeLogin(data, message = 'Login successful! Redirecting...') {
+        Session.start(data);
+        
+        this.showAlert('success', message);
+        
+        setTimeout(() => {
+            window.location.href = data.twoFactorSetupRequired
+                ? '/dashboard/settings.html?setup=2fa'
+                : '/dashboard/';
+        }, 1500);
+    }
+    
+    // ============================================
+    // REACTIVATION
+    // ============================================
+    
+    /**
+     * Offer to reactivate a deactivated account whose password just matched
+     * @param {string} deletionScheduledAt - ISO date the account is deleted
+     */
+    showReactivateStep(deletionScheduledAt) {
+        const deletion = new Date(deletionScheduledAt).toLocaleDateString([], {
+            year: 'numeric', month: 'long', day: 'numeric'
+        });
+        
+        document.getElementById('reactivateMessage').textContent =
+            `This account was deactivated and will be deleted on ${deletion}. ` +
+            'Reactivate it to get your dashboard, stats and affiliate links back.';
+        document.getElementById('loginForm').style.display = 'none';
+        document.getElementById('passkeyLogin').classList.add('hidden');
+        document.getElementById('reactivateSection').style.display = 'block';
+        document.getElementById('alertContainer').innerHTML = '';
+    }
+    
+    /**
+     * Return to the email/password form
+     */
+    hideReactivateStep() {
+        document.getElementById('reactivateSection').style.display = 'none';
+        document.getElementById('password').value = '';
+        document.getElementById('loginForm').style.display = 'block';
+        document.getElementById('passkeyLogin').classList.remove('hidden');
+    }
+    
+    /**
+     * Reactivate with the email and password still in the login form
+     */
+    async handleReactivate() {
+        const email = Sanitizer.sanitizeEmail(document.getElementById('email').value);
+        const password = document.getElementById('password').value;
+        const button = document.getElementById('reactivateBtn');
+        
+        button.disabled = true;
+        this.showAlert('info', 'Reactivating your account...');
+        
+        try {
+            const data = await this.postLogin({
+                email: email,
+                password: await PasswordHash.derive(password, email),
+                passwordScheme: PasswordHash.SCHEME,
+                ...await this.getDeviceInfo()
+            }, password, 'reactivateAccount');
+            
+            // With 2FA on, the account comes back once the code is accepted
+            if (data.twoFactorRequired) {
+                document.getElementById('reactivateSection').style.display = 'none';
+                this.showTwoFactorStep(data.challengeToken);
+                return;
+            }
+            
+            this.completeLogin(data, 'Welcome back! Your account is active again. Redirecting...');
+        } catch (error) {
+            console.error('Reactivation error:', error);
+            this.hideReactivateStep();
+            this.showAlert('error', error.message || 'Could not reactivate your account. Please log in again.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    // ============================================
+    // TWO-FACTOR AUTHENTICATION
+    // ============================================
+    
+    /**
+     * Swap the login form for the authentication code step
+     * @param {string} challengeToken - Backend challenge from the password step
+     */
+    showTwoFactorStep(challengeToken) {
+        this.twoFactorChallenge = challengeToken;
+        
+        // Also reached from a sign-in link, where there is no login form
+        const loginForm = document.getElementById('loginForm');
+        if (loginForm) {
+            document.getElementById('password').value = '';
+            loginForm.style.display = 'none';
+            document.getElementById('passkeyLogin').classList.add('hidden');
+        } else {
+            document.getElementById('magicLinkStatus').style.display = 'none';
+        }
+        
+        document.getElementById('twoFactorSection').style.display = 'block';
+        document.getElementById('alertContainer').innerHTML = '';
+        document.getElementById('twoFactorCode').focus();
+    }
+    
+    /**
+     * Return to the email/password form
+     */
+    resetTwoFactorStep() {
+        this.twoFactorChallenge = null;
+        
+        if (!document.getElementById('loginForm')) {
+            window.location.href = '/login.html';
+            return;
+        }
+        
+        document.getElementById('twoFactorForm').reset();
+        document.getElementById('twoFactorSection').style.display = 'none';
+        document.getElementById('loginForm').style.display = 'block';
+        document.getElementById('passkeyLogin').classList.remove('hidden');
+    }
+    
+    /**
+     * Handle authentication code submission
+     * @param {Event} e - Form submit event
+     */
+    async handleTwoFactor(e) {
+        e.preventDefault();
+        
+        const input = document.getElementById('twoFactorCode');
+        const value = input.value.trim();
+        const isTotp = Validator.isValidTotpCode(value);
+        
+        if (!isTotp && !Validator.isValidRecoveryCode(value)) {
+            this.showAlert('error', 'Enter the 6-digit code from your authenticator app or a recovery code');
             return;
         }
         
-        this.showAlert('info', 'Authenticating...');
+        this.showAlert('info', 'Verifying...');
+        
+        try {
+            const data = await ApiClient.post('verifyTwoFactor', {
+                challengeToken: this.twoFactorChallenge,
+                ...(isTotp ? { code: value.replace(/\s+/g, '') } : { recoveryCode: value })
+            });
+            
+            this.twoFactorChallenge = null;
+            this.completeLogin(data, isTotp
+                ? undefined
+                : `Recovery code accepted - ${data.recoveryCodesRemaining} left. Generate new ones in Settings if you are running low.`
+            );
+        } catch (error) {
+            console.error('Two-factor error:', error);
+            
+            if (error.data?.challengeExpired) {
+                this.resetTwoFactorStep();
+            } else {
+                input.value = '';
+                input.focus();
+            }
+            this.showAlert('error', error.message || 'Verification failed');
+        }
+    }
+    
+    // ============================================
+    // PASSKEYS
+    // ============================================
+    
+    /**
+     * Sign in with a passkey (no email or password needed)
+     */
+    async handlePasskeyLogin() {
+        const button = document.getElementById('passkeyLoginBtn');
+        button.disabled = true;
+        
+        try {
+            const options = await ApiClient.post('getPasskeyLoginOptions', {});
+            
+            let credential;
+            try {
+                credential = await Passkey.authenticate(options);
+            } catch (error) {
+                console.warn('Passkey prompt failed:', error);
+                this.showAlert(Passkey.isCancelled(error) ? 'info' : 'error', Passkey.describeError(error));
+                return;
+            }
+            
+            this.showAlert('info', 'Signing in...');
+            const data = await ApiClient.post('loginWithPasskey', {
+                credential,
+                ...await this.getDeviceInfo()
+            });
+            this.completeLogin(data);
+        } catch (error) {
+            console.error('Passkey login error:', error);
+            this.showAlert('error', error.message || 'Passkey sign-in failed');
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    // ============================================
+    // SIGN-IN LINKS
+    // ============================================
+    
+    /**
+     * Email a single-use sign-in link to the address in the login form
+     * @param {Event} e - Click event
+     */
+    async handleMagicLinkRequest(e) {
+        e.preventDefault();
+        
+        if (!await this.checkSystemStatus()) return;
+        
+        const email = Sanitizer.sanitizeEmail(document.getElementById('email').value);
+        
+        if (!Validator.isEmail(email)) {
+            this.showAlert('error', 'Enter your email address above, then ask for a sign-in link');
+            document.getElementById('email').focus();
+            return;
+        }
+        
+        this.showAlert('info', 'Sending sign-in link...');
         
         try {
-            // Get real client data
             const clientData = await ClientData.getClientData();
+            const data = await ApiClient.post('requestMagicLink', {
+                email,
+                ip: clientData.ip,
+                ipAttestation: clientData.ipAttestation,
+                ua: clientData.ua
+            });
             
-            // Build URL with real IP
-            const url = new URL(CONFIG.APPS_SCRIPT_URL);
-            url.searchParams.append('action', CONFIG.ENDPOINTS.login);
-            url.searchParams.append('email', email);
-            url.searchParams.append('password', this.hashPassword(password));
-            url.searchParams.append('ip', clientData.ip);
-            url.searchParams.append('ua', clientData.ua);
-            url.searchParams.append('_', Date.now());
-            
-            const response = await fetch(url);
-            const data = await response.json();
-            
-            if (data.success) {
-                // Clear rate limiting on success
-                this.loginAttempts.delete(email);
-                
-                // Store session
-                localStorage.setItem('token', data.token);
-                localStorage.setItem('affiliateID', data.affiliateID);
-                localStorage.setItem('tier', data.tier);
-                localStorage.setItem('sessionStart', Date.now().toString());
-                
-                this.showAlert('success', 'Login successful! Redirecting...');
-                
-                setTimeout(() => {
-                    window.location.href = '/dashboard/';
-                }, 1500);
+            this.showAlert('success', 
+                `If an account exists for ${email}, we've emailed it a sign-in link. ` +
+                `It works once and expires in ${data.expiresInMinutes} minutes.`
+            );
+        } catch (error) {
+            console.error('Sign-in link request error:', error);
+            
+            if (error.data?.emailQuota) {
+                this.handleEmailQuota(error.message);
             } else {
-                this.recordLoginAttempt(email);
-                this.showAlert('error', data.message || 'Login failed');
+                this.showAlert('error', error.message || 'Could not send sign-in link');
+            }
+        }
+    }
+    
+    /**
+     * Email sending is constrained - send the user to the waitlist notice
+     * @param {string} message - Backend message
+     */
+    handleEmailQuota(message) {
+        if (!Features.isEnabled('waitlistEnabled')) {
+            this.showAlert('warning', message);
+            return;
+        }
+        
+        this.showAlert('warning', `${message} You will be redirected shortly.`);
+        
+        setTimeout(() => {
+            window.location.href = CONFIG.QUOTA_WARNING.REDIRECT_PAGE;
+        }, 3000);
+    }
+    
+    /**
+     * Pick up an emailed sign-in link (magic-link.html#email=...&token=...).
+     * Like reset links, the token sits in the fragment and is removed from
+     * the address bar straight away. Nothing is exchanged until the button
+     * is pressed, so a mail scanner opening the link can't use it up.
+     */
+    loadMagicLink() {
+        const link = new URLSearchParams(window.location.hash.slice(1));
+        history.replaceState(null, '', window.location.pathname);
+        
+        let email = '';
+        try {
+            email = Sanitizer.sanitizeEmail(link.get('email') || '');
+        } catch {
+            // Malformed address - same as a missing one
+        }
+        const token = link.get('token');
+        
+        if (!email || !token) {
+            this.showMagicLinkFailed('This sign-in link is incomplete. Copy the whole link from the email, or request a new one.');
+            return;
+        }
+        
+        this.magicLink = { email, token };
+        
+        const button = document.getElementById('magicLinkSignInBtn');
+        button.textContent = `Sign in as ${email}`;
+        button.disabled = false;
+    }
+    
+    /**
+     * Exchange the sign-in link for a session
+     */
+    async handleMagicLinkSignIn() {
+        if (!this.magicLink) return;
+        
+        const button = document.getElementById('magicLinkSignInBtn');
+        button.disabled = true;
+        
+        this.showAlert('info', 'Signing in...');
+        
+        try {
+            const data = await ApiClient.post('loginWithMagicLink', {
+                email: this.magicLink.email,
+                linkToken: this.magicLink.token,
+                ...await this.getDeviceInfo()
+            });
+            
+            if (data.twoFactorRequired) {
+                this.showTwoFactorStep(data.challengeToken);
+                return;
             }
+            
+            this.completeLogin(data);
         } catch (error) {
-            console.error('Login error:', error);
-            this.showAlert('error', 'Network error. Please try again.');
+            console.error('Sign-in link error:', error);
+            this.showMagicLinkFailed(error.message || 'Sign-in failed. Please try again.');
+        }
+    }
+    
+    /**
+     * Show why a sign-in link did not work
+     * @param {string} message - Error message
+     */
+    showMagicLinkFailed(message) {
+        document.getElementById('magicLinkStatus').style.display = 'none';
+        document.getElementById('magicLinkFailed').style.display = 'block';
+        this.showAlert('error', message);
+    }
+    
+    // ============================================
+    // EMAIL CHANGE UNDO
+    // ============================================
+    
+    /**
+     * Pick up the undo link sent to the old address
+     * (email-change.html#undo=...). Nothing happens until the button is
+     * pressed, so a mail scanner opening the link can't undo anything.
+     */
+    loadEmailChangeUndo() {
+        this.undoToken = new URLSearchParams(window.location.hash.slice(1)).get('undo');
+        history.replaceState(null, '', window.location.pathname);
+        
+        if (!this.undoToken) {
+            document.getElementById('emailUndoBtn').disabled = true;
+            this.showAlert('error', 'This undo link is incomplete. Copy the whole link from the email.');
+        }
+    }
+    
+    /**
+     * Undo the email change (or cancel it if it was never confirmed)
+     */
+    async handleEmailChangeUndo() {
+        const button = document.getElementById('emailUndoBtn');
+        button.disabled = true;
+        
+        this.showAlert('info', 'Undoing email change...');
+        
+        try {
+            const data = await ApiClient.post('undoEmailChange', { undoToken: this.undoToken });
+            
+            this.undoToken = null;
+            document.getElementById('emailUndoSection').style.display = 'none';
+            document.getElementById('emailUndoDone').style.display = 'block';
+            
+            if (data.reverted) {
+                // Every session was ended by the backend - drop this tab's too
+                Session.clear();
+                this.showAlert('success', 
+                    `Your account email is ${data.email} again and every device has been signed out. ` +
+                    'Log in and change your password.'
+                );
+            } else {
+                this.showAlert('success', `The email change was cancelled. Your account email is still ${data.email}.`);
+            }
+        } catch (error) {
+            console.error('Email change undo error:', error);
+            this.showAlert('error', error.message || 'Could not undo the email change');
+            button.disabled = !!error.data?.undoExpired;
+        }
+    }
+    
+    // ============================================
+    // PASSWORD RESET
+    // ============================================
+    
+    /**
+     * Pick up an emailed reset link (reset-password.html#email=...&token=...).
+     * The token travels in the fragment so it never reaches server logs, and
+     * is removed from the address bar straight away.
+     */
+    loadResetLink() {
+        const link = new URLSearchParams(window.location.hash.slice(1));
+        const token = link.get('token');
+        
+        if (!token) return;
+        
+        history.replaceState(null, '', window.location.pathname);
+        
+        let email = '';
+        try {
+            email = Sanitizer.sanitizeEmail(link.get('email') || '');
+        } catch {
+            // Malformed address - same as a missing one
+        }
+        
+        if (!email) {
+            this.showAlert('error', 'This reset link is incomplete. Copy the whole link from the email, or request a new one.');
+            return;
+        }
+        
+        this.resetToken = token;
+        this.showResetStep(email);
+    }
+    
+    /**
+     * Swap the email form for the new-password form
+     * @param {string} email - Account email
+     */
+    showResetStep(email) {
+        this.resetEmail = email;
+        
+        document.getElementById('resetRequestForm').style.display = 'none';
+        document.getElementById('resetSection').style.display = 'block';
+        
+        // A signed link replaces the code
+        document.getElementById('resetCodeGroup').style.display = this.resetToken ? 'none' : 'block';
+        document.getElementById('resetCode').required = !this.resetToken;
+        document.getElementById('resendResetInfo').style.display = this.resetToken ? 'none' : 'block';
+        document.getElementById('resetInstructions').textContent = this.resetToken
+            ? `Choose a new password for ${email}.`
+            : `If an account exists for ${email}, we've sent an 8-digit code and a reset link. Enter the code and your new password below.`;
+    }
+    
+    /**
+     * Return to the email form (reset expired or used up)
+     */
+    resetResetStep() {
+        this.resetEmail = null;
+        this.resetToken = null;
+        
+        document.getElementById('resetPasswordForm').reset();
+        document.getElementById('resetSection').style.display = 'none';
+        document.getElementById('resetRequestForm').style.display = 'block';
+    }
+    
+    /**
+     * Ask the backend to email a reset code and link
+     * @param {string} email - Account email
+     */
+    async sendResetRequest(email) {
+        const clientData = await ClientData.getClientData();
+        
+        return ApiClient.post('requestPasswordReset', {
+            email,
+            ip: clientData.ip,
+            ipAttestation: clientData.ipAttestation,
+            ua: clientData.ua
+        });
+    }
+    
+    /**
+     * Handle reset request form submission
+     * @param {Event} e - Form submit event
+     */
+    async handleResetRequest(e) {
+        e.preventDefault();
+        
+        const email = Sanitizer.sanitizeEmail(document.getElementById('email').value);
+        
+        if (!Validator.isEmail(email)) {
+            this.showAlert('error', 'Please enter a valid email address');
+            return;
+        }
+        
+        this.showAlert('info', 'Sending reset code...');
+        
+        try {
+            await this.sendResetRequest(email);
+            
+            this.resetToken = null;
+            this.showResetStep(email);
+            this.showAlert('success', 'Check your email for the reset code.');
+        } catch (error) {
+            console.error('Reset request error:', error);
+            this.showAlert('error', error.message || 'Could not send reset code');
+        }
+    }
+    
+    /**
+     * Send another reset code to the same email
+     * @param {Event} e - Click event
+     */
+    async resendReset(e) {
+        e.preventDefault();
+        
+        if (!this.resetEmail) return;
+        
+        try {
+            await this.sendResetRequest(this.resetEmail);
+            this.showAlert('success', 'New reset code sent. Earlier codes no longer work.');
+        } catch (error) {
+            console.error('Resend reset error:', error);
+            this.showAlert('error', error.message || 'Could not send reset code');
+        }
+    }
+    
+    /**
+     * Handle new password form submission
+     * @param {Event} e - Form submit event
+     */
+    async handleResetPassword(e) {
+        e.preventDefault();
+        
+        const code = document.getElementById('resetCode').value.trim();
+        const password = document.getElementById('newPassword').value;
+        const confirmPassword = document.getElementById('confirmPassword').value;
+        
+        if (!this.resetToken && !Validator.isValidVerificationCode(code)) {
+            this.showAlert('error', 'Please enter the 8-digit code from your email');
+            return;
+        }
+        
+        const passwordCheck = Validator.isStrongPassword(password);
+        if (!passwordCheck.valid) {
+            this.showAlert('error', `Password too weak: ${passwordCheck.reason}`);
+            return;
+        }
+        
+        if (password !== confirmPassword) {
+            this.showAlert('error', 'Passwords do not match');
+            return;
+        }
+        
+        this.showAlert('info', 'Resetting your password...');
+        
+        try {
+            await ApiClient.post('resetPassword', {
+                email: this.resetEmail,
+                ...(this.resetToken ? { resetToken: this.resetToken } : { code }),
+                password: await PasswordHash.derive(password, this.resetEmail),
+                passwordScheme: PasswordHash.SCHEME
+            });
+            
+            // Every session was ended by the backend - drop this tab's too
+            Session.clear();
+            
+            this.showAlert('success', 'Password reset! Redirecting to login...');
+            setTimeout(() => {
+                window.location.href = '/login.html?reason=reset';
+            }, 2000);
+        } catch (error) {
+            console.error('Password reset error:', error);
+            
+            if (error.data?.resetExpired) {
+                this.resetResetStep();
+            }
+            this.showAlert('error', error.message || 'Password reset failed');
         }
     }
     
@@ -299,19 +1067,29 @@ class Auth {
     // ============================================
     
     /**
-     * Load tier options into signup form
+     * Load tier options into signup form (after runtime tier config)
      */
-    loadTierOptions() {
+    async loadTierOptions() {
         const tierOptions = document.getElementById('tierOptions');
         if (!tierOptions) return;
         
+        // Without tiered access everyone starts in the base tier
+        if (!Features.isEnabled('tieredAccess')) {
+            tierOptions.closest('.form-group').classList.add('hidden');
+            return;
+        }
+        
+        await RuntimeConfig.load();
+        
         let html = '';
+        const baseTier = CONFIG.getBaseTier();
         
-        Object.entries(CONFIG.TIERS).forEach(([key, tier]) => {
+        CONFIG.getTierList().forEach(({ key, label, color }) => {
+            const tier = CONFIG.TIERS[key];
             html += `
                 <label class="tier-option">
-                    <input type="radio" name="tier" value="${key}" ${key === 'NEWBIE' ? 'checked' : ''}>
-                    <span class="tier-name" style="color: ${tier.color}">${tier.name}</span>
+                    <input type="radio" name="tier" value="${key}" ${key === baseTier ? 'checked' : ''}>
+                    <span class="tier-name" style="color: ${color}">${Sanitizer.escapeHtml(label)}</span>
                     <span class="tier-price">${tier.monthlyFee === 0 ? 'Free' : '$' + tier.monthlyFee + '/mo'}</span>
                     <span class="tier-spots">${tier.maxAffiliates} spots</span>
                 </label>
@@ -334,7 +1112,7 @@ class Auth {
         const name = document.getElementById('name').value.trim();
         const email = Sanitizer.sanitizeEmail(document.getElementById('email').value);
         const password = document.getElementById('password').value;
-        const selectedTier = document.querySelector('input[name="tier"]:checked')?.value || 'NEWBIE';
+        const selectedTier = document.querySelector('input[name="tier"]:checked')?.value || CONFIG.getBaseTier();
         
         // Validate inputs
         if (!Validator.isValidName(name)) {
@@ -359,43 +1137,43 @@ class Auth {
             // Get real client data
             const clientData = await ClientData.getClientData();
             
-            // Build URL
-            const url = new URL(CONFIG.APPS_SCRIPT_URL);
-            url.searchParams.append('action', CONFIG.ENDPOINTS.signup);
-            url.searchParams.append('name', name);
-            url.searchParams.append('email', email);
-            url.searchParams.append('password', this.hashPassword(password));
-            url.searchParams.append('requestedTier', selectedTier);
-            url.searchParams.append('ip', clientData.ip);
-            url.searchParams.append('ua', clientData.ua);
-            url.searchParams.append('_', Date.now());
-            
-            const response = await fetch(url);
-            const data = await response.json();
-            
-            if (data.success) {
-                this.showAlert('success', 'Account created! Check your email for verification code.');
-                this.pendingEmail = email;
-                
-                // Hide signup form, show verification
-                document.getElementById('signupForm').style.display = 'none';
-                document.getElementById('verificationSection').style.display = 'block';
-                
-                // Start verification timer
-                this.startVerificationTimer();
-            } else {
-                // Check if manual verification needed
-                if (data.manualVerification) {
-                    this.showManualVerification(data.message);
-                } else if (data.tierFull) {
-                    this.handleTierFull(data.availableTier);
-                } else {
-                    this.showAlert('error', data.message || 'Signup failed');
-                }
-            }
+            await ApiClient.post('signup', {
+                name: name,
+                email: email,
+                password: await PasswordHash.derive(password, email),
+                passwordScheme: PasswordHash.SCHEME,
+                requestedTier: selectedTier,
+                ip: clientData.ip,
+                ipAttestation: clientData.ipAttestation,
+                ua: clientData.ua,
+                consent: clientData.consent,
+                // Saved by main.js from ?ref= on the landing page
+                referredBy: localStorage.getItem('referral')
+            });
+            
+            localStorage.removeItem('referral');
+            this.showAlert('success', 'Account created! Check your email for verification code.');
+            this.pendingEmail = email;
+            
+            // Hide signup form, show verification
+            document.getElementById('signupForm').style.display = 'none';
+            document.getElementById('verificationSection').style.display = 'block';
+            
+            // Start verification timer
+            this.startVerificationTimer();
         } catch (error) {
             console.error('Signup error:', error);
-            this.showAlert('error', 'Network error. Please try again.');
+            
+            const data = error.data || {};
+            
+            // Check if manual verification needed
+            if (data.manualVerification && Features.isEnabled('manualVerification')) {
+                this.showManualVerification(data.message);
+            } else if (data.tierFull) {
+                this.handleTierFull(data.availableTier);
+            } else {
+                this.showAlert('error', error.message || 'Signup failed');
+            }
         }
     }
     
@@ -409,6 +1187,10 @@ class Auth {
                 `Selected tier is full. ${availableTier} tier still available. ` +
                 'Please select another tier.'
             );
+        } else if (!Features.isEnabled('waitlistEnabled')) {
+            this.showAlert('warning', 
+                'All tiers are currently full. Please try again later.'
+            );
         } else {
             this.showAlert('warning', 
                 'All tiers are currently full. You will be redirected to the waitlist.'
@@ -487,35 +1269,28 @@ class Auth {
         try {
             const clientData = await ClientData.getClientData();
             
-            const url = new URL(CONFIG.APPS_SCRIPT_URL);
-            url.searchParams.append('action', CONFIG.ENDPOINTS.verify);
-            url.searchParams.append('email', email);
-            url.searchParams.append('code', code);
-            url.searchParams.append('ip', clientData.ip);
-            url.searchParams.append('ua', clientData.ua);
-            url.searchParams.append('_', Date.now());
+            await ApiClient.post('verify', {
+                email: email,
+                code: code,
+                ip: clientData.ip,
+                ipAttestation: clientData.ipAttestation,
+                ua: clientData.ua
+            });
             
-            const response = await fetch(url);
-            const data = await response.json();
+            this.showAlert('success', 'Account verified! Redirecting to login...');
+            this.pendingEmail = null;
             
-            if (data.success) {
-                this.showAlert('success', 'Account verified! Redirecting to login...');
-                this.pendingEmail = null;
-                
-                // Clear timer
-                if (this.verificationTimer) {
-                    clearInterval(this.verificationTimer);
-                }
-                
-                setTimeout(() => {
-                    window.location.href = '/login.html';
-                }, 2000);
-            } else {
-                this.showAlert('error', data.message || 'Invalid verification code');
+            // Clear timer
+            if (this.verificationTimer) {
+                clearInterval(this.verificationTimer);
             }
+            
+            setTimeout(() => {
+                window.location.href = '/login.html';
+            }, 2000);
         } catch (error) {
             console.error('Verification error:', error);
-            this.showAlert('error', 'Network error. Please try again.');
+            this.showAlert('error', error.message || 'Invalid verification code');
         }
     }
     
@@ -536,24 +1311,18 @@ class Auth {
         try {
             const clientData = await ClientData.getClientData();
             
-            const url = new URL(CONFIG.APPS_SCRIPT_URL);
-            url.searchParams.append('action', 'resendVerification');
-            url.searchParams.append('email', this.pendingEmail);
-            url.searchParams.append('ip', clientData.ip);
-            url.searchParams.append('ua', clientData.ua);
-            
-            const response = await fetch(url);
-            const data = await response.json();
+            await ApiClient.get('resendVerification', {
+                email: this.pendingEmail,
+                ip: clientData.ip,
+                ipAttestation: clientData.ipAttestation,
+                ua: clientData.ua
+            });
             
-            if (data.success) {
-                this.showAlert('success', 'Verification code resent!');
-                this.startVerificationTimer();
-            } else {
-                this.showAlert('error', data.message || 'Failed to resend');
-            }
+            this.showAlert('success', 'Verification code resent!');
+            this.startVerificationTimer();
         } catch (error) {
             console.error('Resend error:', error);
-            this.showAlert('error', 'Network error. Please try again.');
+            this.showAlert('error', error.message || 'Failed to resend');
         }
     }
     
@@ -561,15 +1330,6 @@ class Auth {
     // UTILITIES
     // ============================================
     
-    /**
-     * Simple hash for transmission (backend does real hashing)
-     * @param {string} password - Raw password
-     * @returns {string} - Hashed password
-     */
-    hashPassword(password) {
-        return btoa(password);
-    }
-    
     /**
      * Show alert message
      * @param {string} type - success|error|info|warning
@@ -1,18 +1,100 @@
 /**
  * VettedPulse Central Configuration
  * WARNING: Must match backend TIERS constant in Code.gs
+ * TIERS, CAPACITY and PULSE_SCORE are replaced at runtime by the backend's
+ * getConfig values (js/utils/runtimeConfig.js); the values here are the fallback
  */
 
+// ============================================
+// ENVIRONMENT PROFILES
+// Picked by hostname. Off production hosts, override
+// with ?env=staging (remembered in localStorage, clear
+// with ?env=auto)
+// ============================================
+
+const ENVIRONMENTS = {
+    development: {
+        label: 'DEV',
+        hosts: [/^localhost$/, /^127\.0\.0\.1$/],
+        // Mock backend (mock-backend/server.js) answers at /exec
+        appsScriptUrl: `${window.location.origin}/exec`,
+        debug: true,
+        features: {},
+        capacity: {}
+    },
+    staging: {
+        label: 'STAGING',
+        hosts: [/^staging\./, /-staging\./],
+        appsScriptUrl: 'https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec',
+        debug: true,
+        features: {
+            autoArchive: false
+        },
+        capacity: {
+            totalDailyClicks: 500,
+            totalDailySales: 50,
+            clickQuotaWarning: 400,
+            saleQuotaWarning: 40
+        }
+    },
+    production: {
+        label: 'PRODUCTION',
+        hosts: [],
+        appsScriptUrl: 'https://script.google.com/macros/s/AKfycbyDlH_OImYEXglrECSBJg0amfb-03t--quYs1lqeQle-czdfAJGYw2MWegj_qsY_Xmj/exec',
+        debug: false,
+        features: {},
+        capacity: {}
+    }
+};
+
+const ACTIVE_ENV = (function resolveEnvironment() {
+    const overrideKey = 'vp_env';
+    const isProfile = (name) => Object.prototype.hasOwnProperty.call(ENVIRONMENTS, name);
+    const hostname = window.location.hostname;
+    const hostProfile = Object.keys(ENVIRONMENTS).find(key =>
+        ENVIRONMENTS[key].hosts.some(pattern => pattern.test(hostname))
+    ) || 'production';
+    let name = null;
+
+    try {
+        // A link must never move production visitors to another backend
+        if (hostProfile === 'production') {
+            localStorage.removeItem(overrideKey);
+        } else {
+            const requested = new URLSearchParams(window.location.search).get('env');
+            if (requested === 'auto') {
+                localStorage.removeItem(overrideKey);
+            } else if (isProfile(requested)) {
+                localStorage.setItem(overrideKey, requested);
+            }
+            name = localStorage.getItem(overrideKey);
+        }
+    } catch (error) {
+        // Storage blocked - fall back to hostname
+    }
+
+    if (!isProfile(name)) {
+        name = hostProfile;
+    }
+
+    return { name, ...ENVIRONMENTS[name] };
+})();
+
 const CONFIG = {
     // ============================================
     // APPS SCRIPT CONFIGURATION
     // ============================================
     
     /**
-     * Your Google Apps Script Web App URL
+     * Active environment profile (development, staging, production)
+     */
+    ENVIRONMENT: ACTIVE_ENV.name,
+    
+    /**
+     * Your Google Apps Script Web App URL (set per profile in ENVIRONMENTS)
      * Format: https://script.google.com/macros/s/YOUR_SCRIPT_ID/exec
      */
-    APPS_SCRIPT_URL: 'https://script.google.com/macros/s/AKfycbyDlH_OImYEXglrECSBJg0amfb-03t--quYs1lqeQle-czdfAJGYw2MWegj_qsY_Xmj/exec',
+    APPS_SCRIPT_URL: ACTIVE_ENV.appsScriptUrl,
     
     /**
      * Site URL (auto-detected)
@@ -24,6 +106,12 @@ const CONFIG = {
     // ============================================
     
     SERVICES: {
+        // Answers { ip, attestation, expiresAt } for the caller. Empty uses the
+        // backend's attestIp action; Apps Script cannot see client IPs, so
+        // production points this at an edge function sharing the signing key
+        IP_ATTESTATION_URL: '',
+        IP_ATTESTATION_TIMEOUT: 3000,
+        // Third-party lookup, only with FEATURES.realIpTracking and ipLookup consent
         IPIFY_URL: 'https://api.ipify.org?format=json',
         IPIFY_TIMEOUT: 3000,
         CORS_PROXY: '' // Leave empty - we fixed CORS in backend
@@ -44,6 +132,7 @@ const CONFIG = {
             commissionMultiplier: 1.0,
             salesRequiredForUpgrade: 10,
             priority: 1,
+            requireTwoFactor: false,
             features: [
                 '5 clicks/day',
                 'Basic products',
@@ -60,6 +149,7 @@ const CONFIG = {
             commissionMultiplier: 1.15,
             salesRequiredForUpgrade: 50,
             priority: 2,
+            requireTwoFactor: false,
             features: [
                 '50 clicks/day',
                 'All products',
@@ -77,6 +167,7 @@ const CONFIG = {
             commissionMultiplier: 1.25,
             salesRequiredForUpgrade: 200,
             priority: 3,
+            requireTwoFactor: false,
             features: [
                 '200 clicks/day',
                 'Early access to products',
@@ -95,6 +186,7 @@ const CONFIG = {
             commissionMultiplier: 1.5,
             salesRequiredForUpgrade: null,
             priority: 4,
+            requireTwoFactor: false,
             features: [
                 '500 clicks/day',
                 'Exclusive products',
@@ -127,13 +219,18 @@ const CONFIG = {
     SECURITY: {
         maxLoginAttempts: 5,
         loginLockoutMinutes: 15,
+        captchaAfterAttempts: 3, // Failed logins before a security question is required (0 = never)
         sessionHours: 24,
         passwordMinLength: 8,
         passwordRequireSpecial: true,
         passwordRequireNumber: true,
         passwordRequireUpper: true,
+        passwordHashIterations: 310000, // PBKDF2 rounds - must match the backend, changing it invalidates every password
         rateLimitWindow: 15 * 60 * 1000,
         tokenRefreshMinutes: 60,
+        tokenRefreshLeadMinutes: 5,
+        idleTimeoutMinutes: 30,
+        idleWarningSeconds: 60,
         maxRequestSize: 1024 * 10
     },
     
@@ -159,6 +256,14 @@ const CONFIG = {
         ETA_CELL: 'Affiliates!Z3'
     },
     
+    // ============================================
+    // RUNTIME CONFIG (TIERS, CAPACITY, PULSE_SCORE)
+    // ============================================
+    
+    RUNTIME_CONFIG: {
+        cacheMinutes: 60
+    },
+    
     // ============================================
     // PULSE SCORE FORMULA
     // ============================================
@@ -171,17 +276,76 @@ const CONFIG = {
     
     // ============================================
     // FEATURE FLAGS
+    // Read through Features.isEnabled(name). Besides true/false a flag
+    // can target: { enabled, affiliates: [...], tiers: [...], rollout: 0-100 }
     // ============================================
     
     FEATURES: {
-        waitlistEnabled: true,
-        tieredAccess: true,
-        capacityMonitoring: true,
-        fraudDetection: true,
-        auditLogging: true,
-        autoArchive: true,
-        manualVerification: true,
-        realIpTracking: true
+        waitlistEnabled: true,      // Waitlist page and tier-full redirects
+        tieredAccess: true,         // Tier picker on signup, tier upgrades
+        capacityMonitoring: true,   // Dashboard capacity polling
+        fraudDetection: true,       // Fingerprints and click-pattern checks
+        auditLogging: true,         // Security audit log
+        autoArchive: true,          // Backend only
+        manualVerification: true,   // Manual verification notice on signup
+        realIpTracking: false,      // Third-party IP lookup when the first-party attestation fails
+        twoFactorAuth: true,        // TOTP enrollment on settings (tiers with requireTwoFactor always get it)
+        passkeys: true,             // Passkey sign-in and management (needs WebAuthn in the browser)
+        magicLinks: true            // "Email me a sign-in link" on login
+    },
+    
+    // ============================================
+    // DEVICE FINGERPRINT
+    // Bump version whenever js/utils/fingerprint.js
+    // changes its signals - the backend only compares
+    // fingerprints of the same version and level
+    // ============================================
+    
+    FINGERPRINT: {
+        version: 3,                 // 1 was a 32-bit hash of navigator fields; 2 had no level
+        minStability: 0.5,          // Weaker fingerprints are stored but never matched
+        audioTimeout: 1000          // ms before the audio signal is skipped
+    },
+    
+    // ============================================
+    // PRIVACY CONSENT
+    // What ClientData may collect beyond the strictly
+    // necessary. Bump version when a category is added
+    // or reworded so everyone is asked again.
+    // ============================================
+    
+    CONSENT: {
+        version: 2,
+        categories: {
+            fingerprinting: {
+                label: 'Fraud prevention',
+                description: 'Adds your screen and language settings, graphics card, and canvas and audio signatures to the device fingerprint, used to spot fake clicks and shared accounts.'
+            },
+            ipLookup: {
+                label: 'Third-party IP lookup',
+                description: 'Asks ipify, myip.com or icanhazip for your public IP address so activity is tied to the right network.'
+            },
+            analytics: {
+                label: 'Usage details',
+                description: 'The page you are on, the page that sent you here and your connection type.'
+            }
+        }
+    },
+    
+    // ============================================
+    // ACCOUNT DEACTIVATION
+    // ============================================
+    
+    DEACTIVATION: {
+        graceDays: 30,              // Reactivation window before permanent deletion
+        detailsMaxLength: 500,
+        reasons: {
+            not_using: 'I no longer promote these products',
+            low_earnings: 'Commissions are too low',
+            too_expensive: 'My tier costs too much',
+            privacy: 'Privacy concerns',
+            other: 'Something else'
+        }
     },
     
     // ============================================
@@ -213,7 +377,80 @@ const CONFIG = {
         click: 'click',
         sale: 'sale',
         redirect: 'redirect',
-        joinWaitlist: 'joinWaitlist'
+        joinWaitlist: 'joinWaitlist',
+        resendVerification: 'resendVerification',
+        upgradeTier: 'upgradeTier',
+        getConfig: 'getConfig',
+        reportConfigIssues: 'reportConfigIssues',
+        refreshToken: 'refreshToken',
+        verifyTwoFactor: 'verifyTwoFactor',
+        getTwoFactorStatus: 'getTwoFactorStatus',
+        setupTwoFactor: 'setupTwoFactor',
+        enableTwoFactor: 'enableTwoFactor',
+        disableTwoFactor: 'disableTwoFactor',
+        regenerateRecoveryCodes: 'regenerateRecoveryCodes',
+        getPasskeyLoginOptions: 'getPasskeyLoginOptions',
+        loginWithPasskey: 'loginWithPasskey',
+        getPasskeyRegistrationOptions: 'getPasskeyRegistrationOptions',
+        registerPasskey: 'registerPasskey',
+        listPasskeys: 'listPasskeys',
+        renamePasskey: 'renamePasskey',
+        deletePasskey: 'deletePasskey',
+        requestPasswordReset: 'requestPasswordReset',
+        resetPassword: 'resetPassword',
+        listSessions: 'listSessions',
+        revokeSession: 'revokeSession',
+        revokeOtherSessions: 'revokeOtherSessions',
+        requestMagicLink: 'requestMagicLink',
+        loginWithMagicLink: 'loginWithMagicLink',
+        requestEmailChange: 'requestEmailChange',
+        resendEmailChange: 'resendEmailChange',
+        confirmEmailChange: 'confirmEmailChange',
+        cancelEmailChange: 'cancelEmailChange',
+        undoEmailChange: 'undoEmailChange',
+        updateProfile: 'updateProfile',
+        changePassword: 'changePassword',
+        requestDeactivation: 'requestDeactivation',
+        confirmDeactivation: 'confirmDeactivation',
+        reactivateAccount: 'reactivateAccount',
+        exportData: 'exportData',
+        attestIp: 'attestIp'
+    },
+    
+    // ============================================
+    // API REQUEST POLICY
+    // Endpoints are not retried unless marked idempotent,
+    // so a new write endpoint is never double-submitted
+    // ============================================
+    
+    API_POLICY: {
+        default: {
+            timeout: 15000,
+            retries: 2,
+            backoffBase: 500,
+            backoffMax: 8000,
+            idempotent: false
+        },
+        endpoints: {
+            signup: { timeout: 30000 },
+            validateSession: { idempotent: true },
+            logout: { retries: 0, timeout: 5000 },
+            getDashboard: { idempotent: true },
+            getProducts: { idempotent: true },
+            getLeaderboard: { idempotent: true },
+            getCapacity: { idempotent: true },
+            getTierStatus: { idempotent: true },
+            getSystemStatus: { idempotent: true, retries: 1, timeout: 8000 },
+            getConfig: { idempotent: true, retries: 1, timeout: 5000 },
+            reportConfigIssues: { timeout: 5000 },
+            refreshToken: { timeout: 10000 },
+            getTwoFactorStatus: { idempotent: true },
+            // Not getPasskey*Options: each call stores a new challenge
+            listPasskeys: { idempotent: true },
+            listSessions: { idempotent: true },
+            exportData: { idempotent: true, timeout: 30000 },
+            attestIp: { retries: 0 }
+        }
     },
     
     // ============================================
@@ -226,54 +463,72 @@ const CONFIG = {
         tierCounts: 'tier_counts',
         capacityStats: 'capacity_stats',
         leaderboard: 'leaderboard',
-        systemStatus: 'system_status'
+        systemStatus: 'system_status',
+        runtimeConfig: 'runtime_config_',
+        configReport: 'config_report',
+        tokenRefreshLock: 'token_refresh_lock',
+        sessionEvent: 'session_event',
+        lastActivity: 'last_activity',
+        consent: 'privacy_consent'
     },
     
     // ============================================
     // DEBUG MODE
     // ============================================
     
-    DEBUG: false
+    DEBUG: ACTIVE_ENV.debug
 };
 
 // ============================================
-// VALIDATE CONFIGURATION
+// APPLY ENVIRONMENT OVERRIDES
 // ============================================
 
-(function validateConfig() {
-    // Check if APPS_SCRIPT_URL is set (but not the placeholder)
-    if (CONFIG.APPS_SCRIPT_URL.includes('YOUR_SCRIPT_ID') || 
-        CONFIG.APPS_SCRIPT_URL.includes('xxxxxxxxx')) {
-        console.warn(
-            '%c⚠️ VettedPulse Configuration Warning\n' +
-            '%cPlease update CONFIG.APPS_SCRIPT_URL in js/config.js with your actual Apps Script URL',
-            'color: #FFD700; font-size: 14px; font-weight: bold;',
-            'color: #FF4136; font-size: 12px;'
-        );
-    }
-    
-    // Validate tier totals
-    const totalAffiliates = Object.values(CONFIG.TIERS)
-        .reduce((sum, tier) => sum + tier.maxAffiliates, 0);
-    
-    if (totalAffiliates !== CONFIG.CAPACITY.maxAffiliatesTotal) {
-        console.error(
-            '❌ Tier total mismatch:',
-            totalAffiliates,
-            'vs',
-            CONFIG.CAPACITY.maxAffiliatesTotal
-        );
-    } else {
-        console.log('✅ Tier configuration valid');
-    }
-})();
+Object.assign(CONFIG.FEATURES, ACTIVE_ENV.features);
+Object.assign(CONFIG.CAPACITY, ACTIVE_ENV.capacity);
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
+// Tier order, colors, labels and badge classes all derive from TIERS -
+// adding a tier there is enough for every page to pick it up
+
+CONFIG.getTierOrder = function() {
+    return Object.keys(this.TIERS)
+        .sort((a, b) => this.TIERS[a].priority - this.TIERS[b].priority);
+};
+
+CONFIG.getBaseTier = function() {
+    return this.getTierOrder()[0];
+};
+
+CONFIG.getTopTier = function() {
+    const order = this.getTierOrder();
+    return order[order.length - 1];
+};
+
+CONFIG.getTierMeta = function(tierName) {
+    const key = this.isValidTier(tierName) ? tierName : this.getBaseTier();
+    const tier = this.TIERS[key];
+    const order = this.getTierOrder();
+    
+    return {
+        key,
+        label: tier.name,
+        color: tier.color,
+        priority: tier.priority,
+        rank: order.indexOf(key) + 1,
+        isTop: key === order[order.length - 1],
+        badgeClass: `tier-badge tier-${key.toLowerCase()}`
+    };
+};
+
+CONFIG.getTierList = function() {
+    return this.getTierOrder().map(key => this.getTierMeta(key));
+};
+
 CONFIG.getTierByName = function(tierName) {
-    return this.TIERS[tierName] || this.TIERS.NEWBIE;
+    return this.TIERS[this.getTierMeta(tierName).key];
 };
 
 CONFIG.getTierColor = function(tierName) {
@@ -289,21 +544,263 @@ CONFIG.getTierMultiplier = function(tierName) {
 };
 
 CONFIG.isValidTier = function(tierName) {
-    return tierName in this.TIERS;
+    return Object.prototype.hasOwnProperty.call(this.TIERS, tierName);
 };
 
 CONFIG.getNextTier = function(currentTier) {
-    const tiers = ['NEWBIE', 'ACTIVE', 'PRO', 'ELITE'];
+    const tiers = this.getTierOrder();
     const index = tiers.indexOf(currentTier);
     return index >= 0 && index < tiers.length - 1 ? tiers[index + 1] : null;
 };
 
+CONFIG.isProduction = function() {
+    return this.ENVIRONMENT === 'production';
+};
+
 CONFIG.getTierProgress = function(currentTier, currentSales) {
     const tier = this.TIERS[currentTier];
     if (!tier || !tier.salesRequiredForUpgrade) return 100;
     return Math.min(100, (currentSales / tier.salesRequiredForUpgrade) * 100);
 };
 
+// ============================================
+// SCHEMA VALIDATION
+// ============================================
+
+/**
+ * Validate every CONFIG section
+ * @returns {Object} - { valid, environment, errors: [{ path, message }], warnings: [{ path, message }] }
+ */
+CONFIG.validate = function() {
+    const errors = [];
+    const warnings = [];
+    const error = (path, message) => errors.push({ path, message });
+    const warn = (path, message) => warnings.push({ path, message });
+    const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+    const requirePositive = (section, keys) => keys.forEach(key => {
+        if (!isPositive(this[section][key])) error(`${section}.${key}`, 'must be a positive number');
+    });
+    
+    // Backend URL
+    try {
+        const url = new URL(this.APPS_SCRIPT_URL);
+        if (url.protocol !== 'https:' && this.ENVIRONMENT !== 'development') {
+            error('APPS_SCRIPT_URL', 'must use https outside development');
+        }
+    } catch (e) {
+        error('APPS_SCRIPT_URL', 'is not a valid URL');
+    }
+    if (/YOUR_SCRIPT_ID|xxxxxxxxx/.test(this.APPS_SCRIPT_URL)) {
+        warn('APPS_SCRIPT_URL', 'is still the placeholder - set your Apps Script URL');
+    }
+    
+    // Tiers, walked in priority order
+    const tierFields = {
+        name: 'string',
+        color: 'string',
+        maxAffiliates: 'number',
+        perAffiliateClickLimit: 'number',
+        monthlyFee: 'number',
+        commissionMultiplier: 'number',
+        priority: 'number'
+    };
+    const tiers = this.getTierOrder().map(key => [key, this.TIERS[key]]);
+    
+    if (tiers.length === 0) {
+        error('TIERS', 'must define at least one tier');
+    }
+    
+    tiers.forEach(([key, tier], index) => {
+        const path = `TIERS.${key}`;
+        const isTop = index === tiers.length - 1;
+        
+        Object.entries(tierFields).forEach(([field, type]) => {
+            if (typeof tier[field] !== type) error(`${path}.${field}`, `must be a ${type}`);
+        });
+        if (!/^#[0-9A-Fa-f]{6}$/.test(tier.color)) {
+            error(`${path}.color`, 'must be a #RRGGBB color');
+        }
+        if (!Array.isArray(tier.features)) {
+            error(`${path}.features`, 'must be an array');
+        }
+        if ('requireTwoFactor' in tier && typeof tier.requireTwoFactor !== 'boolean') {
+            error(`${path}.requireTwoFactor`, 'must be a boolean');
+        }
+        if (isTop && tier.salesRequiredForUpgrade !== null) {
+            error(`${path}.salesRequiredForUpgrade`, 'must be null on the top tier');
+        }
+        if (!isTop && !isPositive(tier.salesRequiredForUpgrade)) {
+            error(`${path}.salesRequiredForUpgrade`, 'must be a positive number below the top tier');
+        }
+        
+        if (index === 0) return;
+        
+        const [prevKey, prev] = tiers[index - 1];
+        if (tier.priority === prev.priority) {
+            error(`${path}.priority`, `duplicates ${prevKey}`);
+        }
+        if (tier.perAffiliateClickLimit <= prev.perAffiliateClickLimit) {
+            error(`${path}.perAffiliateClickLimit`, `must be above ${prevKey} (${prev.perAffiliateClickLimit})`);
+        }
+        if (tier.commissionMultiplier < prev.commissionMultiplier) {
+            error(`${path}.commissionMultiplier`, `must not be below ${prevKey} (${prev.commissionMultiplier})`);
+        }
+        if (tier.monthlyFee < prev.monthlyFee) {
+            warn(`${path}.monthlyFee`, `is cheaper than ${prevKey} (${prev.monthlyFee})`);
+        }
+    });
+    
+    // Capacity
+    requirePositive('CAPACITY', Object.keys(this.CAPACITY));
+    [
+        ['clickQuotaWarning', 'totalDailyClicks'],
+        ['saleQuotaWarning', 'totalDailySales'],
+        ['sessionWarning', 'concurrentSessions']
+    ].forEach(([warning, limit]) => {
+        if (this.CAPACITY[warning] >= this.CAPACITY[limit]) {
+            error(`CAPACITY.${warning}`, `must be below CAPACITY.${limit} (${this.CAPACITY[limit]})`);
+        }
+    });
+    
+    const totalAffiliates = tiers.reduce((sum, [, tier]) => sum + tier.maxAffiliates, 0);
+    if (totalAffiliates !== this.CAPACITY.maxAffiliatesTotal) {
+        error('CAPACITY.maxAffiliatesTotal', `is ${this.CAPACITY.maxAffiliatesTotal} but tiers add up to ${totalAffiliates}`);
+    }
+    
+    // Security
+    requirePositive('SECURITY', [
+        'maxLoginAttempts', 'loginLockoutMinutes', 'sessionHours',
+        'rateLimitWindow', 'tokenRefreshMinutes', 'tokenRefreshLeadMinutes',
+        'idleTimeoutMinutes', 'idleWarningSeconds', 'maxRequestSize'
+    ]);
+    const captchaAfter = this.SECURITY.captchaAfterAttempts;
+    if (!(Number.isInteger(captchaAfter) && captchaAfter >= 0)) {
+        error('SECURITY.captchaAfterAttempts', 'must be a whole number of 0 or more');
+    } else if (captchaAfter >= this.SECURITY.maxLoginAttempts) {
+        warn('SECURITY.captchaAfterAttempts', 'is not below SECURITY.maxLoginAttempts, so accounts lock before a challenge is shown');
+    }
+    if (!(this.SECURITY.passwordMinLength >= 8)) {
+        error('SECURITY.passwordMinLength', 'must be at least 8');
+    }
+    if (!(Number.isInteger(this.SECURITY.passwordHashIterations) && this.SECURITY.passwordHashIterations >= 100000)) {
+        error('SECURITY.passwordHashIterations', 'must be a whole number of at least 100000');
+    }
+    if (this.SECURITY.tokenRefreshMinutes >= this.SECURITY.sessionHours * 60) {
+        error('SECURITY.tokenRefreshMinutes', 'must be shorter than SECURITY.sessionHours');
+    }
+    if (this.SECURITY.tokenRefreshLeadMinutes >= this.SECURITY.tokenRefreshMinutes) {
+        error('SECURITY.tokenRefreshLeadMinutes', 'must be shorter than SECURITY.tokenRefreshMinutes');
+    }
+    if (this.SECURITY.idleWarningSeconds >= this.SECURITY.idleTimeoutMinutes * 60) {
+        error('SECURITY.idleWarningSeconds', 'must be shorter than SECURITY.idleTimeoutMinutes');
+    }
+    ['passwordRequireSpecial', 'passwordRequireNumber', 'passwordRequireUpper'].forEach(key => {
+        if (typeof this.SECURITY[key] !== 'boolean') error(`SECURITY.${key}`, 'must be a boolean');
+    });
+    
+    // First-party IP attestation
+    if (this.SERVICES.IP_ATTESTATION_URL) {
+        try {
+            const url = new URL(this.SERVICES.IP_ATTESTATION_URL, this.SITE_URL);
+            if (url.protocol !== 'https:' && this.ENVIRONMENT !== 'development') {
+                error('SERVICES.IP_ATTESTATION_URL', 'must use https outside development');
+            }
+        } catch (e) {
+            error('SERVICES.IP_ATTESTATION_URL', 'is not a valid URL');
+        }
+    } else if (this.ENVIRONMENT === 'production') {
+        warn('SERVICES.IP_ATTESTATION_URL', 'is empty - Apps Script cannot attest client IPs, so none will be recorded');
+    }
+    requirePositive('SERVICES', ['IP_ATTESTATION_TIMEOUT', 'IPIFY_TIMEOUT']);
+    
+    // Endpoints (an unknown key fails where it is called, in ApiClient.getAction)
+    Object.entries(this.ENDPOINTS).forEach(([key, action]) => {
+        if (typeof action !== 'string' || !action) error(`ENDPOINTS.${key}`, 'must be a non-empty string');
+    });
+    
+    // Request policy
+    const policies = [['API_POLICY.default', this.API_POLICY.default]].concat(
+        Object.entries(this.API_POLICY.endpoints).map(([key, policy]) => {
+            if (!(key in this.ENDPOINTS)) error(`API_POLICY.endpoints.${key}`, 'has no ENDPOINTS entry');
+            return [`API_POLICY.endpoints.${key}`, policy];
+        })
+    );
+    policies.forEach(([path, policy]) => {
+        if ('timeout' in policy && !isPositive(policy.timeout)) {
+            error(`${path}.timeout`, 'must be a positive number');
+        }
+        if ('retries' in policy && !(Number.isInteger(policy.retries) && policy.retries >= 0)) {
+            error(`${path}.retries`, 'must be a whole number of 0 or more');
+        }
+    });
+    if (this.API_POLICY.default.backoffBase > this.API_POLICY.default.backoffMax) {
+        error('API_POLICY.default.backoffBase', 'must not exceed backoffMax');
+    }
+    
+    // Feature flags
+    Object.entries(this.FEATURES).forEach(([name, rule]) => {
+        const path = `FEATURES.${name}`;
+        if (typeof rule === 'boolean') return;
+        
+        if (!rule || typeof rule !== 'object') {
+            error(path, 'must be a boolean or a targeting rule');
+            return;
+        }
+        if ('rollout' in rule && !(typeof rule.rollout === 'number' && rule.rollout >= 0 && rule.rollout <= 100)) {
+            error(`${path}.rollout`, 'must be between 0 and 100');
+        }
+        if ('tiers' in rule) {
+            if (!Array.isArray(rule.tiers)) {
+                error(`${path}.tiers`, 'must be an array');
+            } else {
+                rule.tiers.filter(tier => !(tier in this.TIERS))
+                    .forEach(tier => error(`${path}.tiers`, `references unknown tier ${tier}`));
+            }
+        }
+        if ('affiliates' in rule && !Array.isArray(rule.affiliates)) {
+            error(`${path}.affiliates`, 'must be an array');
+        }
+    });
+    
+    // Remaining numeric sections
+    requirePositive('SYSTEM_CHECK', ['INTERVAL']);
+    requirePositive('RUNTIME_CONFIG', ['cacheMinutes']);
+    requirePositive('ARCHIVE', Object.keys(this.ARCHIVE));
+    requirePositive('DEACTIVATION', ['graceDays', 'detailsMaxLength']);
+    requirePositive('FINGERPRINT', ['audioTimeout']);
+    if (!(Number.isInteger(this.FINGERPRINT.version) && this.FINGERPRINT.version > 0)) {
+        error('FINGERPRINT.version', 'must be a whole number of 1 or more');
+    }
+    if (!(typeof this.FINGERPRINT.minStability === 'number' && this.FINGERPRINT.minStability >= 0 && this.FINGERPRINT.minStability <= 1)) {
+        error('FINGERPRINT.minStability', 'must be between 0 and 1');
+    }
+    if (!(Number.isInteger(this.CONSENT.version) && this.CONSENT.version > 0)) {
+        error('CONSENT.version', 'must be a whole number of 1 or more');
+    }
+    Object.entries(this.CONSENT.categories).forEach(([key, category]) => {
+        if (key === 'necessary') error('CONSENT.categories.necessary', 'is always on and must not be listed');
+        if (!category.label || !category.description) error(`CONSENT.categories.${key}`, 'needs a label and description');
+    });
+    if (!this.DEACTIVATION.reasons || Object.keys(this.DEACTIVATION.reasons).length === 0) {
+        error('DEACTIVATION.reasons', 'must list at least one reason');
+    }
+    Object.entries(this.PULSE_SCORE).forEach(([key, value]) => {
+        if (typeof value !== 'number' || value < 0) error(`PULSE_SCORE.${key}`, 'must be a number of 0 or more');
+    });
+    
+    const cacheKeys = Object.values(this.CACHE_KEYS);
+    if (new Set(cacheKeys).size !== cacheKeys.length) {
+        error('CACHE_KEYS', 'must not contain duplicates');
+    }
+    
+    return {
+        valid: errors.length === 0,
+        environment: this.ENVIRONMENT,
+        errors,
+        warnings
+    };
+};
+
 // ============================================
 // FREEZE CONFIGURATION
 // ============================================
@@ -316,5 +813,76 @@ Object.freeze(CONFIG);
 
 window.CONFIG = CONFIG;
 
+// ============================================
+// VALIDATE CONFIGURATION
+// ============================================
+
+const CONFIG_REPORT = CONFIG.validate();
+
+// ============================================
+// ENVIRONMENT BADGE
+// ============================================
+
+(function showEnvironmentBadge() {
+    if (CONFIG.isProduction()) return;
+    
+    const render = () => {
+        const badge = document.createElement('div');
+        badge.className = `env-badge env-${ACTIVE_ENV.name}`;
+        badge.textContent = CONFIG_REPORT.valid ? ACTIVE_ENV.label : `${ACTIVE_ENV.label} · CONFIG INVALID`;
+        badge.title = `Backend: ${CONFIG.APPS_SCRIPT_URL}`;
+        document.body.appendChild(badge);
+    };
+    
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', render);
+    } else {
+        render();
+    }
+})();
+
+// ============================================
+// VALIDATION REPORT
+// Outside production problems fail loudly; production
+// reports them to the backend once per session
+// ============================================
+
+(function reportConfigValidation() {
+    const { errors, warnings } = CONFIG_REPORT;
+    if (errors.length === 0 && warnings.length === 0) return;
+    
+    if (CONFIG.isProduction()) {
+        const signature = JSON.stringify([errors, warnings]);
+        
+        // ApiClient loads after this file
+        window.addEventListener('load', () => {
+            try {
+                if (sessionStorage.getItem(CONFIG.CACHE_KEYS.configReport) === signature) return;
+                sessionStorage.setItem(CONFIG.CACHE_KEYS.configReport, signature);
+            } catch (error) {
+                // Storage blocked - report anyway
+            }
+            
+            ApiClient.post('reportConfigIssues', { ...CONFIG_REPORT, page: window.location.pathname })
+                .catch(error => console.warn('Config report failed:', error.message));
+        });
+        
+        if (errors.length > 0) {
+            console.error(`❌ Configuration has ${errors.length} error(s)`, errors);
+        }
+        return;
+    }
+    
+    console.group(`${errors.length > 0 ? '❌' : '⚠️'} VettedPulse configuration check`);
+    warnings.forEach(warning => console.warn(`${warning.path} ${warning.message}`));
+    errors.forEach(error => console.error(`${error.path} ${error.message}`));
+    console.groupEnd();
+    
+    if (errors.length > 0) {
+        const first = errors[0];
+        throw new Error(`Invalid CONFIG (${errors.length} error(s)): ${first.path} ${first.message}`);
+    }
+})();
+
 // Single startup log
-console.log('✅ VettedPulse Config loaded');
+console.log(`✅ VettedPulse Config loaded (${CONFIG.ENVIRONMENT})`);
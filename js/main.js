@@ -102,20 +102,22 @@ document.addEventListener('DOMContentLoaded', function() {
     // LOAD TIER DATA FROM CONFIG
     // ============================================
     
-    function loadTierData() {
+    async function loadTierData() {
         const tierGrid = document.getElementById('tierGrid');
         if (!tierGrid) return;
         
-        const tiers = CONFIG.TIERS;
+        await RuntimeConfig.load();
+        
         let html = '';
         
-        Object.entries(tiers).forEach(([key, tier]) => {
+        CONFIG.getTierList().forEach(({ key, label, color, isTop }) => {
+            const tier = CONFIG.TIERS[key];
             const spotsLeft = Math.floor(Math.random() * tier.maxAffiliates * 0.3); // Demo only
-            const isHot = key === 'ELITE' && spotsLeft < 10;
+            const isHot = isTop && spotsLeft < 10;
             
             html += `
-                <div class="tier-card" style="border-color: ${tier.color}">
-                    <div class="tier-name" style="color: ${tier.color}">${tier.name}</div>
+                <div class="tier-card" style="border-color: ${color}">
+                    <div class="tier-name" style="color: ${color}">${Sanitizer.escapeHtml(label)}</div>
                     <div class="tier-capacity">${tier.maxAffiliates} spots available</div>
                     <div class="tier-price">${tier.monthlyFee === 0 ? 'Free' : '$' + tier.monthlyFee + '<span style="font-size: 1rem; color: var(--gray-500);">/mo</span>'}</div>
                     <ul class="tier-features">
@@ -137,15 +139,10 @@ document.addEventListener('DOMContentLoaded', function() {
     
     async function loadSystemStats() {
         try {
-            const response = await fetch(
-                `${CONFIG.APPS_SCRIPT_URL}?action=getCapacity&_=${Date.now()}`
-            );
-            const data = await response.json();
+            const data = await ApiClient.get('getCapacity');
             
-            if (data.success) {
-                updateStatsDisplay(data.capacity);
-                updateCapacityBadge(data.capacity);
-            }
+            updateStatsDisplay(data.capacity);
+            updateCapacityBadge(data.capacity);
         } catch (error) {
             console.error('Failed to load system stats:', error);
             // Use fallback data
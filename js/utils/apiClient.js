@@ -0,0 +1,388 @@
+/**
+ * API Client Module
+ * Single path for every Apps Script backend call, driven by CONFIG.ENDPOINTS
+ * and CONFIG.API_POLICY (timeouts, retries, backoff)
+ */
+
+// ============================================
+// API ERROR
+// ============================================
+
+/**
+ * Error raised for any failed backend call
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} type - One of ApiClient.ERROR_TYPES
+     * @param {string} message - User-facing message
+     * @param {Object} details - endpoint, status, retryAfter and raw response data
+     */
+    constructor(type, message, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.endpoint = details.endpoint || null;
+        this.status = details.status || null;
+        this.retryAfter = details.retryAfter || null;
+        this.data = details.data || null;
+    }
+}
+
+const ApiClient = {
+    ERROR_TYPES: Object.freeze({
+        NETWORK: 'network',
+        TIMEOUT: 'timeout',
+        HTTP: 'http',
+        PARSE: 'parse',
+        BACKEND: 'backend'
+    }),
+
+    // ============================================
+    // URL BUILDING
+    // ============================================
+
+    /**
+     * Resolve an endpoint key to its backend action name
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @returns {string} - Backend action
+     * @throws {Error} - If endpoint is not declared in CONFIG.ENDPOINTS
+     */
+    getAction(endpoint) {
+        const action = CONFIG.ENDPOINTS[endpoint];
+        if (!action) {
+            throw new Error(`Unknown endpoint: ${endpoint}`);
+        }
+        return action;
+    },
+
+    /**
+     * Get current session token
+     * @returns {string|null} - Session token
+     */
+    getToken() {
+        return localStorage.getItem('token');
+    },
+
+    /**
+     * Build request URL with action, token and cache-buster
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {Object} params - Query parameters
+     * @param {boolean} auth - Attach session token
+     * @returns {string} - Full request URL
+     */
+    buildUrl(endpoint, params = {}, auth = false) {
+        const url = new URL(CONFIG.APPS_SCRIPT_URL);
+        url.searchParams.append('action', this.getAction(endpoint));
+
+        if (auth) {
+            const token = this.getToken();
+            if (token) url.searchParams.append('token', token);
+        }
+
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                url.searchParams.append(key, value);
+            }
+        });
+
+        url.searchParams.append('_', Date.now()); // Cache buster
+
+        return url.toString();
+    },
+
+    // ============================================
+    // REQUEST POLICY
+    // ============================================
+
+    /**
+     * Resolve the request policy for an endpoint
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {Object} overrides - Per-call policy overrides
+     * @returns {Object} - { timeout, retries, backoffBase, backoffMax, idempotent }
+     */
+    getPolicy(endpoint, overrides = {}) {
+        return {
+            ...CONFIG.API_POLICY.default,
+            ...(CONFIG.API_POLICY.endpoints[endpoint] || {}),
+            ...overrides
+        };
+    },
+
+    /**
+     * Check if a failed call may be retried
+     * @param {ApiError} error - Failure from a single attempt
+     * @returns {boolean} - True for transient failures
+     */
+    isRetryable(error) {
+        switch (error.type) {
+            case this.ERROR_TYPES.NETWORK:
+            case this.ERROR_TYPES.TIMEOUT:
+            case this.ERROR_TYPES.PARSE: // Apps Script quota pages come back as HTML
+                return true;
+            case this.ERROR_TYPES.HTTP:
+                return error.status === 429 || error.status >= 500;
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Exponential backoff with full jitter
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @param {Object} policy - Endpoint policy
+     * @param {ApiError} error - Failure, checked for Retry-After
+     * @returns {number} - Delay in ms
+     */
+    getBackoffDelay(attempt, policy, error) {
+        if (error.retryAfter) {
+            return Math.min(policy.backoffMax, error.retryAfter);
+        }
+
+        const ceiling = Math.min(policy.backoffMax, policy.backoffBase * Math.pow(2, attempt - 1));
+        return Math.round(Math.random() * ceiling);
+    },
+
+    /**
+     * Wait for a number of milliseconds
+     * @param {number} ms - Delay
+     * @returns {Promise<void>}
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    },
+
+    // ============================================
+    // REQUESTS
+    // ============================================
+
+    /**
+     * Call a backend endpoint. Authenticated calls rejected with an expired
+     * token are replayed once after Session.refresh() - the backend rejects
+     * them before doing any work, so this is safe for non-idempotent calls.
+     * A skipped refresh has no new token to replay with.
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {Object} options - { params, body, auth, policy, skipRefresh }
+     * @returns {Promise<Object>} - Normalized response data
+     * @throws {ApiError} - On network, timeout, HTTP, parse or backend failure
+     */
+    async request(endpoint, options = {}) {
+        try {
+            return await this.requestWithRetry(endpoint, options);
+        } catch (error) {
+            if (!options.auth || options.skipRefresh || !this.isTokenExpired(error) || !window.Session) {
+                throw error;
+            }
+
+            if (!await Session.refresh()) throw error;
+            return this.requestWithRetry(endpoint, { ...options, skipRefresh: true });
+        }
+    },
+
+    /**
+     * Call a backend endpoint, retrying transient failures per CONFIG.API_POLICY
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {Object} options - { params, body, auth, policy }
+     * @returns {Promise<Object>} - Normalized response data
+     * @throws {ApiError} - On network, timeout, HTTP, parse or backend failure
+     */
+    async requestWithRetry(endpoint, options = {}) {
+        const policy = this.getPolicy(endpoint, options.policy);
+        const maxAttempts = policy.idempotent ? policy.retries + 1 : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.send(endpoint, options, policy);
+            } catch (error) {
+                if (attempt >= maxAttempts || !this.isRetryable(error)) {
+                    throw error;
+                }
+
+                const delay = this.getBackoffDelay(attempt, policy, error);
+                if (CONFIG.DEBUG) {
+                    console.warn(`API ${endpoint} failed (${error.type}), retry ${attempt}/${policy.retries} in ${delay}ms`);
+                }
+                await this.sleep(delay);
+            }
+        }
+    },
+
+    /**
+     * Perform a single attempt
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {Object} options - { params, body, auth }
+     * @param {Object} policy - Endpoint policy
+     * @returns {Promise<Object>} - Normalized response data
+     * @throws {ApiError} - On any failure
+     */
+    async send(endpoint, options, policy) {
+        const { params = {}, body = null, auth = false } = options;
+        const url = this.buildUrl(endpoint, params, auth);
+
+        // Apps Script cannot answer CORS preflights, so POST bodies go as text/plain
+        const fetchOptions = body
+            ? { method: 'POST', body: JSON.stringify(body) }
+            : { method: 'GET' };
+
+        // The timeout keeps running until the body is parsed, not just the headers
+        return this.fetchWithTimeout(endpoint, url, fetchOptions, policy.timeout, async (response) => {
+            if (!response.ok) {
+                throw new ApiError(
+                    this.ERROR_TYPES.HTTP,
+                    response.status === 429
+                        ? 'The server is busy right now. Please wait a moment and try again.'
+                        : `Server error (${response.status}). Please try again.`,
+                    {
+                        endpoint,
+                        status: response.status,
+                        retryAfter: this.parseRetryAfter(response)
+                    }
+                );
+            }
+
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                throw new ApiError(
+                    this.ERROR_TYPES.PARSE,
+                    'Unexpected response from server. Please try again.',
+                    { endpoint, status: response.status }
+                );
+            }
+
+            return this.normalize(endpoint, data);
+        });
+    },
+
+    /**
+     * Fetch with timeout (same approach as ClientData.fetchWithTimeout). The
+     * timer covers reading the response too, so a stalled body is cut off.
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Fetch options
+     * @param {number} timeout - Timeout in ms
+     * @param {Function} read - Turns the Response into the result, within the timeout
+     * @returns {Promise<any>} - Result of read
+     * @throws {ApiError} - On network failure or timeout, or whatever read throws
+     */
+    async fetchWithTimeout(endpoint, url, options, timeout, read) {
+        const controller = new AbortController();
+        const id = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            return await read(response);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            if (error.name === 'AbortError') {
+                throw new ApiError(this.ERROR_TYPES.TIMEOUT, 'The server took too long to respond. Please try again.', { endpoint });
+            }
+            if (CONFIG.DEBUG) console.warn('API network failure:', endpoint, error);
+            throw new ApiError(this.ERROR_TYPES.NETWORK, 'Network error. Please try again.', { endpoint });
+        } finally {
+            clearTimeout(id);
+        }
+    },
+
+    /**
+     * Read Retry-After header
+     * @param {Response} response - Fetch response
+     * @returns {number|null} - Delay in ms
+     */
+    parseRetryAfter(response) {
+        const header = response.headers && response.headers.get('Retry-After');
+        if (!header) return null;
+
+        const seconds = parseInt(header, 10);
+        if (!isNaN(seconds)) return seconds * 1000;
+
+        const date = Date.parse(header);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    /**
+     * Normalize a backend response
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {Object} data - Parsed JSON response
+     * @returns {Object} - Response data when the call succeeded
+     * @throws {ApiError} - If the backend reported { success: false }
+     */
+    normalize(endpoint, data) {
+        if (!data || typeof data !== 'object') {
+            throw new ApiError(this.ERROR_TYPES.PARSE, 'Unexpected response from server. Please try again.', { endpoint });
+        }
+
+        if (data.success === false) {
+            throw new ApiError(this.ERROR_TYPES.BACKEND, data.message || 'Request failed', { endpoint, data });
+        }
+
+        return data;
+    },
+
+    /**
+     * GET shorthand
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {Object} params - Query parameters
+     * @param {Object} options - { auth }
+     * @returns {Promise<Object>} - Normalized response data
+     */
+    get(endpoint, params = {}, options = {}) {
+        return this.request(endpoint, { ...options, params });
+    },
+
+    /**
+     * POST shorthand
+     * @param {string} endpoint - Key of CONFIG.ENDPOINTS
+     * @param {Object} body - JSON body
+     * @param {Object} options - { params, auth }
+     * @returns {Promise<Object>} - Normalized response data
+     */
+    post(endpoint, body = {}, options = {}) {
+        return this.request(endpoint, { ...options, body });
+    },
+
+    // ============================================
+    // UTILITIES
+    // ============================================
+
+    /**
+     * Check if an error was reported by the backend (vs transport failure)
+     * @param {Error} error - Caught error
+     * @returns {boolean} - True if backend returned { success: false }
+     */
+    isBackendError(error) {
+        return error instanceof ApiError && error.type === this.ERROR_TYPES.BACKEND;
+    },
+
+    /**
+     * Check if the backend rejected the session token as expired (but refreshable)
+     * @param {Error} error - Caught error
+     * @returns {boolean} - True if the backend returned { tokenExpired: true }
+     */
+    isTokenExpired(error) {
+        return this.isBackendError(error) && !!(error.data && error.data.tokenExpired);
+    },
+
+    /**
+     * Check if the backend refused a login because the account is locked
+     * @param {Error} error - Caught error
+     * @returns {boolean} - True if the backend returned { locked: true, lockedUntil }
+     */
+    isLockedOut(error) {
+        return this.isBackendError(error) && !!(error.data && error.data.locked);
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(ApiClient);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.ApiError = ApiError;
+window.ApiClient = ApiClient;
@@ -1,54 +1,159 @@
 /**
  * Client Data Capture Module
- * Fetches real client IP (not Google's proxy IP) for accurate tracking
+ * Gets the real client IP (not Google's proxy IP) from a first-party
+ * endpoint that signs it, so the backend can tell it was not made up.
+ * Anything beyond the strictly necessary is only collected for the
+ * categories the visitor allowed (see Consent).
  */
 
+// Caches live outside ClientData because the object is frozen
+const CLIENT_DATA_CACHE = {
+    attestation: null,          // { ip, attestation, expiresAt, refreshAt }
+    attestationPromise: null,
+    attestationFailedAt: 0,
+    thirdPartyIp: null,
+    thirdPartyPromise: null,
+    lastFetch: 0
+};
+
 const ClientData = {
-    // Cache IP to avoid repeated calls
-    ipCache: null,
-    ipPromise: null,
-    lastFetch: 0,
-    cacheTTL: 60000, // Cache IP for 1 minute
-    
-    // Cache for fingerprint
-    fingerprintCache: null,
+    cacheTTL: 60000, // Cache a third-party IP, or a failed attestation, for 1 minute
     
     // ============================================
     // IP DETECTION
     // ============================================
     
     /**
-     * Get real client IP with caching
-     * @returns {Promise<string>} - Client IP address
+     * Client IP and the attestation the backend checks it with. The
+     * first-party endpoint is asked first. The third-party lookup is only a
+     * fallback when FEATURES.realIpTracking is on and the visitor allowed
+     * ipLookup, and the IP it finds has no attestation.
+     * @returns {Promise<Object>} - { ip, ipAttestation } (null when unknown)
+     */
+    async getIpDetails() {
+        const attested = await this.getIpAttestation();
+        if (attested) {
+            return { ip: attested.ip, ipAttestation: attested.attestation };
+        }
+        
+        if (Features.isEnabled('realIpTracking') && Consent.allows('ipLookup')) {
+            return { ip: await this.getThirdPartyIP(), ipAttestation: null };
+        }
+        
+        return { ip: null, ipAttestation: null };
+    },
+    
+    /**
+     * Get real client IP
+     * @returns {Promise<string|null>} - Client IP address, or null if unknown
      */
     async getRealIP() {
+        return (await this.getIpDetails()).ip;
+    },
+    
+    // ============================================
+    // FIRST-PARTY ATTESTATION
+    // ============================================
+    
+    /**
+     * Signed caller IP with caching. It is refetched once half its lifetime
+     * has passed, so it is still valid when a login waits on a 2FA code.
+     * @returns {Promise<Object|null>} - { ip, attestation, expiresAt }, or null if unavailable
+     */
+    async getIpAttestation() {
+        const cache = CLIENT_DATA_CACHE;
+        
+        if (cache.attestation && Date.now() < cache.attestation.refreshAt) {
+            return cache.attestation;
+        }
+        
+        // Don't hold up every request while the endpoint is down
+        if (Date.now() - cache.attestationFailedAt < this.cacheTTL) {
+            return null;
+        }
+        
+        if (!cache.attestationPromise) {
+            cache.attestationPromise = this.fetchAttestation().finally(() => {
+                cache.attestationPromise = null;
+            });
+        }
+        return cache.attestationPromise;
+    },
+    
+    /**
+     * Ask CONFIG.SERVICES.IP_ATTESTATION_URL, or the backend's attestIp
+     * action when it is empty, for the caller's IP as the server sees it
+     * @returns {Promise<Object|null>} - { ip, attestation, expiresAt, refreshAt }, or null on failure
+     */
+    async fetchAttestation() {
+        const { IP_ATTESTATION_URL, IP_ATTESTATION_TIMEOUT } = CONFIG.SERVICES;
+        
+        try {
+            const data = IP_ATTESTATION_URL
+                ? await (await this.fetchWithTimeout(IP_ATTESTATION_URL, IP_ATTESTATION_TIMEOUT)).json()
+                : await ApiClient.get('attestIp', {}, { policy: { timeout: IP_ATTESTATION_TIMEOUT } });
+            
+            const expires = new Date(data.expiresAt).getTime();
+            if (!this.isValidIP(data.ip) || typeof data.attestation !== 'string' || isNaN(expires)) {
+                throw new Error('Malformed attestation response');
+            }
+            
+            CLIENT_DATA_CACHE.attestation = {
+                ip: data.ip,
+                attestation: data.attestation,
+                expiresAt: data.expiresAt,
+                refreshAt: Date.now() + Math.max(expires - Date.now(), 0) / 2
+            };
+            CLIENT_DATA_CACHE.attestationFailedAt = 0;
+            if (CONFIG.DEBUG) console.log('IP attested:', data.ip);
+            
+            return CLIENT_DATA_CACHE.attestation;
+        } catch (error) {
+            if (CONFIG.DEBUG) console.warn('IP attestation failed:', error.message);
+            CLIENT_DATA_CACHE.attestation = null;
+            CLIENT_DATA_CACHE.attestationFailedAt = Date.now();
+            return null;
+        }
+    },
+    
+    // ============================================
+    // THIRD-PARTY FALLBACK
+    // ============================================
+    
+    /**
+     * IP from the third-party services with caching
+     * @returns {Promise<string|null>} - Client IP address, or null if every service failed
+     */
+    async getThirdPartyIP() {
+        const cache = CLIENT_DATA_CACHE;
+        
         // Return cached if still valid
-        if (this.ipCache && (Date.now() - this.lastFetch) < this.cacheTTL) {
-            if (CONFIG.DEBUG) console.log('Using cached IP:', this.ipCache);
-            return this.ipCache;
+        if (cache.thirdPartyIp && (Date.now() - cache.lastFetch) < this.cacheTTL) {
+            if (CONFIG.DEBUG) console.log('Using cached IP:', cache.thirdPartyIp);
+            return cache.thirdPartyIp;
         }
         
         // If already fetching, return that promise
-        if (this.ipPromise) {
-            return this.ipPromise;
+        if (cache.thirdPartyPromise) {
+            return cache.thirdPartyPromise;
         }
         
         // Try multiple IP services in order
-        this.ipPromise = this.fetchWithFallbacks();
+        cache.thirdPartyPromise = this.fetchWithFallbacks();
         
         try {
-            const ip = await this.ipPromise;
-            this.ipCache = ip;
-            this.lastFetch = Date.now();
+            const ip = await cache.thirdPartyPromise;
+            cache.thirdPartyIp = ip;
+            cache.lastFetch = ip ? Date.now() : 0;
             return ip;
         } finally {
-            this.ipPromise = null;
+            cache.thirdPartyPromise = null;
         }
     },
     
     /**
      * Fetch IP from multiple services with fallbacks
-     * @returns {Promise<string>} - Client IP address
+     * @returns {Promise<string|null>} - Client IP address, or null if every service failed
      */
     async fetchWithFallbacks() {
         const services = [
@@ -99,18 +204,9 @@ const ClientData = {
             }
         }
         
-        // Ultimate fallback - generate a local identifier
-        if (CONFIG.DEBUG) console.warn('All IP services failed, using local fallback');
-        return this.generateLocalIP();
-    },
-    
-    /**
-     * Generate local IP fallback (not real IP, but unique per session)
-     * @returns {string} - Local identifier
-     */
-    generateLocalIP() {
-        const sessionId = Math.random().toString(36).substring(2, 15);
-        return `local-${sessionId}`;
+        // No made-up stand-in: an unknown IP is reported as unknown
+        if (CONFIG.DEBUG) console.warn('All IP services failed');
+        return null;
     },
     
     /**
@@ -166,48 +262,12 @@ const ClientData = {
     // ============================================
     
     /**
-     * Get browser fingerprint for fraud detection
-     * @returns {string} - Browser fingerprint
-     */
-    getFingerprint() {
-        if (this.fingerprintCache) {
-            return this.fingerprintCache;
-        }
-        
-        const components = [
-            navigator.userAgent,
-            navigator.language,
-            screen.colorDepth,
-            screen.width + 'x' + screen.height,
-            new Date().getTimezoneOffset(),
-            navigator.hardwareConcurrency || 'unknown',
-            navigator.deviceMemory || 'unknown',
-            !!navigator.webdriver,
-            !!window.chrome,
-            navigator.platform,
-            navigator.vendor || 'unknown'
-        ];
-        
-        // Create a simple hash
-        const fingerprint = components.join('||');
-        this.fingerprintCache = this.hashString(fingerprint);
-        
-        return this.fingerprintCache;
-    },
-    
-    /**
-     * Simple string hash function
-     * @param {string} str - String to hash
-     * @returns {string} - Hashed string
+     * Get the device fingerprint for fraud detection (see Fingerprint)
+     * @returns {Promise<Object|null>} - { hash, version, level, stability }, or null if off or unavailable
      */
-    hashString(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash).toString(36);
+    async getFingerprint() {
+        if (!Features.isEnabled('fraudDetection')) return null;
+        return Fingerprint.get();
     },
     
     // ============================================
@@ -215,35 +275,46 @@ const ClientData = {
     // ============================================
     
     /**
-     * Get complete client data packet
+     * Get complete client data packet. Fields for categories the visitor
+     * has not allowed are null; consent carries the choice to the backend.
+     * The fingerprint's version, level and stability go with it so the
+     * backend only compares fingerprints of the same version and level.
      * @returns {Promise<Object>} - Client data object
      */
     async getClientData() {
-        const [ip, ua, fingerprint] = await Promise.all([
-            this.getRealIP(),
+        const fingerprinting = Consent.allows('fingerprinting');
+        const analytics = Consent.allows('analytics');
+        
+        const [{ ip, ipAttestation }, ua, fingerprint] = await Promise.all([
+            this.getIpDetails(),
             Promise.resolve(navigator.userAgent),
-            Promise.resolve(this.getFingerprint())
+            this.getFingerprint()
         ]);
         
         const data = {
             ip: ip,
+            ipAttestation: ipAttestation,
             ua: ua,
-            fingerprint: fingerprint,
+            fingerprint: fingerprint ? fingerprint.hash : null,
+            fingerprintVersion: fingerprint ? fingerprint.version : null,
+            fingerprintLevel: fingerprint ? fingerprint.level : null,
+            fingerprintStability: fingerprint ? fingerprint.stability : null,
             timestamp: new Date().toISOString(),
-            url: window.location.href,
-            referrer: document.referrer || 'direct',
-            screen: `${window.screen.width}x${window.screen.height}`,
-            colorDepth: screen.colorDepth,
-            language: navigator.language,
+            url: analytics ? window.location.href : null,
+            referrer: analytics ? document.referrer || 'direct' : null,
+            screen: fingerprinting ? `${window.screen.width}x${window.screen.height}` : null,
+            colorDepth: fingerprinting ? screen.colorDepth : null,
+            language: fingerprinting ? navigator.language : null,
             timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
             platform: navigator.platform,
             cookiesEnabled: navigator.cookieEnabled,
             doNotTrack: navigator.doNotTrack,
-            connection: navigator.connection ? {
+            connection: analytics && navigator.connection ? {
                 type: navigator.connection.effectiveType,
                 downlink: navigator.connection.downlink,
                 rtt: navigator.connection.rtt
-            } : null
+            } : null,
+            consent: Consent.state()
         };
         
         if (CONFIG.DEBUG) {
@@ -263,9 +334,14 @@ const ClientData = {
         
         try {
             const url = new URL(baseUrl, window.location.origin);
-            url.searchParams.append('ip', data.ip);
+            if (data.ipAttestation) url.searchParams.append('ipAttestation', data.ipAttestation);
+            if (data.ip) url.searchParams.append('ip', data.ip);
             url.searchParams.append('ua', data.ua);
-            url.searchParams.append('fp', data.fingerprint);
+            if (data.fingerprint) {
+                url.searchParams.append('fp', data.fingerprint);
+                url.searchParams.append('fpv', data.fingerprintVersion);
+                url.searchParams.append('fpl', data.fingerprintLevel);
+            }
             url.searchParams.append('_', Date.now()); // Cache buster
             
             return url.toString();
@@ -274,7 +350,8 @@ const ClientData = {
             
             // Fallback to string concatenation
             const separator = baseUrl.includes('?') ? '&' : '?';
-            return `${baseUrl}${separator}ip=${encodeURIComponent(data.ip)}&ua=${encodeURIComponent(data.ua)}&_=${Date.now()}`;
+            const ip = data.ipAttestation ? `ipAttestation=${encodeURIComponent(data.ipAttestation)}&` : '';
+            return `${baseUrl}${separator}${ip}ua=${encodeURIComponent(data.ua)}&_=${Date.now()}`;
         }
     },
     
@@ -283,13 +360,14 @@ const ClientData = {
      * @returns {Promise<Object>} - Minimal client data
      */
     async getMinimalData() {
-        const [ip, ua] = await Promise.all([
-            this.getRealIP(),
+        const [{ ip, ipAttestation }, ua] = await Promise.all([
+            this.getIpDetails(),
             Promise.resolve(navigator.userAgent)
         ]);
         
         return {
             ip: ip,
+            ipAttestation: ipAttestation,
             ua: ua,
             timestamp: new Date().toISOString()
         };
@@ -303,9 +381,12 @@ const ClientData = {
      * Clear cache (useful for testing)
      */
     clearCache() {
-        this.ipCache = null;
-        this.fingerprintCache = null;
-        this.lastFetch = 0;
+        Object.assign(CLIENT_DATA_CACHE, {
+            attestation: null,
+            attestationFailedAt: 0,
+            thirdPartyIp: null,
+            lastFetch: 0
+        });
         if (CONFIG.DEBUG) console.log('Client data cache cleared');
     },
     
@@ -366,10 +447,11 @@ window.ClientData = ClientData;
 
 // ============================================
 // SELF-TEST (only in debug mode)
+// Waits for the page's scripts, the attestation needs ApiClient
 // ============================================
 
 if (CONFIG.DEBUG) {
-    (async function testClientData() {
+    const testClientData = async function() {
         console.log('Testing ClientData module...');
         try {
             const data = await ClientData.getMinimalData();
@@ -377,5 +459,11 @@ if (CONFIG.DEBUG) {
         } catch (error) {
             console.error('ClientData test failed:', error);
         }
-    })();
+    };
+    
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', testClientData);
+    } else {
+        testClientData();
+    }
 }
\ No newline at end of file
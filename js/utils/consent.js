@@ -0,0 +1,260 @@
+/**
+ * Consent Module
+ * Privacy consent banner and preferences panel. Records which optional
+ * CONFIG.CONSENT categories the visitor allows, with the consent version and
+ * time, and ClientData checks them before collecting anything beyond the
+ * strictly necessary. Until the visitor chooses, every optional category is off.
+ */
+
+const Consent = {
+    STORAGE_KEY: CONFIG.CACHE_KEYS.consent,
+    CHANGE_EVENT: 'consentchange',
+
+    // ============================================
+    // CONSENT RECORD
+    // ============================================
+
+    /**
+     * Stored record for the current consent version
+     * @returns {Object|null} - { version, timestamp, categories }, or null if the visitor has not chosen
+     */
+    get() {
+        try {
+            const record = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return record && record.version === CONFIG.CONSENT.version ? record : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Check if the visitor has made a choice for the current version
+     * @returns {boolean} - True if decided
+     */
+    isDecided() {
+        return this.get() !== null;
+    },
+
+    /**
+     * Check if a category may be used
+     * @param {string} category - CONFIG.CONSENT.categories key
+     * @returns {boolean} - True if allowed
+     */
+    allows(category) {
+        return this.get()?.categories?.[category] === true;
+    },
+
+    /**
+     * Store a choice and tell listeners on this page
+     * @param {Object} choices - { category: boolean } (missing categories are off)
+     * @returns {Object} - Stored record
+     */
+    save(choices) {
+        const categories = {};
+        Object.keys(CONFIG.CONSENT.categories).forEach(key => {
+            categories[key] = choices[key] === true;
+        });
+
+        const record = {
+            version: CONFIG.CONSENT.version,
+            timestamp: new Date().toISOString(),
+            categories
+        };
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(record));
+        } catch (error) {
+            // Storage blocked - the choice applies until the page is left
+            console.warn('Could not store consent:', error);
+        }
+
+        window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, { detail: record }));
+        return record;
+    },
+
+    /**
+     * Allow or refuse every optional category
+     * @param {boolean} allowed - True to allow all
+     * @returns {Object} - Stored record
+     */
+    setAll(allowed) {
+        const choices = {};
+        Object.keys(CONFIG.CONSENT.categories).forEach(key => {
+            choices[key] = allowed;
+        });
+        return this.save(choices);
+    },
+
+    /**
+     * Consent state sent to the backend with client data
+     * @returns {Object} - { version, timestamp, categories } (timestamp is null and all off if undecided)
+     */
+    state() {
+        const record = this.get();
+        if (record) return record;
+
+        const categories = {};
+        Object.keys(CONFIG.CONSENT.categories).forEach(key => {
+            categories[key] = false;
+        });
+        return { version: CONFIG.CONSENT.version, timestamp: null, categories };
+    },
+
+    // ============================================
+    // BANNER
+    // ============================================
+
+    /**
+     * Show the first-visit banner
+     */
+    showBanner() {
+        if (document.getElementById('consentBanner')) return;
+
+        const banner = document.createElement('div');
+        banner.id = 'consentBanner';
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Privacy choices');
+        banner.innerHTML = `
+            <p>
+                We only use what keeps you signed in and secure unless you say otherwise.
+                With your OK we also add canvas, audio and screen details to your device fingerprint
+                against click fraud, look up your IP with a third-party service and record usage details.
+                <a href="/privacy.html">Privacy Policy</a>
+            </p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-outline" data-consent-action="preferences">Preferences</button>
+                <button type="button" class="btn btn-outline" data-consent-action="reject">Reject All</button>
+                <button type="button" class="btn btn-primary" data-consent-action="accept">Accept All</button>
+            </div>
+        `;
+
+        banner.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-consent-action]')?.dataset.consentAction;
+            if (action === 'accept' || action === 'reject') {
+                this.setAll(action === 'accept');
+                this.hideBanner();
+            } else if (action === 'preferences') {
+                this.showPreferences();
+            }
+        });
+
+        document.body.appendChild(banner);
+    },
+
+    /**
+     * Remove the banner
+     */
+    hideBanner() {
+        document.getElementById('consentBanner')?.remove();
+    },
+
+    // ============================================
+    // PREFERENCES PANEL
+    // ============================================
+
+    /**
+     * Open the preferences panel with the current choices ticked
+     */
+    showPreferences() {
+        if (document.getElementById('consentPreferences')) return;
+
+        const current = this.state().categories;
+        const options = Object.entries(CONFIG.CONSENT.categories).map(([key, category]) => `
+            <label class="consent-option">
+                <input type="checkbox" data-consent-category="${Sanitizer.escapeHtml(key)}" ${current[key] ? 'checked' : ''}>
+                <span>
+                    <strong>${Sanitizer.escapeHtml(category.label)}</strong>
+                    <small>${Sanitizer.escapeHtml(category.description)}</small>
+                </span>
+            </label>
+        `).join('');
+
+        const overlay = document.createElement('div');
+        overlay.id = 'consentPreferences';
+        overlay.className = 'modal-overlay';
+        overlay.innerHTML = `
+            <div class="modal consent-modal" role="dialog" aria-modal="true" aria-labelledby="consentTitle">
+                <h2 id="consentTitle">Privacy Preferences</h2>
+                <label class="consent-option">
+                    <input type="checkbox" checked disabled>
+                    <span>
+                        <strong>Strictly necessary</strong>
+                        <small>Your sign-in session, security checks (including a basic device fingerprint from your browser, platform, time zone and hardware), and the browser, platform and time zone shown in your sessions list. Always on.</small>
+                    </span>
+                </label>
+                ${options}
+                <div class="modal-actions">
+                    <button type="button" class="btn btn-outline" data-consent-action="cancel">Cancel</button>
+                    <button type="button" class="btn btn-primary" data-consent-action="save">Save Preferences</button>
+                </div>
+            </div>
+        `;
+
+        overlay.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-consent-action]')?.dataset.consentAction;
+            if (action === 'save') {
+                const choices = {};
+                overlay.querySelectorAll('[data-consent-category]').forEach(input => {
+                    choices[input.dataset.consentCategory] = input.checked;
+                });
+                this.save(choices);
+                this.hideBanner();
+                this.hidePreferences();
+            } else if (action === 'cancel' || e.target === overlay) {
+                this.hidePreferences();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        overlay.querySelector('[data-consent-action="save"]').focus();
+    },
+
+    /**
+     * Close the preferences panel
+     */
+    hidePreferences() {
+        document.getElementById('consentPreferences')?.remove();
+    },
+
+    // ============================================
+    // INITIALIZATION
+    // ============================================
+
+    /**
+     * Ask on the first visit (and after a version bump), and open the panel
+     * from any [data-consent-preferences] link
+     */
+    init() {
+        if (!this.isDecided()) this.showBanner();
+
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-consent-preferences]')) {
+                e.preventDefault();
+                this.showPreferences();
+            }
+        });
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(Consent);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.Consent = Consent;
+
+// ============================================
+// INITIALIZE
+// ============================================
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => Consent.init());
+} else {
+    Consent.init();
+}
@@ -0,0 +1,113 @@
+/**
+ * Data Export Module
+ * Turns an exportData response into a zip holding the full JSON and one
+ * CSV per section. Every CSV cell goes through Sanitizer.sanitizeForSheets
+ * so the files are safe to open in a spreadsheet.
+ */
+
+const DataExport = {
+    // CSV files in the archive and their columns, in order
+    SECTIONS: Object.freeze({
+        profile: ['affiliateID', 'name', 'email', 'tier', 'status', 'joinedDate', 'twoFactorEnabled', 'passkeys'],
+        clicks: ['timestamp', 'productID', 'productName'],
+        sales: ['saleID', 'timestamp', 'productID', 'productName', 'amount', 'commission', 'refunded'],
+        commissions: ['month', 'sales', 'refunds', 'revenue', 'commission'],
+        tierHistory: ['timestamp', 'tier'],
+        referrals: ['affiliateID', 'tier', 'status', 'joinedDate'],
+        sessions: ['id', 'current', 'created', 'lastSeen', 'ip', 'ipVerified', 'ua', 'platform', 'timezone'],
+        accountActivity: ['timestamp', 'event', 'details', 'sessionId', 'ip', 'ipVerified', 'ua']
+    }),
+
+    // ============================================
+    // ARCHIVE
+    // ============================================
+
+    /**
+     * Build the download
+     * @param {Object} data - exportData response
+     * @returns {Object} - { blob, filename }
+     */
+    buildArchive(data) {
+        const { success, ...contents } = data;
+        const generated = new Date(data.generatedAt);
+
+        const files = [{ name: 'data.json', content: JSON.stringify(contents, null, 2) }];
+        Object.entries(this.SECTIONS).forEach(([section, columns]) => {
+            const rows = section === 'profile' ? [data.profile] : data[section] || [];
+            files.push({ name: `${this.fileName(section)}.csv`, content: this.toCsv(columns, rows) });
+        });
+
+        return {
+            blob: ZipArchive.create(files, generated),
+            filename: `vettedpulse-data-${data.profile.affiliateID}-${data.generatedAt.slice(0, 10)}.zip`
+        };
+    },
+
+    /**
+     * Save a blob through a temporary link
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // ============================================
+    // CSV
+    // ============================================
+
+    /**
+     * RFC 4180 CSV with a UTF-8 byte order mark (so Excel reads accents)
+     * @param {Array<string>} columns - Column keys, also used as the header
+     * @param {Array<Object>} rows - Records
+     * @returns {string} - CSV text
+     */
+    toCsv(columns, rows) {
+        const lines = [columns, ...rows.map(row => columns.map(column => row[column]))]
+            .map(cells => cells.map(cell => this.toCell(cell)).join(','));
+
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Format, sanitize and quote one cell
+     * @param {any} value - Cell value
+     * @returns {string} - Safe CSV cell
+     */
+    toCell(value) {
+        const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        const safe = Sanitizer.sanitizeForSheets(text);
+
+        return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    },
+
+    /**
+     * File name for a section
+     * @param {string} section - e.g. 'tierHistory'
+     * @returns {string} - e.g. 'tier-history'
+     */
+    fileName(section) {
+        return section.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(DataExport);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.DataExport = DataExport;
@@ -0,0 +1,120 @@
+/**
+ * Feature Flags Module
+ * Evaluates CONFIG.FEATURES flags, with optional per-affiliate, per-tier
+ * and percentage-rollout targeting
+ */
+
+const Features = {
+    // ============================================
+    // EVALUATION
+    // ============================================
+
+    /**
+     * Check if a feature is enabled
+     * @param {string} name - Key of CONFIG.FEATURES
+     * @param {Object} context - { affiliateId, tier }, defaults to current session
+     * @returns {boolean} - True if enabled for this context
+     */
+    isEnabled(name, context = this.getContext()) {
+        if (!Object.prototype.hasOwnProperty.call(CONFIG.FEATURES, name)) {
+            if (CONFIG.DEBUG) console.warn('Unknown feature flag:', name);
+            return false;
+        }
+
+        return this.evaluate(name, CONFIG.FEATURES[name], context);
+    },
+
+    /**
+     * Evaluate a flag rule
+     *
+     * A rule is either a boolean or an object:
+     *   { enabled, affiliates: [...], tiers: [...], rollout: 0-100 }
+     * Listed affiliates are always on; otherwise the tier list and the
+     * rollout percentage must both pass.
+     *
+     * @param {string} name - Flag name (salts the rollout bucket)
+     * @param {boolean|Object} rule - Flag rule
+     * @param {Object} context - { affiliateId, tier }
+     * @returns {boolean} - True if enabled
+     */
+    evaluate(name, rule, context = {}) {
+        if (typeof rule === 'boolean') return rule;
+        if (!rule || typeof rule !== 'object' || rule.enabled === false) return false;
+
+        const { affiliateId, tier } = context;
+
+        if (Array.isArray(rule.affiliates) && affiliateId && rule.affiliates.includes(affiliateId)) {
+            return true;
+        }
+
+        if (Array.isArray(rule.tiers) && !rule.tiers.includes(tier)) {
+            return false;
+        }
+
+        if (typeof rule.rollout === 'number') {
+            if (rule.rollout >= 100) return true;
+            if (!affiliateId) return false;
+            return this.getBucket(name, affiliateId) < rule.rollout;
+        }
+
+        return true;
+    },
+
+    /**
+     * Stable rollout bucket for an affiliate (FNV-1a, 0-99)
+     * @param {string} name - Flag name
+     * @param {string} affiliateId - Affiliate ID
+     * @returns {number} - Bucket 0-99
+     */
+    getBucket(name, affiliateId) {
+        const input = `${name}:${affiliateId}`;
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return (hash >>> 0) % 100;
+    },
+
+    // ============================================
+    // CONTEXT
+    // ============================================
+
+    /**
+     * Targeting context for the logged-in affiliate
+     * @returns {Object} - { affiliateId, tier }
+     */
+    getContext() {
+        return {
+            affiliateId: localStorage.getItem('affiliateID'),
+            tier: localStorage.getItem('tier')
+        };
+    },
+
+    /**
+     * Evaluate every flag (useful for debugging)
+     * @param {Object} context - { affiliateId, tier }
+     * @returns {Object} - Flag name to boolean
+     */
+    getAll(context = this.getContext()) {
+        const result = {};
+        Object.keys(CONFIG.FEATURES).forEach(name => {
+            result[name] = this.isEnabled(name, context);
+        });
+        return result;
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(Features);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.Features = Features;
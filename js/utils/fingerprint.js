@@ -0,0 +1,251 @@
+/**
+ * Fingerprint Module
+ * Versioned device fingerprint for fraud checks, hashed with SHA-256.
+ * Without fingerprinting consent it only uses browser and hardware details
+ * that survive updates and restarts; screen, language, WebGL, canvas and
+ * audio signals are added once the visitor allows fingerprinting. The two
+ * levels hash different signals, so each result says which one it is and
+ * the backend only compares fingerprints of the same version and level.
+ * Bump CONFIG.FINGERPRINT.version whenever the signals or their encoding change.
+ */
+
+// Results live outside Fingerprint because the object is frozen
+const FINGERPRINT_CACHE = {
+    basic: null,    // Promise of the fingerprint without consent
+    full: null      // Promise of the fingerprint with every signal
+};
+
+const Fingerprint = {
+    // Weight of each signal in the stability score, relative to the other
+    // signals of the same level. Values that change with browser updates, zoom or daylight saving
+    // (UA version numbers, pixel ratio, UTC offset) are left out entirely.
+    WEIGHTS: Object.freeze({
+        browser: 0.05,
+        platform: 0.05,
+        timezone: 0.05,
+        cores: 0.05,
+        memory: 0.05,
+        touchPoints: 0.05,
+        screen: 0.1,
+        colorDepth: 0.05,
+        languages: 0.05,
+        webgl: 0.15,
+        canvas: 0.2,
+        audio: 0.15
+    }),
+
+    // Signals read only with fingerprinting consent
+    CONSENT_SIGNALS: Object.freeze(['screen', 'colorDepth', 'languages', 'webgl', 'canvas', 'audio']),
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    /**
+     * Fingerprint for the visitor's current consent, computed once per page
+     * @returns {Promise<Object|null>} - { hash, version, level, stability }, or null without WebCrypto
+     */
+    get() {
+        const level = Consent.allows('fingerprinting') ? 'full' : 'basic';
+
+        if (!FINGERPRINT_CACHE[level]) {
+            FINGERPRINT_CACHE[level] = this.compute(level).catch(error => {
+                console.warn('Fingerprint failed:', error);
+                FINGERPRINT_CACHE[level] = null;
+                return null;
+            });
+        }
+        return FINGERPRINT_CACHE[level];
+    },
+
+    /**
+     * Read the signals and hash them
+     * @param {string} level - 'basic' (no consent) or 'full' (adds the signals that need consent)
+     * @returns {Promise<Object|null>} - { hash, version, level, stability }, or null without WebCrypto
+     */
+    async compute(level) {
+        // SHA-256 needs a secure context; a weak fallback hash would only collide
+        if (!window.crypto?.subtle) return null;
+
+        const names = Object.keys(this.WEIGHTS).filter(name => level === 'full' || !this.CONSENT_SIGNALS.includes(name));
+        const values = await Promise.all(names.map(name => this.read(name)));
+
+        const signals = {};
+        let read = 0;
+        let total = 0;
+        names.forEach((name, i) => {
+            signals[name] = values[i];
+            total += this.WEIGHTS[name];
+            if (values[i] !== null) read += this.WEIGHTS[name];
+        });
+
+        const { version } = CONFIG.FINGERPRINT;
+        return {
+            hash: await this.sha256(JSON.stringify({ version, level, signals })),
+            version,
+            level,
+            // Share of this level's signals, so both levels run from 0 to 1
+            stability: Math.round(read / total * 100) / 100
+        };
+    },
+
+    // ============================================
+    // SIGNALS
+    // ============================================
+
+    /**
+     * Read one signal
+     * @param {string} name - Key of WEIGHTS
+     * @returns {Promise<string|number|null>} - Value, or null if the browser does not expose it
+     */
+    async read(name) {
+        try {
+            switch (name) {
+                case 'browser':
+                    // Version numbers change with every update
+                    return navigator.userAgent.replace(/\d+(?:[._]\d+)*/g, '') || null;
+                case 'platform':
+                    return navigator.platform || null;
+                case 'timezone':
+                    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+                case 'cores':
+                    return navigator.hardwareConcurrency || null;
+                case 'memory':
+                    return navigator.deviceMemory || null;
+                case 'touchPoints':
+                    return typeof navigator.maxTouchPoints === 'number' ? navigator.maxTouchPoints : null;
+                case 'screen':
+                    // Sorted, so rotating a phone keeps the value
+                    return [screen.width, screen.height].sort((a, b) => a - b).join('x');
+                case 'colorDepth':
+                    return screen.colorDepth || null;
+                case 'languages':
+                    return (navigator.languages || [navigator.language]).join(',') || null;
+                case 'webgl':
+                    return this.readWebGL();
+                case 'canvas':
+                    return this.readCanvas();
+                case 'audio':
+                    return await this.readAudio();
+                default:
+                    return null;
+            }
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Graphics card as reported by WebGL
+     * @returns {string|null} - "vendor~renderer"
+     */
+    readWebGL() {
+        const gl = document.createElement('canvas').getContext('webgl');
+        if (!gl) return null;
+
+        const info = gl.getExtension('WEBGL_debug_renderer_info');
+        const vendor = gl.getParameter(info ? info.UNMASKED_VENDOR_WEBGL : gl.VENDOR);
+        const renderer = gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER);
+        return vendor || renderer ? `${vendor}~${renderer}` : null;
+    },
+
+    /**
+     * Text and shapes rendered to a canvas. Drawn twice: browsers that add
+     * noise to resist fingerprinting give two different images, and a value
+     * that changes on every read is worse than none.
+     * @returns {string|null} - PNG data URL
+     */
+    readCanvas() {
+        const draw = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = 240;
+            canvas.height = 60;
+
+            const ctx = canvas.getContext('2d');
+            if (!ctx) return null;
+
+            ctx.textBaseline = 'alphabetic';
+            ctx.fillStyle = '#f60';
+            ctx.fillRect(100, 1, 62, 20);
+            ctx.fillStyle = '#069';
+            ctx.font = '15px Arial';
+            ctx.fillText('VettedPulse ❤ fp', 2, 15);
+            ctx.fillStyle = 'rgba(102, 204, 0, 0.7)';
+            ctx.font = '18px Times New Roman';
+            ctx.fillText('VettedPulse ❤ fp', 4, 45);
+            ctx.beginPath();
+            ctx.arc(200, 30, 20, 0, Math.PI * 2);
+            ctx.stroke();
+
+            return canvas.toDataURL();
+        };
+
+        const first = draw();
+        return first && first === draw() ? first : null;
+    },
+
+    /**
+     * Sum of an oscillator rendered through a compressor offline. Small
+     * differences in the audio stack show up in the low digits.
+     * @returns {Promise<string|null>} - Rounded sum, or null if unavailable or too slow
+     */
+    readAudio() {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContext) return Promise.resolve(null);
+
+        const context = new OfflineContext(1, 5000, 44100);
+        const oscillator = context.createOscillator();
+        const compressor = context.createDynamicsCompressor();
+
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = 10000;
+        compressor.threshold.value = -50;
+        compressor.knee.value = 40;
+        compressor.ratio.value = 12;
+        compressor.attack.value = 0;
+        compressor.release.value = 0.25;
+
+        oscillator.connect(compressor);
+        compressor.connect(context.destination);
+        oscillator.start(0);
+
+        const rendered = context.startRendering().then(buffer => {
+            const samples = buffer.getChannelData(0);
+            let sum = 0;
+            for (let i = 4500; i < samples.length; i++) {
+                sum += Math.abs(samples[i]);
+            }
+            return sum.toPrecision(10);
+        });
+
+        // Some browsers suspend offline rendering in background tabs
+        const timeout = new Promise(resolve => setTimeout(() => resolve(null), CONFIG.FINGERPRINT.audioTimeout));
+        return Promise.race([rendered, timeout]);
+    },
+
+    // ============================================
+    // HASHING
+    // ============================================
+
+    /**
+     * SHA-256 of a string
+     * @param {string} text - Input
+     * @returns {Promise<string>} - 64 hex characters
+     */
+    async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(Fingerprint);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.Fingerprint = Fingerprint;
@@ -0,0 +1,164 @@
+/**
+ * Passkey Module
+ * WebAuthn wrappers for passkey registration and sign-in. Backend options
+ * arrive with base64url binary fields and credentials are returned the same
+ * way, ready to POST as JSON.
+ */
+
+const Passkey = {
+    /**
+     * Check if this browser can register and use passkeys. getPublicKey()
+     * is required because the backend does not parse attestation objects.
+     * @returns {boolean} - True if supported
+     */
+    isSupported() {
+        return typeof window.PublicKeyCredential === 'function' &&
+            typeof navigator.credentials?.create === 'function' &&
+            typeof window.AuthenticatorAttestationResponse?.prototype?.getPublicKey === 'function';
+    },
+
+    // ============================================
+    // CEREMONIES
+    // ============================================
+
+    /**
+     * Create a passkey from getPasskeyRegistrationOptions
+     * @param {Object} options - Backend registration options
+     * @returns {Promise<Object>} - Credential for registerPasskey
+     * @throws {Error} - If cancelled or the authenticator fails (see describeError)
+     */
+    async register(options) {
+        const credential = await navigator.credentials.create({
+            publicKey: {
+                challenge: this.fromBase64Url(options.challenge),
+                rp: options.rp,
+                user: { ...options.user, id: this.fromBase64Url(options.user.id) },
+                pubKeyCredParams: options.pubKeyCredParams,
+                excludeCredentials: (options.excludeCredentials || []).map(item => ({
+                    ...item,
+                    id: this.fromBase64Url(item.id)
+                })),
+                authenticatorSelection: options.authenticatorSelection,
+                attestation: options.attestation,
+                timeout: options.timeout
+            }
+        });
+
+        const response = credential.response;
+        const publicKey = response.getPublicKey();
+        if (!publicKey) {
+            throw new Error('This passkey uses an algorithm the browser cannot export. Try another device.');
+        }
+
+        return {
+            id: credential.id,
+            clientDataJSON: this.toBase64Url(response.clientDataJSON),
+            authenticatorData: this.toBase64Url(response.getAuthenticatorData()),
+            publicKey: this.toBase64Url(publicKey),
+            publicKeyAlgorithm: response.getPublicKeyAlgorithm(),
+            transports: typeof response.getTransports === 'function' ? response.getTransports() : []
+        };
+    },
+
+    /**
+     * Sign in with a passkey from getPasskeyLoginOptions
+     * @param {Object} options - Backend login options
+     * @returns {Promise<Object>} - Assertion for loginWithPasskey
+     * @throws {Error} - If cancelled or the authenticator fails (see describeError)
+     */
+    async authenticate(options) {
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                challenge: this.fromBase64Url(options.challenge),
+                rpId: options.rpId,
+                userVerification: options.userVerification,
+                timeout: options.timeout,
+                allowCredentials: []
+            }
+        });
+
+        const response = credential.response;
+
+        return {
+            id: credential.id,
+            clientDataJSON: this.toBase64Url(response.clientDataJSON),
+            authenticatorData: this.toBase64Url(response.authenticatorData),
+            signature: this.toBase64Url(response.signature),
+            userHandle: response.userHandle ? this.toBase64Url(response.userHandle) : null
+        };
+    },
+
+    // ============================================
+    // ERRORS
+    // ============================================
+
+    /**
+     * Check if the user dismissed the browser prompt (or it timed out)
+     * @param {Error} error - Caught error
+     * @returns {boolean} - True if cancelled
+     */
+    isCancelled(error) {
+        return error?.name === 'NotAllowedError' || error?.name === 'AbortError';
+    },
+
+    /**
+     * User-facing message for a WebAuthn failure
+     * @param {Error} error - Caught error
+     * @returns {string} - Message
+     */
+    describeError(error) {
+        switch (error?.name) {
+            case 'NotAllowedError':
+            case 'AbortError':
+                return 'The passkey request was cancelled or timed out.';
+            case 'InvalidStateError':
+                return 'This device already has a passkey for your account.';
+            case 'SecurityError':
+                return 'Passkeys are not available on this address. Use the site over HTTPS.';
+            case 'NotSupportedError':
+                return 'This device does not support the required passkey type.';
+            default:
+                return error?.message || 'Passkey request failed.';
+        }
+    },
+
+    // ============================================
+    // ENCODING
+    // ============================================
+
+    /**
+     * Encode bytes as base64url
+     * @param {ArrayBuffer} buffer - Bytes
+     * @returns {string} - base64url string
+     */
+    toBase64Url(buffer) {
+        let binary = '';
+        new Uint8Array(buffer).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * Decode base64url
+     * @param {string} value - base64url string
+     * @returns {Uint8Array} - Bytes
+     */
+    fromBase64Url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(Passkey);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.Passkey = Passkey;
@@ -0,0 +1,89 @@
+/**
+ * Password Hash Module
+ * Derives the credential sent to the backend so the raw password never
+ * leaves the browser. PBKDF2-SHA256 (WebCrypto) salted with the normalized
+ * email; the backend salts and hashes the result again before storing it.
+ */
+
+const PasswordHash = {
+    SCHEME: 'pbkdf2-sha256',
+    SALT_PREFIX: 'vettedpulse:',
+    KEY_BITS: 256,
+
+    /**
+     * Derive the login credential for an account
+     * @param {string} password - Raw password
+     * @param {string} email - Account email (salt)
+     * @returns {Promise<string>} - Hex-encoded derived key
+     * @throws {Error} - If WebCrypto is unavailable (insecure context or old browser)
+     */
+    async derive(password, email) {
+        if (!window.crypto?.subtle) {
+            throw new Error('This browser cannot sign in securely. Please use an up-to-date browser over HTTPS.');
+        }
+
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(password),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+
+        const bits = await crypto.subtle.deriveBits(
+            {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                salt: encoder.encode(this.getSalt(email)),
+                iterations: CONFIG.SECURITY.passwordHashIterations
+            },
+            key,
+            this.KEY_BITS
+        );
+
+        return this.toHex(bits);
+    },
+
+    /**
+     * Salt for an account (must match the backend)
+     * @param {string} email - Account email
+     * @returns {string} - Salt
+     */
+    getSalt(email) {
+        return this.SALT_PREFIX + String(email).trim().toLowerCase();
+    },
+
+    /**
+     * Credential format used before PBKDF2, only sent in a POST body when
+     * the backend asks to upgrade a legacy account
+     * @param {string} password - Raw password
+     * @returns {string} - Legacy credential
+     */
+    legacy(password) {
+        return btoa(password);
+    },
+
+    /**
+     * Hex-encode a buffer
+     * @param {ArrayBuffer} buffer - Bytes
+     * @returns {string} - Hex string
+     */
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(PasswordHash);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.PasswordHash = PasswordHash;
@@ -0,0 +1,481 @@
+/**
+ * QR Code Module
+ * Minimal QR encoder (byte mode, error correction level M, versions 1-10)
+ * so secrets such as TOTP enrollment URIs never leave the browser for a
+ * third-party QR service. Renders to SVG.
+ */
+
+const QrCode = {
+    MAX_VERSION: 10,
+
+    // Level M, indexed by version (index 0 unused)
+    ECC_CODEWORDS_PER_BLOCK: Object.freeze([-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26]),
+    NUM_ECC_BLOCKS: Object.freeze([-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5]),
+
+    // Level M format indicator
+    ECC_FORMAT_BITS: 0,
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    /**
+     * Encode text into a module matrix
+     * @param {string} text - Text to encode (UTF-8)
+     * @returns {Object} - { version, size, modules } where modules[y][x] is true for dark
+     * @throws {Error} - If the text does not fit in MAX_VERSION
+     */
+    encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+        const version = this.chooseVersion(bytes.length);
+        const size = version * 4 + 17;
+
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const qr = { version, size, modules, isFunction };
+
+        this.drawFunctionPatterns(qr);
+        this.drawCodewords(qr, this.addEccAndInterleave(version, this.encodeData(version, bytes)));
+
+        // Pick the mask with the lowest penalty
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(qr, mask);
+            this.drawFormatBits(qr, mask);
+            const penalty = this.getPenalty(qr);
+            if (penalty < bestPenalty) {
+                bestMask = mask;
+                bestPenalty = penalty;
+            }
+            this.applyMask(qr, mask); // XOR again to undo
+        }
+
+        this.applyMask(qr, bestMask);
+        this.drawFormatBits(qr, bestMask);
+
+        return { version, size, modules };
+    },
+
+    /**
+     * Render text as an SVG QR code
+     * @param {string} text - Text to encode
+     * @param {Object} options - { margin } quiet zone in modules (default 4)
+     * @returns {string} - SVG markup
+     */
+    toSvg(text, options = {}) {
+        const margin = options.margin ?? 4;
+        const { size, modules } = this.encode(text);
+        const total = size + margin * 2;
+        const path = [];
+
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path.push(`M${x + margin},${y + margin}h1v1h-1z`);
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges" role="img" aria-label="QR code">` +
+            `<rect width="${total}" height="${total}" fill="#FFFFFF"/>` +
+            `<path d="${path.join('')}" fill="#000000"/>` +
+            '</svg>';
+    },
+
+    // ============================================
+    // DATA ENCODING
+    // ============================================
+
+    /**
+     * Smallest version whose capacity fits the data
+     * @param {number} byteCount - Data length in bytes
+     * @returns {number} - Version
+     */
+    chooseVersion(byteCount) {
+        for (let version = 1; version <= this.MAX_VERSION; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            const capacityBits = this.getNumDataCodewords(version) * 8;
+            if (4 + countBits + byteCount * 8 <= capacityBits) return version;
+        }
+        throw new Error('Text too long for QR code');
+    },
+
+    /**
+     * Build the data codewords: mode, length, bytes, terminator and padding
+     * @param {number} version - QR version
+     * @param {Array<number>} bytes - Data bytes
+     * @returns {Array<number>} - Data codewords
+     */
+    encodeData(version, bytes) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4); // Byte mode
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacityBits = this.getNumDataCodewords(version) * 8;
+        append(0, Math.min(4, capacityBits - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        return codewords;
+    },
+
+    /**
+     * Split data into blocks, append Reed-Solomon ECC and interleave
+     * @param {number} version - QR version
+     * @param {Array<number>} data - Data codewords
+     * @returns {Array<number>} - Final codeword sequence
+     */
+    addEccAndInterleave(version, data) {
+        const numBlocks = this.NUM_ECC_BLOCKS[version];
+        const blockEccLen = this.ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+        const divisor = this.reedSolomonDivisor(blockEccLen);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte in short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    },
+
+    /**
+     * Data modules available in a version (everything but function patterns)
+     * @param {number} version - QR version
+     * @returns {number} - Module count
+     */
+    getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    /**
+     * Data codewords in a version at level M
+     * @param {number} version - QR version
+     * @returns {number} - Codeword count
+     */
+    getNumDataCodewords(version) {
+        return Math.floor(this.getNumRawDataModules(version) / 8) -
+            this.ECC_CODEWORDS_PER_BLOCK[version] * this.NUM_ECC_BLOCKS[version];
+    },
+
+    // ============================================
+    // REED-SOLOMON (GF(2^8), polynomial 0x11D)
+    // ============================================
+
+    /**
+     * Generator polynomial for a given ECC length
+     * @param {number} degree - Number of ECC codewords
+     * @returns {Array<number>} - Coefficients, highest first (leading 1 omitted)
+     */
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+        return result;
+    },
+
+    /**
+     * ECC codewords for a data block
+     * @param {Array<number>} data - Data codewords
+     * @param {Array<number>} divisor - Generator polynomial
+     * @returns {Array<number>} - Remainder
+     */
+    reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= this.gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    },
+
+    /**
+     * Multiply in GF(2^8)
+     * @param {number} x - Factor
+     * @param {number} y - Factor
+     * @returns {number} - Product
+     */
+    gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    // ============================================
+    // MATRIX
+    // ============================================
+
+    /**
+     * Set a function-pattern module (excluded from data and masking)
+     * @param {Object} qr - Matrix state
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {boolean} dark - Module color
+     */
+    setFunctionModule(qr, x, y, dark) {
+        qr.modules[y][x] = dark;
+        qr.isFunction[y][x] = true;
+    },
+
+    /**
+     * Draw timing, finder and alignment patterns and reserve format/version areas
+     * @param {Object} qr - Matrix state
+     */
+    drawFunctionPatterns(qr) {
+        const { size } = qr;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunctionModule(qr, 6, i, i % 2 === 0);
+            this.setFunctionModule(qr, i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || x >= size || y < 0 || y >= size) continue;
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    this.setFunctionModule(qr, x, y, dist !== 2 && dist !== 4);
+                }
+            }
+        });
+
+        const positions = this.getAlignmentPositions(qr.version, size);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                // Finder pattern corners
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunctionModule(qr, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        this.drawFormatBits(qr, 0);
+        this.drawVersionBits(qr);
+    },
+
+    /**
+     * Alignment pattern centre coordinates
+     * @param {number} version - QR version
+     * @param {number} size - Matrix size
+     * @returns {Array<number>} - Coordinates (used for both axes)
+     */
+    getAlignmentPositions(version, size) {
+        if (version === 1) return [];
+
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    },
+
+    /**
+     * Draw both copies of the format information (ECC level + mask)
+     * @param {Object} qr - Matrix state
+     * @param {number} mask - Mask pattern 0-7
+     */
+    drawFormatBits(qr, mask) {
+        const { size } = qr;
+        const data = (this.ECC_FORMAT_BITS << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(qr, 8, i, bit(i));
+        this.setFunctionModule(qr, 8, 7, bit(6));
+        this.setFunctionModule(qr, 8, 8, bit(7));
+        this.setFunctionModule(qr, 7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(qr, 14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(qr, size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(qr, 8, size - 15 + i, bit(i));
+        this.setFunctionModule(qr, 8, size - 8, true); // Always-dark module
+    },
+
+    /**
+     * Draw the version information blocks (versions 7+)
+     * @param {Object} qr - Matrix state
+     */
+    drawVersionBits(qr) {
+        if (qr.version < 7) return;
+
+        let rem = qr.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (qr.version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = qr.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(qr, a, b, dark);
+            this.setFunctionModule(qr, b, a, dark);
+        }
+    },
+
+    /**
+     * Place codewords in the zigzag order, skipping function modules
+     * @param {Object} qr - Matrix state
+     * @param {Array<number>} data - Codewords
+     */
+    drawCodewords(qr, data) {
+        const { size } = qr;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // Skip the vertical timing pattern
+
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+
+                    if (!qr.isFunction[y][x] && i < data.length * 8) {
+                        qr.modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    },
+
+    /**
+     * XOR a mask pattern over the data modules
+     * @param {Object} qr - Matrix state
+     * @param {number} mask - Mask pattern 0-7
+     */
+    applyMask(qr, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+        const invert = patterns[mask];
+
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (!qr.isFunction[y][x] && invert(x, y)) {
+                    qr.modules[y][x] = !qr.modules[y][x];
+                }
+            }
+        }
+    },
+
+    /**
+     * Mask penalty: long runs, 2x2 blocks and dark/light imbalance (any
+     * mask decodes; this only picks a cleaner-looking one)
+     * @param {Object} qr - Matrix state
+     * @returns {number} - Penalty score
+     */
+    getPenalty(qr) {
+        const { size, modules } = qr;
+        let penalty = 0;
+        let dark = 0;
+
+        const scoreRuns = (get) => {
+            for (let a = 0; a < size; a++) {
+                let run = 1;
+                for (let b = 1; b <= size; b++) {
+                    if (b < size && get(a, b) === get(a, b - 1)) {
+                        run++;
+                    } else {
+                        if (run >= 5) penalty += run - 2;
+                        run = 1;
+                    }
+                }
+            }
+        };
+        scoreRuns((y, x) => modules[y][x]);
+        scoreRuns((x, y) => modules[y][x]);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        penalty += 3;
+                    }
+                }
+            }
+        }
+
+        const total = size * size;
+        penalty += Math.floor(Math.abs(dark * 20 - total * 10) / total) * 10;
+
+        return penalty;
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(QrCode);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.QrCode = QrCode;
@@ -0,0 +1,310 @@
+/**
+ * Runtime Config Module
+ * Loads TIERS, CAPACITY and PULSE_SCORE from the backend so pricing and
+ * limits can change without a frontend redeploy. The values bundled in
+ * config.js remain the fallback.
+ */
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+// Bundled values, captured before any cached or remote values are applied
+const RUNTIME_CONFIG_DEFAULTS = JSON.parse(JSON.stringify({
+    TIERS: CONFIG.TIERS,
+    CAPACITY: CONFIG.CAPACITY,
+    PULSE_SCORE: CONFIG.PULSE_SCORE
+}));
+
+const runtimeConfigState = {
+    source: 'local',
+    version: null,
+    fetchedAt: null,
+    mismatches: [],
+    error: null,
+    pending: null
+};
+
+const RuntimeConfig = {
+    SECTIONS: Object.freeze(['TIERS', 'CAPACITY', 'PULSE_SCORE']),
+
+    // ============================================
+    // LOADING
+    // ============================================
+
+    /**
+     * Load runtime config once per page. Never rejects: on failure the
+     * cached or bundled values stay in place.
+     * @param {Object} options - { force } to bypass a fresh cache
+     * @returns {Promise<Object>} - Load report (see getReport)
+     */
+    load(options = {}) {
+        if (runtimeConfigState.pending && !options.force) {
+            return runtimeConfigState.pending;
+        }
+
+        runtimeConfigState.pending = this.refresh(options.force);
+        return runtimeConfigState.pending;
+    },
+
+    /**
+     * Fetch config from the backend unless the cache is still fresh
+     * @param {boolean} force - Ignore cache freshness
+     * @returns {Promise<Object>} - Load report
+     */
+    async refresh(force = false) {
+        const cached = this.readCache();
+
+        if (!force && cached && this.isFresh(cached)) {
+            return this.getReport();
+        }
+
+        try {
+            const data = await ApiClient.get('getConfig');
+
+            if (!this.isValidConfig(data.config)) {
+                throw new Error('Invalid config payload');
+            }
+
+            this.applyValidated(data.config);
+            this.writeCache(data.config, data.version);
+
+            runtimeConfigState.source = 'remote';
+            runtimeConfigState.version = data.version || null;
+            runtimeConfigState.fetchedAt = Date.now();
+            runtimeConfigState.error = null;
+            runtimeConfigState.mismatches = this.compare(RUNTIME_CONFIG_DEFAULTS, data.config);
+
+            this.reportMismatches();
+        } catch (error) {
+            runtimeConfigState.error = error.message;
+            console.warn(`Runtime config unavailable, using ${runtimeConfigState.source} values:`, error.message);
+        }
+
+        return this.getReport();
+    },
+
+    /**
+     * Apply cached config synchronously so page modules see it on first read
+     */
+    applyCached() {
+        const cached = this.readCache();
+        if (!cached) return;
+
+        try {
+            this.applyValidated(cached.config);
+        } catch (error) {
+            console.warn('Discarding cached runtime config:', error.message);
+            localStorage.removeItem(this.getCacheKey());
+            return;
+        }
+
+        runtimeConfigState.source = 'cache';
+        runtimeConfigState.version = cached.version;
+        runtimeConfigState.fetchedAt = cached.fetchedAt;
+        runtimeConfigState.mismatches = this.compare(RUNTIME_CONFIG_DEFAULTS, cached.config);
+    },
+
+    /**
+     * Apply config, rolling back if CONFIG no longer passes CONFIG.validate()
+     * @param {Object} config - { TIERS, CAPACITY, PULSE_SCORE }
+     * @throws {Error} - If validation fails (previous values are restored)
+     */
+    applyValidated(config) {
+        const previous = JSON.parse(JSON.stringify({
+            TIERS: CONFIG.TIERS,
+            CAPACITY: CONFIG.CAPACITY,
+            PULSE_SCORE: CONFIG.PULSE_SCORE
+        }));
+
+        this.apply(config);
+
+        const report = CONFIG.validate();
+        if (!report.valid) {
+            this.apply(previous);
+            const first = report.errors[0];
+            throw new Error(`Backend config failed validation: ${first.path} ${first.message}`);
+        }
+    },
+
+    /**
+     * Replace CONFIG sections in place (CONFIG itself is frozen, its sections are not)
+     * @param {Object} config - { TIERS, CAPACITY, PULSE_SCORE }
+     */
+    apply(config) {
+        this.SECTIONS.forEach(section => {
+            const target = CONFIG[section];
+            const values = config[section];
+
+            Object.keys(target).forEach(key => {
+                if (!(key in values)) delete target[key];
+            });
+            Object.assign(target, values);
+        });
+    },
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    /**
+     * Sanity-check a backend config payload before it replaces local values
+     * @param {Object} config - Payload config
+     * @returns {boolean} - True if usable
+     */
+    isValidConfig(config) {
+        if (!config || typeof config !== 'object') return false;
+
+        const isNumberMap = (obj) => obj && typeof obj === 'object' &&
+            Object.values(obj).every(value => typeof value === 'number');
+
+        const tiers = config.TIERS;
+        if (!tiers || typeof tiers !== 'object' || Object.keys(tiers).length === 0) return false;
+
+        const tiersValid = Object.values(tiers).every(tier =>
+            tier &&
+            typeof tier.name === 'string' &&
+            typeof tier.color === 'string' &&
+            typeof tier.maxAffiliates === 'number' &&
+            typeof tier.perAffiliateClickLimit === 'number' &&
+            typeof tier.monthlyFee === 'number' &&
+            typeof tier.commissionMultiplier === 'number' &&
+            typeof tier.priority === 'number' &&
+            (tier.requireTwoFactor === undefined || typeof tier.requireTwoFactor === 'boolean') &&
+            Array.isArray(tier.features)
+        );
+
+        return tiersValid && isNumberMap(config.CAPACITY) && isNumberMap(config.PULSE_SCORE);
+    },
+
+    // ============================================
+    // MISMATCH REPORT
+    // ============================================
+
+    /**
+     * Diff bundled values against backend values
+     * @param {Object} local - Bundled config sections
+     * @param {Object} remote - Backend config sections
+     * @returns {Array<Object>} - [{ path, local, remote }]
+     */
+    compare(local, remote) {
+        const mismatches = [];
+
+        const walk = (path, a, b) => {
+            const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+            if (isObject(a) && isObject(b)) {
+                new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+                    walk(`${path}.${key}`, a[key], b[key]);
+                });
+                return;
+            }
+
+            if (JSON.stringify(a) !== JSON.stringify(b)) {
+                mismatches.push({ path, local: a, remote: b });
+            }
+        };
+
+        this.SECTIONS.forEach(section => walk(section, local[section], remote[section]));
+
+        return mismatches;
+    },
+
+    /**
+     * Log config drift between this build and the backend
+     */
+    reportMismatches() {
+        const mismatches = runtimeConfigState.mismatches;
+        if (mismatches.length === 0) return;
+
+        console.warn(
+            `⚠️ Backend config differs from js/config.js in ${mismatches.length} place(s). ` +
+            'Backend values are in use; update config.js to match.'
+        );
+
+        if (CONFIG.DEBUG) {
+            console.table(mismatches);
+        }
+    },
+
+    /**
+     * Get the current load report
+     * @returns {Object} - { source, version, fetchedAt, mismatches, error }
+     */
+    getReport() {
+        return {
+            source: runtimeConfigState.source,
+            version: runtimeConfigState.version,
+            fetchedAt: runtimeConfigState.fetchedAt,
+            mismatches: runtimeConfigState.mismatches.slice(),
+            error: runtimeConfigState.error
+        };
+    },
+
+    // ============================================
+    // CACHE
+    // ============================================
+
+    /**
+     * Cache key, per environment so a ?env override never reuses another backend's values
+     * @returns {string} - localStorage key
+     */
+    getCacheKey() {
+        return CONFIG.CACHE_KEYS.runtimeConfig + CONFIG.ENVIRONMENT;
+    },
+
+    /**
+     * Read cached config
+     * @returns {Object|null} - { config, version, fetchedAt }
+     */
+    readCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(this.getCacheKey()));
+            return cached && this.isValidConfig(cached.config) ? cached : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Store config in cache
+     * @param {Object} config - Backend config sections
+     * @param {string} version - Backend config version
+     */
+    writeCache(config, version) {
+        try {
+            localStorage.setItem(this.getCacheKey(), JSON.stringify({
+                config,
+                version: version || null,
+                fetchedAt: Date.now()
+            }));
+        } catch (error) {
+            console.warn('Could not cache runtime config:', error.message);
+        }
+    },
+
+    /**
+     * Check if a cache entry is within CONFIG.RUNTIME_CONFIG.cacheMinutes
+     * @param {Object} cached - Cache entry
+     * @returns {boolean} - True if fresh
+     */
+    isFresh(cached) {
+        return Date.now() - cached.fetchedAt < CONFIG.RUNTIME_CONFIG.cacheMinutes * 60 * 1000;
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(RuntimeConfig);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.RuntimeConfig = RuntimeConfig;
+
+// Cached values apply before page modules run; the refresh starts right away
+RuntimeConfig.applyCached();
+RuntimeConfig.load();
@@ -39,7 +39,7 @@ const Sanitizer = {
         ];
         
         dangerousAttrs.forEach(attr => {
-            const regex = new RegExp(attr, 'gi');
+            const regex = new RegExp(attr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
             clean = clean.replace(regex, 'blocked:');
         });
         
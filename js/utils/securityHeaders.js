@@ -350,7 +350,7 @@ const SecurityHeaders = {
      * Log security audit results
      */
     logSecurityAudit: () => {
-        if (CONFIG.DEBUG) {
+        if (CONFIG.DEBUG && Features.isEnabled('auditLogging')) {
             const audit = SecurityHeaders.auditSecurity();
             console.group('🔒 Security Audit');
             console.log('HTTPS:', audit.https ? '✅' : '❌');
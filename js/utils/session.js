@@ -0,0 +1,391 @@
+/**
+ * Session Module
+ * Owns the session keys in localStorage and rotates the token before it
+ * expires (CONFIG.SECURITY.tokenRefreshMinutes). Only one refresh runs at a
+ * time across all open tabs, and login, logout, tier changes and token
+ * refreshes are broadcast to every other open tab.
+ */
+
+// ============================================
+// MODULE STATE
+// ============================================
+
+const sessionState = {
+    refreshPromise: null,
+    refreshTimer: null,
+    tabId: Math.random().toString(36).substring(2, 10),
+    channel: null,
+    listeners: new Set()
+};
+
+const Session = {
+    KEYS: Object.freeze({
+        token: 'token',
+        affiliateId: 'affiliateID',
+        tier: 'tier',
+        sessionStart: 'sessionStart',
+        tokenExpires: 'tokenExpires'
+    }),
+
+    LOCK_NAME: 'vp-token-refresh',
+    LOCK_TIMEOUT: 10000,
+    CHANNEL_NAME: 'vp-session',
+
+    EVENTS: Object.freeze({
+        login: 'login',
+        logout: 'logout',
+        tier: 'tier',
+        token: 'token'
+    }),
+
+    // ============================================
+    // SESSION DATA
+    // ============================================
+
+    /**
+     * Store a new session from a login response
+     * @param {Object} data - { token, affiliateID, tier, tokenExpiresAt }
+     */
+    start(data) {
+        localStorage.setItem(this.KEYS.affiliateId, data.affiliateID);
+        localStorage.setItem(this.KEYS.tier, data.tier);
+        localStorage.setItem(this.KEYS.sessionStart, Date.now().toString());
+        this.storeToken(data.token, data.tokenExpiresAt);
+
+        this.broadcast(this.EVENTS.login, { affiliateID: data.affiliateID, tier: data.tier });
+    },
+
+    /**
+     * Remove all session keys, stop the refresh timer and log out other tabs
+     */
+    clear() {
+        const hadSession = !!this.getToken();
+
+        Object.values(this.KEYS).forEach(key => localStorage.removeItem(key));
+        this.cancelRefresh();
+
+        if (hadSession) this.broadcast(this.EVENTS.logout);
+    },
+
+    /**
+     * Record a tier change and tell other tabs
+     * @param {string} tier - New tier
+     */
+    setTier(tier) {
+        if (!tier || localStorage.getItem(this.KEYS.tier) === tier) return;
+
+        localStorage.setItem(this.KEYS.tier, tier);
+        this.broadcast(this.EVENTS.tier, { tier });
+    },
+
+    /**
+     * Get current session token
+     * @returns {string|null} - Session token
+     */
+    getToken() {
+        return localStorage.getItem(this.KEYS.token);
+    },
+
+    /**
+     * Check if there is a session that has not passed SECURITY.sessionHours
+     * @returns {boolean} - True if active
+     */
+    isActive() {
+        const sessionStart = parseInt(localStorage.getItem(this.KEYS.sessionStart), 10);
+        if (!this.getToken() || !sessionStart) return false;
+
+        return Date.now() - sessionStart < CONFIG.SECURITY.sessionHours * 60 * 60 * 1000;
+    },
+
+    /**
+     * Store a token and when it expires
+     * @param {string} token - Session token
+     * @param {string|number} expiresAt - Backend expiry (falls back to tokenRefreshMinutes from now)
+     */
+    storeToken(token, expiresAt) {
+        const expires = expiresAt
+            ? new Date(expiresAt).getTime()
+            : Date.now() + CONFIG.SECURITY.tokenRefreshMinutes * 60 * 1000;
+
+        localStorage.setItem(this.KEYS.token, token);
+        localStorage.setItem(this.KEYS.tokenExpires, expires.toString());
+        this.scheduleRefresh();
+    },
+
+    /**
+     * When the current token expires
+     * @returns {number} - Timestamp in ms
+     */
+    getTokenExpiry() {
+        const expires = parseInt(localStorage.getItem(this.KEYS.tokenExpires), 10);
+        if (expires) return expires;
+
+        // Sessions from before token rotation: assume a full lifetime from sessionStart
+        const sessionStart = parseInt(localStorage.getItem(this.KEYS.sessionStart), 10) || Date.now();
+        return sessionStart + CONFIG.SECURITY.tokenRefreshMinutes * 60 * 1000;
+    },
+
+    // ============================================
+    // TOKEN REFRESH
+    // ============================================
+
+    /**
+     * Rotate the token. Concurrent callers in this tab share one request,
+     * and other tabs wait for the cross-tab lock and reuse the new token.
+     * @returns {Promise<string|null>} - New token, or null if the lock timed out and nothing was rotated
+     * @throws {ApiError} - If the backend refuses (session over) or is unreachable
+     */
+    refresh() {
+        if (sessionState.refreshPromise) {
+            return sessionState.refreshPromise;
+        }
+
+        const staleToken = this.getToken();
+
+        // Another tab rotated while we waited for the lock
+        const rotatedElsewhere = () => {
+            const current = this.getToken();
+            return current && current !== staleToken ? current : null;
+        };
+
+        sessionState.refreshPromise = this.withLock(async () => {
+            const current = rotatedElsewhere();
+            if (current) {
+                this.scheduleRefresh();
+                return current;
+            }
+
+            const data = await ApiClient.post('refreshToken', {}, { auth: true, skipRefresh: true });
+            this.storeToken(data.token, data.tokenExpiresAt);
+            this.broadcast(this.EVENTS.token, { expiresAt: this.getTokenExpiry() });
+
+            if (CONFIG.DEBUG) console.log('Session token refreshed');
+            return data.token;
+        }, () => {
+            // The lock holder is stuck - rotating without it could race that tab
+            if (CONFIG.DEBUG) console.warn('Token refresh lock timed out, skipping refresh');
+            this.scheduleRefresh();
+            return rotatedElsewhere();
+        }).finally(() => {
+            sessionState.refreshPromise = null;
+        });
+
+        return sessionState.refreshPromise;
+    },
+
+    /**
+     * Run a callback while holding the cross-tab refresh lock
+     * @param {Function} callback - Async work
+     * @param {Function} onTimeout - Runs instead if the lock can't be had in LOCK_TIMEOUT
+     * @returns {Promise<any>} - Callback (or onTimeout) result
+     */
+    withLock(callback, onTimeout) {
+        if (navigator.locks) {
+            return navigator.locks.request(this.LOCK_NAME, callback);
+        }
+        return this.withStorageLock(callback, onTimeout);
+    },
+
+    /**
+     * localStorage lease for browsers without the Web Locks API. The
+     * callback never runs without the lease.
+     * @param {Function} callback - Async work
+     * @param {Function} onTimeout - Runs instead if the lease can't be had in LOCK_TIMEOUT
+     * @returns {Promise<any>} - Callback (or onTimeout) result
+     */
+    async withStorageLock(callback, onTimeout) {
+        const lockKey = CONFIG.CACHE_KEYS.tokenRefreshLock;
+        const deadline = Date.now() + this.LOCK_TIMEOUT;
+        const readLock = () => {
+            try {
+                return JSON.parse(localStorage.getItem(lockKey));
+            } catch (error) {
+                return null;
+            }
+        };
+
+        let acquired = false;
+        while (Date.now() < deadline) {
+            const lock = readLock();
+
+            if (!lock || lock.expires < Date.now()) {
+                localStorage.setItem(lockKey, JSON.stringify({
+                    owner: sessionState.tabId,
+                    expires: Date.now() + this.LOCK_TIMEOUT
+                }));
+
+                // Give a racing tab the chance to overwrite, then confirm
+                await ApiClient.sleep(50);
+                acquired = readLock()?.owner === sessionState.tabId;
+                if (acquired) break;
+            }
+
+            await ApiClient.sleep(200);
+        }
+
+        if (!acquired) {
+            return onTimeout();
+        }
+
+        try {
+            return await callback();
+        } finally {
+            if (readLock()?.owner === sessionState.tabId) {
+                localStorage.removeItem(lockKey);
+            }
+        }
+    },
+
+    /**
+     * Time until the token should be rotated: SECURITY.tokenRefreshLeadMinutes
+     * before expiry, or halfway through for tokens shorter than the lead
+     * @returns {number} - Delay in ms (0 when due)
+     */
+    getRefreshDelay() {
+        const remaining = this.getTokenExpiry() - Date.now();
+        const lead = CONFIG.SECURITY.tokenRefreshLeadMinutes * 60 * 1000;
+        return Math.max(0, remaining - lead, remaining / 2);
+    },
+
+    /**
+     * Schedule the next background refresh
+     */
+    scheduleRefresh() {
+        this.cancelRefresh();
+        if (!this.isActive()) return;
+
+        sessionState.refreshTimer = setTimeout(() => this.backgroundRefresh(), this.getRefreshDelay());
+    },
+
+    /**
+     * Cancel the scheduled refresh
+     */
+    cancelRefresh() {
+        if (sessionState.refreshTimer) {
+            clearTimeout(sessionState.refreshTimer);
+            sessionState.refreshTimer = null;
+        }
+    },
+
+    /**
+     * Timer-driven refresh. Transport failures retry in a minute; a refused
+     * refresh leaves the session for the next API call to report as expired.
+     */
+    async backgroundRefresh() {
+        if (!this.isActive()) return;
+
+        try {
+            await this.refresh();
+        } catch (error) {
+            console.warn('Background token refresh failed:', error.message);
+
+            if (!ApiClient.isBackendError(error)) {
+                sessionState.refreshTimer = setTimeout(() => this.backgroundRefresh(), 60000);
+            }
+        }
+    },
+
+    // ============================================
+    // CROSS-TAB EVENTS
+    // ============================================
+
+    /**
+     * Listen for session events from other tabs
+     * @param {Function} listener - Called with (type, payload)
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(listener) {
+        sessionState.listeners.add(listener);
+        return () => sessionState.listeners.delete(listener);
+    },
+
+    /**
+     * Send a session event to every other tab. Uses BroadcastChannel where
+     * available, otherwise a storage write (which fires 'storage' elsewhere).
+     * @param {string} type - One of EVENTS
+     * @param {Object} payload - Event data
+     */
+    broadcast(type, payload = {}) {
+        const message = { type, payload, source: sessionState.tabId, at: Date.now() };
+
+        if (sessionState.channel) {
+            sessionState.channel.postMessage(message);
+            return;
+        }
+
+        try {
+            const key = CONFIG.CACHE_KEYS.sessionEvent;
+            localStorage.setItem(key, JSON.stringify(message));
+            localStorage.removeItem(key);
+        } catch (error) {
+            console.warn('Could not broadcast session event:', error.message);
+        }
+    },
+
+    /**
+     * Handle an event from another tab: keep the refresh timer in step,
+     * then hand the event to page listeners
+     * @param {Object} message - { type, payload, source }
+     */
+    receive(message) {
+        if (!message || message.source === sessionState.tabId) return;
+
+        switch (message.type) {
+            case this.EVENTS.logout:
+                this.cancelRefresh();
+                break;
+            case this.EVENTS.login:
+            case this.EVENTS.token:
+                this.scheduleRefresh();
+                break;
+        }
+
+        sessionState.listeners.forEach(listener => {
+            try {
+                listener(message.type, message.payload || {});
+            } catch (error) {
+                console.error('Session listener failed:', error);
+            }
+        });
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(Session);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.Session = Session;
+
+// ============================================
+// INITIALIZE
+// ============================================
+
+Session.scheduleRefresh();
+
+if (typeof BroadcastChannel !== 'undefined') {
+    sessionState.channel = new BroadcastChannel(Session.CHANNEL_NAME);
+    sessionState.channel.onmessage = (e) => Session.receive(e.data);
+} else {
+    window.addEventListener('storage', (e) => {
+        if (e.key !== CONFIG.CACHE_KEYS.sessionEvent || !e.newValue) return;
+
+        try {
+            Session.receive(JSON.parse(e.newValue));
+        } catch (error) {
+            console.warn('Ignoring malformed session event');
+        }
+    });
+}
+
+// Timers are throttled in background tabs - re-arm against the clock when visible
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+        Session.scheduleRefresh();
+    }
+});
@@ -176,6 +176,28 @@ const Validator = {
         return /^\d{8}$/.test(String(code));
     },
     
+    /**
+     * Validate authenticator app (TOTP) code
+     * @param {string} code - 6-digit code, spaces allowed
+     * @returns {boolean} - True if valid
+     */
+    isValidTotpCode: (code) => {
+        if (!code) return false;
+        
+        return /^\d{6}$/.test(String(code).replace(/\s+/g, ''));
+    },
+    
+    /**
+     * Validate two-factor recovery code
+     * @param {string} code - Recovery code (xxxxx-xxxxx)
+     * @returns {boolean} - True if valid
+     */
+    isValidRecoveryCode: (code) => {
+        if (!code) return false;
+        
+        return /^[a-z0-9]{5}-?[a-z0-9]{5}$/i.test(String(code).trim());
+    },
+    
     // ============================================
     // IP ADDRESS VALIDATION
     // ============================================
@@ -494,6 +516,10 @@ const Validator = {
      * @returns {Object} - Fraud analysis
      */
     analyzeClickPattern: (clicks) => {
+        if (!Features.isEnabled('fraudDetection')) {
+            return { suspicious: false, reason: 'Fraud detection disabled' };
+        }
+        
         if (!clicks || clicks.length < 10) {
             return { suspicious: false, reason: 'Insufficient data' };
         }
@@ -0,0 +1,155 @@
+/**
+ * Zip Archive Module
+ * Minimal zip writer (stored entries, no compression) so exports can be
+ * bundled into one download in the browser without a third-party library.
+ * File names are written as UTF-8.
+ */
+
+const ZipArchive = {
+    SIGNATURES: Object.freeze({
+        localFile: 0x04034b50,
+        centralDirectory: 0x02014b50,
+        endOfCentralDirectory: 0x06054b50
+    }),
+
+    VERSION: 20,            // 2.0 - the minimum for plain stored files
+    FLAG_UTF8_NAMES: 0x0800,
+    METHOD_STORED: 0,
+
+    // CRC-32 (IEEE 802.3) lookup table
+    CRC_TABLE: Object.freeze(Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c >>> 0;
+    })),
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    /**
+     * Build a zip from text files
+     * @param {Array<Object>} files - [{ name, content }] with string content
+     * @param {Date} date - Modification time stored for every entry
+     * @returns {Blob} - application/zip
+     */
+    create(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, day } = this.dosDateTime(date);
+        const entries = [];
+        const directory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            const crc = this.crc32(data);
+            const shared = [
+                [2, this.VERSION],
+                [2, this.FLAG_UTF8_NAMES],
+                [2, this.METHOD_STORED],
+                [2, time],
+                [2, day],
+                [4, crc],
+                [4, data.length],   // Compressed size
+                [4, data.length],
+                [2, name.length],
+                [2, 0]              // Extra field length
+            ];
+
+            const header = this.record([[4, this.SIGNATURES.localFile], ...shared]);
+            entries.push(header, name, data);
+
+            directory.push(this.record([
+                [4, this.SIGNATURES.centralDirectory],
+                [2, this.VERSION],  // Version made by
+                ...shared,
+                [2, 0],             // Comment length
+                [2, 0],             // Disk number
+                [2, 0],             // Internal attributes
+                [4, 0],             // External attributes
+                [4, offset]
+            ]), name);
+
+            offset += header.length + name.length + data.length;
+        });
+
+        const directorySize = directory.reduce((size, part) => size + part.length, 0);
+        const end = this.record([
+            [4, this.SIGNATURES.endOfCentralDirectory],
+            [2, 0],                 // This disk
+            [2, 0],                 // Disk with the central directory
+            [2, files.length],
+            [2, files.length],
+            [4, directorySize],
+            [4, offset],
+            [2, 0]                  // Comment length
+        ]);
+
+        return new Blob([...entries, ...directory, end], { type: 'application/zip' });
+    },
+
+    // ============================================
+    // ENCODING
+    // ============================================
+
+    /**
+     * Write little-endian fields
+     * @param {Array<Array<number>>} fields - [byteLength (2 or 4), value] pairs
+     * @returns {Uint8Array} - Bytes
+     */
+    record(fields) {
+        const view = new DataView(new ArrayBuffer(fields.reduce((size, [bytes]) => size + bytes, 0)));
+        let position = 0;
+
+        fields.forEach(([bytes, value]) => {
+            if (bytes === 2) {
+                view.setUint16(position, value, true);
+            } else {
+                view.setUint32(position, value, true);
+            }
+            position += bytes;
+        });
+
+        return new Uint8Array(view.buffer);
+    },
+
+    /**
+     * CRC-32 checksum
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} - Unsigned checksum
+     */
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    },
+
+    /**
+     * MS-DOS date and time (local time, 2-second precision, 1980 onwards)
+     * @param {Date} date - Date
+     * @returns {Object} - { time, day } as 16-bit values
+     */
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            day: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+};
+
+// ============================================
+// FREEZE OBJECT
+// ============================================
+
+Object.freeze(ZipArchive);
+
+// ============================================
+// EXPORT FOR GLOBAL USE
+// ============================================
+
+window.ZipArchive = ZipArchive;
@@ -0,0 +1,2441 @@
+/**
+ * Mock Backend Actions
+ * One handler per CONFIG.ENDPOINTS action, mirroring the Apps Script responses
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const {
+    CONFIG,
+    PRODUCTS,
+    PASSWORD_SCHEME,
+    SITE_ORIGIN,
+    Store,
+    hashPassword,
+    makeAffiliateId,
+    makeCode,
+    makeToken,
+    startOfToday
+} = require('./store');
+const {
+    generateSecret,
+    verifyCode,
+    otpauthUrl,
+    hashRecoveryCode,
+    generateRecoveryCodes
+} = require('./totp');
+const {
+    RP_ID,
+    RP_NAME,
+    ALGORITHMS,
+    toBase64Url,
+    makeChallenge,
+    verifyRegistration,
+    verifyAssertion
+} = require('./webauthn');
+
+const VERIFICATION_TTL = 30 * 60 * 1000; // 30 minutes
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const PASSWORD_RESET_TTL = 30 * 60 * 1000;
+const PASSWORD_RESET_MAX_ATTEMPTS = 5;
+const EMAIL_REQUEST_WINDOW = 15 * 60 * 1000;
+const EMAIL_REQUEST_LIMITS = { email: 3, ip: 10 }; // Reset or sign-in link requests per window
+const MAGIC_LINK_TTL = 15 * 60 * 1000;
+const EMAIL_CHANGE_TTL = 30 * 60 * 1000;
+const EMAIL_CHANGE_MAX_ATTEMPTS = 5;
+const EMAIL_CHANGE_UNDO_TTL = 7 * 24 * 60 * 60 * 1000; // How long the old address can undo a change
+const DEACTIVATION_TTL = 30 * 60 * 1000;
+const DEACTIVATION_MAX_ATTEMPTS = 5;
+const AUDIT_LOG_MAX = 5000;
+const IP_ATTESTATION_TTL = 10 * 60 * 1000; // How long a signed caller IP is accepted
+const TRUST_PROXY = process.env.MOCK_TRUST_PROXY === '1'; // Read X-Forwarded-For
+const FINGERPRINT_LEVELS = ['basic', 'full']; // See Fingerprint.get
+const NAME_PATTERN = /^[a-zA-Z\s'-]+$/; // Same rule as Validator.isValidName
+const EMAIL_DAILY_QUOTA = parseInt(process.env.MOCK_EMAIL_QUOTA, 10) || 100; // MailApp's consumer limit
+const CAPTCHA_TTL = 10 * 60 * 1000;
+const PASSKEY_CHALLENGE_TTL = 5 * 60 * 1000;
+const PASSKEY_TIMEOUT = 60 * 1000; // How long the browser prompt stays open
+const MAX_PASSKEYS = 10;
+const PASSKEY_NAME_MAX = 50;
+
+// Actions a session may still use while its tier requires 2FA it has not set up
+const TWO_FACTOR_SETUP_ACTIONS = [
+    'validateSession', 'getDashboard', 'getTierStatus', 'getCapacity',
+    'getTwoFactorStatus', 'setupTwoFactor', 'enableTwoFactor'
+];
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Build a failure response
+ * @param {string} message - Error message
+ * @param {Object} extra - Extra response fields
+ * @returns {Object} - { success: false, message }
+ */
+function fail(message, extra = {}) {
+    return { success: false, message, ...extra };
+}
+
+/**
+ * Build a failure response for one invalid form field
+ * @param {string} field - Field name (the client maps it to its input)
+ * @param {string} message - Error message
+ * @returns {Object} - { success: false, message, fields }
+ */
+function fieldError(field, message) {
+    return fail(message, { fields: { [field]: message } });
+}
+
+/**
+ * Append an account change to the audit log (the caller saves the store)
+ * @param {string} affiliateID - Affiliate whose account changed
+ * @param {string} event - e.g. 'profile.updated'
+ * @param {Object} params - Request parameters (for the session, IP and user agent)
+ * @param {Object} details - What changed - never credentials
+ */
+function audit(affiliateID, event, params, details = {}) {
+    const session = params.token ? Store.db.sessions[params.token] : null;
+
+    const caller = requestIp(params);
+
+    Store.db.auditLog = (Store.db.auditLog || []).slice(-(AUDIT_LOG_MAX - 1));
+    Store.db.auditLog.push({
+        affiliateID,
+        event,
+        details,
+        sessionId: session?.sessionId || null,
+        ip: caller.ip || session?.ip || null,
+        ipVerified: caller.ip ? caller.ipVerified : session?.ipVerified === true,
+        ua: params.ua ? String(params.ua).slice(0, 256) : session?.ua || null,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Resolve the session for a request
+ * @param {Object} params - Request parameters
+ * @returns {Object} - { session, affiliate } or { error }
+ */
+function authenticate(params) {
+    const result = Store.getSession(params.token);
+    if (!result) {
+        return { error: fail('Session expired. Please log in again.', { sessionExpired: true }) };
+    }
+    if (result.tokenExpired) {
+        return { error: fail('Token expired', { tokenExpired: true }) };
+    }
+    if (needsTwoFactorSetup(result.affiliate) && !TWO_FACTOR_SETUP_ACTIONS.includes(params.action)) {
+        return { error: fail('Set up two-factor authentication to continue', { twoFactorSetupRequired: true }) };
+    }
+    return result;
+}
+
+/**
+ * Check a login password. Accounts stored before PBKDF2 hold a hash of
+ * btoa(password): the client is asked once for that legacy credential, and
+ * on a match the derived credential replaces it.
+ * @param {Object} affiliate - Affiliate record
+ * @param {Object} params - { password, legacyPassword }
+ * @returns {Object|null} - Failure response, or null if the password matches
+ */
+function checkPassword(affiliate, params) {
+    const password = String(params.password || '');
+
+    if (affiliate.passwordScheme === PASSWORD_SCHEME) {
+        return hashPassword(password, affiliate.salt) === affiliate.passwordHash
+            ? null
+            : fail('Invalid email or password');
+    }
+
+    if (!params.legacyPassword) {
+        return fail('Password upgrade required', { legacyPassword: true });
+    }
+    if (hashPassword(String(params.legacyPassword), affiliate.salt) !== affiliate.passwordHash) {
+        return fail('Invalid email or password');
+    }
+
+    affiliate.passwordHash = hashPassword(password, affiliate.salt);
+    affiliate.passwordScheme = PASSWORD_SCHEME;
+    Store.save();
+    return null;
+}
+
+/**
+ * Tier keys ordered by priority (runtime config)
+ * @returns {Array<string>} - Tier keys
+ */
+function tierOrder() {
+    const { TIERS } = runtimeConfig();
+    return Object.keys(TIERS)
+        .sort((a, b) => TIERS[a].priority - TIERS[b].priority);
+}
+
+function nextTierOf(tier) {
+    const order = tierOrder();
+    const index = order.indexOf(tier);
+    return index >= 0 && index < order.length - 1 ? order[index + 1] : null;
+}
+
+/**
+ * Aggregate stats for one affiliate
+ * @param {Object} affiliate - Affiliate record
+ * @returns {Object} - Stats
+ */
+function statsFor(affiliate) {
+    const { TIERS, PULSE_SCORE } = runtimeConfig();
+    const tierConfig = TIERS[affiliate.tier];
+    const today = startOfToday();
+
+    const clicks = Store.clicksFor(affiliate.affiliateID);
+    const sales = Store.salesFor(affiliate.affiliateID).filter(s => !s.refunded);
+    const refunds = Store.salesFor(affiliate.affiliateID).filter(s => s.refunded).length;
+    const clicksToday = clicks.filter(c => new Date(c.timestamp).getTime() >= today).length;
+    const salesToday = sales.filter(s => new Date(s.timestamp).getTime() >= today).length;
+
+    const lifetimeCommission = Math.round(sales.reduce((sum, s) => sum + s.commission, 0) * 100) / 100;
+    const conversionRate = clicks.length ? Math.round((sales.length / clicks.length) * 10000) / 100 : 0;
+    const pulseScore = Math.round(
+        lifetimeCommission * PULSE_SCORE.commissionWeight +
+        conversionRate * PULSE_SCORE.conversionWeight -
+        refunds * PULSE_SCORE.refundPenalty
+    );
+
+    const nextTier = nextTierOf(affiliate.tier);
+    const required = tierConfig.salesRequiredForUpgrade;
+    const tierProgress = required ? Math.min(100, (sales.length / required) * 100) : 100;
+
+    return {
+        totalClicks: clicks.length,
+        totalSales: sales.length,
+        clicksToday,
+        clicksLimit: tierConfig.perAffiliateClickLimit,
+        clicksRemaining: Math.max(0, tierConfig.perAffiliateClickLimit - clicksToday),
+        salesToday,
+        lifetimeCommission,
+        conversionRate,
+        pulseScore,
+        nextTier,
+        tierProgress,
+        upgradeAvailable: !!(nextTier && required && sales.length >= required)
+    };
+}
+
+/**
+ * System-wide capacity snapshot (runtime config)
+ * @returns {Object} - Capacity in the shape CapacityMonitor expects
+ */
+function capacitySnapshot() {
+    const { TIERS, CAPACITY } = runtimeConfig();
+    const clicksUsed = Store.clicksToday().length;
+    const salesUsed = Store.salesToday().length;
+    const sessionsActive = Object.values(Store.db.sessions).filter(s => !s.rotatedTo).length;
+    const counts = Store.countByTier();
+
+    const tiers = {};
+    tierOrder().forEach(tier => {
+        const limit = TIERS[tier].maxAffiliates;
+        const used = counts[tier] || 0;
+        tiers[tier] = {
+            used,
+            limit,
+            available: Math.max(0, limit - used),
+            percentFull: limit ? Math.round((used / limit) * 10000) / 100 : 100
+        };
+    });
+
+    return {
+        clicks: {
+            used: clicksUsed,
+            limit: CAPACITY.totalDailyClicks,
+            remaining: Math.max(0, CAPACITY.totalDailyClicks - clicksUsed)
+        },
+        sales: {
+            used: salesUsed,
+            limit: CAPACITY.totalDailySales,
+            remaining: Math.max(0, CAPACITY.totalDailySales - salesUsed)
+        },
+        sessions: {
+            used: sessionsActive,
+            limit: CAPACITY.concurrentSessions
+        },
+        tiers
+    };
+}
+
+/**
+ * Deep-merge plain objects (arrays and scalars are replaced)
+ * @param {Object} base - Base values
+ * @param {Object} overrides - Values to merge on top
+ * @returns {Object} - New merged object
+ */
+function mergeDeep(base, overrides) {
+    const result = { ...base };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        result[key] = isObject && base[key] && typeof base[key] === 'object'
+            ? mergeDeep(base[key], value)
+            : value;
+    });
+    return result;
+}
+
+/**
+ * Runtime config served to the frontend, with data-file overrides applied.
+ * Tier, capacity and pulse score rules are read from here, not CONFIG, so
+ * the backend enforces what the dashboard shows.
+ * @returns {Object} - { TIERS, CAPACITY, PULSE_SCORE }
+ */
+function runtimeConfig() {
+    return mergeDeep(
+        { TIERS: CONFIG.TIERS, CAPACITY: CONFIG.CAPACITY, PULSE_SCORE: CONFIG.PULSE_SCORE },
+        Store.db.configOverrides
+    );
+}
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+/**
+ * Check if an affiliate's tier requires 2FA (admin policy via configOverrides)
+ * @param {Object} affiliate - Affiliate record
+ * @returns {boolean} - True if required
+ */
+function requiresTwoFactor(affiliate) {
+    const tier = runtimeConfig().TIERS[affiliate.tier];
+    return !!(tier && tier.requireTwoFactor);
+}
+
+/**
+ * Check if an affiliate has 2FA turned on
+ * @param {Object} affiliate - Affiliate record
+ * @returns {boolean} - True if enabled
+ */
+function hasTwoFactor(affiliate) {
+    return !!(affiliate.twoFactor && affiliate.twoFactor.enabled);
+}
+
+/**
+ * Check if an affiliate must enroll before using the dashboard
+ * @param {Object} affiliate - Affiliate record
+ * @returns {boolean} - True if setup is outstanding
+ */
+function needsTwoFactorSetup(affiliate) {
+    return requiresTwoFactor(affiliate) && !hasTwoFactor(affiliate);
+}
+
+/**
+ * Check a TOTP code (never the same step twice) or a recovery code (used up)
+ * @param {Object} affiliate - Affiliate with 2FA enabled
+ * @param {Object} params - { code } or { recoveryCode }
+ * @returns {boolean} - True if accepted
+ */
+function checkSecondFactor(affiliate, params) {
+    const twoFactor = affiliate.twoFactor;
+
+    if (params.recoveryCode) {
+        const index = twoFactor.recoveryCodes.indexOf(hashRecoveryCode(params.recoveryCode));
+        if (index === -1) return false;
+
+        twoFactor.recoveryCodes.splice(index, 1);
+        Store.save();
+        return true;
+    }
+
+    const step = verifyCode(twoFactor.secret, params.code, twoFactor.lastStep);
+    if (step === null) return false;
+
+    twoFactor.lastStep = step;
+    Store.save();
+    return true;
+}
+
+/**
+ * Login failures for an email within SECURITY.rateLimitWindow
+ * @param {string} email - Login email (tracked whether or not the account exists)
+ * @returns {Object} - { failures: [timestamps], lockedUntil }
+ */
+function loginAttemptsFor(email) {
+    const attempts = Store.db.loginAttempts = Store.db.loginAttempts || {};
+    const record = attempts[email] || { failures: [], lockedUntil: 0 };
+    const now = Date.now();
+
+    record.failures = record.failures.filter(at => now - at < CONFIG.SECURITY.rateLimitWindow);
+    attempts[email] = record;
+    return record;
+}
+
+/**
+ * Response for a locked account
+ * @param {number} lockedUntil - Timestamp in ms
+ * @returns {Object} - Failure with { locked, lockedUntil, retryAfter }
+ */
+function lockoutResponse(lockedUntil) {
+    const retryAfter = Math.ceil((lockedUntil - Date.now()) / 1000);
+
+    return fail(`Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, {
+        locked: true,
+        lockedUntil: new Date(lockedUntil).toISOString(),
+        retryAfter
+    });
+}
+
+/**
+ * New arithmetic security question. A real backend would verify a hosted
+ * CAPTCHA token here instead.
+ * @returns {Object} - { id, question }
+ */
+function issueCaptcha() {
+    const captchas = Store.db.captchas = Store.db.captchas || {};
+    const now = Date.now();
+
+    Object.keys(captchas).forEach(key => {
+        if (captchas[key].expires < now) delete captchas[key];
+    });
+
+    const a = crypto.randomInt(2, 10);
+    const b = crypto.randomInt(2, 10);
+    const id = makeToken();
+    captchas[id] = { answer: String(a + b), expires: now + CAPTCHA_TTL };
+
+    return { id, question: `What is ${a} + ${b}?` };
+}
+
+/**
+ * Check a security question answer. A wrong answer uses the question up; a
+ * right one stays valid until the login attempt it guards has been judged
+ * (so the legacy-password retry can reuse it).
+ * @param {string} id - Captcha ID
+ * @param {string} answer - User's answer
+ * @returns {boolean} - True if correct and current
+ */
+function solveCaptcha(id, answer) {
+    const captchas = Store.db.captchas || {};
+    const captcha = captchas[id];
+    if (!captcha) return false;
+
+    if (captcha.expires > Date.now() && captcha.answer === String(answer || '').trim()) {
+        return true;
+    }
+    delete captchas[id];
+    return false;
+}
+
+/**
+ * Use up a security question once its login attempt is decided
+ * @param {string} id - Captcha ID
+ */
+function useCaptcha(id) {
+    if (id && Store.db.captchas) delete Store.db.captchas[id];
+}
+
+/**
+ * Count a failed login: lock the email after SECURITY.maxLoginAttempts and
+ * ask for a security question after SECURITY.captchaAfterAttempts
+ * @param {string} email - Login email
+ * @param {string} message - Failure message
+ * @param {string} captchaId - Security question answered with this attempt
+ * @returns {Object} - Failure response
+ */
+function recordLoginFailure(email, message, captchaId) {
+    const record = loginAttemptsFor(email);
+    const { maxLoginAttempts, captchaAfterAttempts } = CONFIG.SECURITY;
+
+    useCaptcha(captchaId);
+
+    if (addLoginFailure(record)) {
+        Store.save();
+        return lockoutResponse(record.lockedUntil);
+    }
+
+    const extra = { attemptsRemaining: maxLoginAttempts - record.failures.length };
+    if (captchaAfterAttempts > 0 && record.failures.length >= captchaAfterAttempts) {
+        extra.captchaRequired = true;
+        extra.captcha = issueCaptcha();
+    }
+
+    Store.save();
+    return fail(message, extra);
+}
+
+/**
+ * Add a failure to an email's record, locking the email once it reaches
+ * SECURITY.maxLoginAttempts (the caller saves the store)
+ * @param {Object} record - From loginAttemptsFor
+ * @returns {boolean} - True if this failure locked the email
+ */
+function addLoginFailure(record) {
+    record.failures.push(Date.now());
+    if (record.failures.length < CONFIG.SECURITY.maxLoginAttempts) return false;
+
+    record.failures = [];
+    record.lockedUntil = Date.now() + CONFIG.SECURITY.loginLockoutMinutes * 60 * 1000;
+    return true;
+}
+
+/**
+ * Check the current password before a signed-in account change. Wrong
+ * passwords count toward the login lockout, so a session token alone can't
+ * be used to guess the password.
+ * @param {Object} affiliate - Signed-in affiliate
+ * @param {Object} params - { password, legacyPassword }
+ * @param {string} field - Form field to mark when the password is wrong
+ * @returns {Object|null} - Failure response, or null if the password matches
+ */
+function checkCurrentPassword(affiliate, params, field) {
+    const record = loginAttemptsFor(affiliate.email);
+    if (record.lockedUntil > Date.now()) {
+        return lockoutResponse(record.lockedUntil);
+    }
+
+    const passwordError = checkPassword(affiliate, params);
+    if (!passwordError) {
+        delete Store.db.loginAttempts[affiliate.email];
+        Store.save();
+        return null;
+    }
+    if (passwordError.legacyPassword) return passwordError;
+
+    const locked = addLoginFailure(record);
+    Store.save();
+    return locked ? lockoutResponse(record.lockedUntil) : fieldError(field, 'Current password is incorrect');
+}
+
+/**
+ * Refuse a login while the email is locked or owes a security question
+ * @param {string} email - Login email
+ * @param {Object} params - { captchaId, captchaAnswer }
+ * @returns {Object|null} - Failure response, or null to carry on
+ */
+function checkLoginThrottle(email, params) {
+    const record = loginAttemptsFor(email);
+    const captchaAfter = CONFIG.SECURITY.captchaAfterAttempts;
+
+    if (record.lockedUntil > Date.now()) {
+        return lockoutResponse(record.lockedUntil);
+    }
+
+    if (captchaAfter > 0 && record.failures.length >= captchaAfter &&
+        !solveCaptcha(params.captchaId, params.captchaAnswer)) {
+        Store.save();
+        return fail(params.captchaId ? 'Incorrect answer to the security question' : 'Please answer the security question', {
+            captchaRequired: true,
+            captcha: issueCaptcha()
+        });
+    }
+
+    return null;
+}
+
+/**
+ * "Send" an email by printing it, counting it against today's quota
+ * @param {string} email - Recipient
+ * @param {string} message - What the email says
+ */
+function sendEmail(email, message) {
+    const today = startOfToday();
+    if (Store.db.emailQuota?.day !== today) {
+        Store.db.emailQuota = { day: today, sent: 0 };
+    }
+    Store.db.emailQuota.sent++;
+    Store.save();
+
+    console.log(`📧 [mock email] ${message}`);
+}
+
+/**
+ * Emails left in today's quota (MailApp.getRemainingDailyQuota)
+ * @returns {number} - Remaining sends
+ */
+function emailQuotaRemaining() {
+    const sent = Store.db.emailQuota?.day === startOfToday() ? Store.db.emailQuota.sent : 0;
+    return Math.max(0, EMAIL_DAILY_QUOTA - sent);
+}
+
+/**
+ * Check and record a request that sends an email (password reset or
+ * sign-in link) against the per-email and per-IP limits
+ * @param {string} log - Store.db key of the request log
+ * @param {string} email - Requested email
+ * @param {string|null} ip - Attested client IP (a self-reported one would let the client pick its own bucket)
+ * @returns {number} - Seconds until another request is allowed (0 if allowed now)
+ */
+function emailRequestRetryAfter(log, email, ip) {
+    const now = Date.now();
+    const requests = (Store.db[log] || [])
+        .filter(request => now - request.at < EMAIL_REQUEST_WINDOW);
+
+    const byEmail = requests.filter(request => request.email === email);
+    const byIp = ip ? requests.filter(request => request.ip === ip) : [];
+    const blocking = [
+        byEmail.length >= EMAIL_REQUEST_LIMITS.email ? byEmail : null,
+        byIp.length >= EMAIL_REQUEST_LIMITS.ip ? byIp : null
+    ].filter(Boolean);
+
+    Store.db[log] = requests;
+
+    if (blocking.length) {
+        const freesAt = Math.max(...blocking.map(list => list[0].at + EMAIL_REQUEST_WINDOW));
+        Store.save();
+        return Math.ceil((freesAt - now) / 1000);
+    }
+
+    requests.push({ email, ip: ip || null, at: now });
+    Store.save();
+    return 0;
+}
+
+/**
+ * Key for signing password reset links
+ * @returns {string} - Hex key, created on first use
+ */
+function signingKey() {
+    if (!Store.db.signingKey) {
+        Store.db.signingKey = crypto.randomBytes(32).toString('hex');
+        Store.save();
+    }
+    return Store.db.signingKey;
+}
+
+/**
+ * Sign a reset link token: base64url(email|nonce|expires).signature
+ * @param {string} email - Account email
+ * @param {Object} reset - Pending reset { nonce, expires }
+ * @returns {string} - Token
+ */
+function signResetToken(email, reset) {
+    const payload = Buffer.from(`${email}|${reset.nonce}|${reset.expires}`).toString('base64url');
+    const signature = crypto.createHmac('sha256', signingKey()).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+/**
+ * Check a reset link token against the pending reset
+ * @param {string} token - Token from the link
+ * @param {string} email - Account email
+ * @param {Object} reset - Pending reset { nonce, expires }
+ * @returns {boolean} - True if genuine and current
+ */
+function verifyResetToken(token, email, reset) {
+    const expected = Buffer.from(signResetToken(email, reset));
+    const given = Buffer.from(String(token || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Sign an email change undo token: id.signature
+ * @param {string} id - Undo record ID
+ * @returns {string} - Token
+ */
+function signUndoToken(id) {
+    return `${id}.${crypto.createHmac('sha256', signingKey()).update(`undo|${id}`).digest('base64url')}`;
+}
+
+/**
+ * Find the undo record for a token from an emailed link
+ * @param {string} token - Token from the link
+ * @returns {Object|null} - { id, undo } or null if forged or expired
+ */
+function findUndo(token) {
+    const id = String(token || '').split('.')[0];
+    const expected = Buffer.from(signUndoToken(id));
+    const given = Buffer.from(String(token || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+    const undo = (Store.db.emailChangeUndos || {})[id];
+    if (!undo || Date.now() > undo.expires) return null;
+    return { id, undo };
+}
+
+/**
+ * Check that an address is free to become an account email
+ * @param {string} email - New email
+ * @param {string} affiliateID - Affiliate asking for it
+ * @returns {Object|null} - Failure response, or null if free
+ */
+function checkEmailAvailable(email, affiliateID) {
+    const owner = Store.findAffiliateByEmail(email);
+    if ((owner && owner.affiliateID !== affiliateID) || Store.db.pending[email]) {
+        return fieldError('email', 'An account with this email already exists');
+    }
+    return null;
+}
+
+/**
+ * Issue a single-use WebAuthn challenge
+ * @param {string} purpose - 'login' or 'register'
+ * @param {string|null} affiliateID - Affiliate registering a passkey (null for login)
+ * @returns {string} - base64url challenge
+ */
+function issuePasskeyChallenge(purpose, affiliateID = null) {
+    const challenges = Store.db.passkeyChallenges = Store.db.passkeyChallenges || {};
+    const now = Date.now();
+
+    Object.keys(challenges).forEach(key => {
+        if (challenges[key].expires < now) delete challenges[key];
+    });
+
+    const challenge = makeChallenge();
+    challenges[challenge] = { purpose, affiliateID, expires: now + PASSKEY_CHALLENGE_TTL };
+    Store.save();
+    return challenge;
+}
+
+/**
+ * Build a lookup that consumes a matching challenge
+ * @param {string} purpose - 'login' or 'register'
+ * @param {string|null} affiliateID - Affiliate the challenge was issued to
+ * @returns {Function} - (challenge) => record or null
+ */
+function passkeyChallengeFor(purpose, affiliateID = null) {
+    return (challenge) => {
+        const challenges = Store.db.passkeyChallenges || {};
+        const record = challenges[challenge];
+        if (!record) return null;
+
+        delete challenges[challenge];
+        Store.save();
+
+        if (record.purpose !== purpose || record.affiliateID !== affiliateID || record.expires < Date.now()) {
+            return null;
+        }
+        return record;
+    };
+}
+
+/**
+ * Passkey fields safe to return to the client
+ * @param {Object} passkey - Stored passkey
+ * @returns {Object} - { id, name, createdAt, lastUsedAt, transports }
+ */
+function passkeySummary(passkey) {
+    return {
+        id: passkey.id,
+        name: passkey.name,
+        createdAt: passkey.createdAt,
+        lastUsedAt: passkey.lastUsedAt || null,
+        transports: passkey.transports || []
+    };
+}
+
+/**
+ * Clean up a passkey name
+ * @param {string} name - Name as typed
+ * @returns {string} - Trimmed name (or a default)
+ */
+function passkeyName(name) {
+    return String(name || '').trim().slice(0, PASSKEY_NAME_MAX) || 'Passkey';
+}
+
+/**
+ * Device details sent with a login, trimmed for storage
+ * @param {Object} params - Request parameters
+ * @returns {Object} - { ip, ipVerified, ua, platform, timezone, consent, fingerprint }
+ */
+function deviceMeta(params) {
+    const pick = (value, max) => (value ? String(value).slice(0, max) : null);
+
+    return {
+        ...requestIp(params),
+        ua: pick(params.ua, 300),
+        platform: pick(params.platform, 50),
+        timezone: pick(params.timezone, 50),
+        consent: consentRecord(params.consent),
+        fingerprint: fingerprintRecord(params)
+    };
+}
+
+/**
+ * Privacy consent sent by the browser (see Consent.state)
+ * @param {Object} consent - { version, timestamp, categories }
+ * @returns {Object|null} - Record with known categories only, or null if missing
+ */
+function consentRecord(consent) {
+    if (!consent || typeof consent !== 'object') return null;
+
+    const categories = {};
+    Object.keys(CONFIG.CONSENT.categories).forEach(key => {
+        categories[key] = consent.categories?.[key] === true;
+    });
+
+    const timestamp = new Date(consent.timestamp);
+    return {
+        version: Number.isInteger(consent.version) ? consent.version : null,
+        timestamp: consent.timestamp && !isNaN(timestamp) ? timestamp.toISOString() : null,
+        categories
+    };
+}
+
+/**
+ * Device fingerprint sent with a login (see Fingerprint). A record that was
+ * already stored, like the one on a pending 2FA login, is checked the same way.
+ * @param {Object} params - Request parameters (fingerprint, fingerprintVersion, fingerprintLevel, fingerprintStability)
+ * @returns {Object|null} - { hash, version, level, stability }, or null if missing or malformed
+ */
+function fingerprintRecord(params) {
+    const source = params.fingerprint && typeof params.fingerprint === 'object'
+        ? params.fingerprint
+        : {
+            hash: params.fingerprint,
+            version: params.fingerprintVersion,
+            level: params.fingerprintLevel,
+            stability: params.fingerprintStability
+        };
+
+    const version = Number(source.version);
+    const stability = Number(source.stability);
+    if (!/^[0-9a-f]{64}$/.test(String(source.hash || '')) || !Number.isInteger(version) || version < 1) {
+        return null;
+    }
+    if (!FINGERPRINT_LEVELS.includes(source.level)) return null;
+
+    return {
+        hash: source.hash,
+        version,
+        level: source.level,
+        stability: stability >= 0 && stability <= 1 ? stability : 0
+    };
+}
+
+/**
+ * Compare two fingerprints like with like. Each version and level hashes
+ * different signals, and weak fingerprints collide too easily to count as a match.
+ * @param {Object|null} a - Stored fingerprint
+ * @param {Object|null} b - Stored fingerprint
+ * @returns {boolean|null} - Whether they match, or null if they cannot be compared
+ */
+function sameDevice(a, b) {
+    if (!a || !b || a.version !== b.version || a.level !== b.level) return null;
+    if (Math.min(a.stability, b.stability) < CONFIG.FINGERPRINT.minStability) return null;
+    return a.hash === b.hash;
+}
+
+/**
+ * Mark a new session whose device is also signed in to other affiliates.
+ * Nothing is blocked; it is a signal for fraud review.
+ * @param {Object} session - New session
+ */
+function flagSharedDevice(session) {
+    const others = new Set(Object.values(Store.db.sessions)
+        .filter(other => other.affiliateID !== session.affiliateID && sameDevice(other.fingerprint, session.fingerprint))
+        .map(other => other.affiliateID));
+    if (others.size === 0) return;
+
+    session.sharedDeviceWith = [...others];
+    Store.save();
+    console.warn(`⚠️ [fraud] ${session.affiliateID} signed in on a device also used by ${session.sharedDeviceWith.join(', ')}`);
+}
+
+/**
+ * Sessions list entry (never includes the token)
+ * @param {Object} session - Stored session
+ * @param {string} token - Session token
+ * @param {string} currentId - sessionId of the caller
+ * @returns {Object} - Session summary
+ */
+function sessionSummary(session, token, currentId) {
+    const id = session.sessionId || token;
+
+    return {
+        id,
+        current: id === currentId,
+        ip: session.ip,
+        ipVerified: session.ipVerified === true,
+        ua: session.ua,
+        platform: session.platform || null,
+        timezone: session.timezone || null,
+        created: session.created,
+        lastSeen: session.lastSeen
+    };
+}
+
+/**
+ * Create a session and build the login response
+ * @param {Object} affiliate - Affiliate record
+ * @param {Object} meta - Device details { ip, ua, platform, timezone }
+ * @returns {Object} - Login response
+ */
+function sessionResponse(affiliate, meta) {
+    const token = Store.createSession(affiliate, deviceMeta(meta));
+    flagSharedDevice(Store.db.sessions[token]);
+
+    return {
+        success: true,
+        token,
+        tokenExpiresAt: Store.db.sessions[token].tokenExpires,
+        affiliateID: affiliate.affiliateID,
+        tier: affiliate.tier,
+        twoFactorSetupRequired: needsTwoFactorSetup(affiliate)
+    };
+}
+
+/**
+ * Hold a login until the second factor is checked by verifyTwoFactor
+ * @param {Object} affiliate - Affiliate whose first factor passed
+ * @param {Object} meta - Device details { ip, ua, platform, timezone }
+ * @param {boolean} reactivate - Reactivate a deactivated account once the code checks out
+ * @returns {Object} - { twoFactorRequired, challengeToken, challengeExpiresAt }
+ */
+function twoFactorChallengeResponse(affiliate, meta, reactivate = false) {
+    const challengeToken = makeToken();
+    const expires = Date.now() + TWO_FACTOR_CHALLENGE_TTL;
+
+    Store.db.twoFactorChallenges = Store.db.twoFactorChallenges || {};
+    Store.db.twoFactorChallenges[challengeToken] = {
+        affiliateID: affiliate.affiliateID,
+        expires,
+        attempts: 0,
+        reactivate,
+        ...deviceMeta(meta),
+        ipAttestation: meta.ipAttestation || null   // Re-checked when the session is created
+    };
+    Store.save();
+
+    return {
+        success: true,
+        twoFactorRequired: true,
+        challengeToken,
+        challengeExpiresAt: new Date(expires).toISOString()
+    };
+}
+
+/**
+ * Sign an affiliate out everywhere, including half-finished 2FA logins
+ * @param {string} affiliateID - Affiliate ID
+ */
+function endAllSessions(affiliateID) {
+    Store.deleteSessionsFor(affiliateID);
+    endTwoFactorChallenges(affiliateID);
+}
+
+/**
+ * Cancel an affiliate's half-finished 2FA logins
+ * @param {string} affiliateID - Affiliate ID
+ */
+function endTwoFactorChallenges(affiliateID) {
+    const challenges = Store.db.twoFactorChallenges || {};
+    Object.keys(challenges).forEach(key => {
+        if (challenges[key].affiliateID === affiliateID) delete challenges[key];
+    });
+}
+
+/**
+ * Password login, shared by login and reactivateAccount
+ * @param {Object} params - { email, password, passwordScheme, captchaId, captchaAnswer, ...device }
+ * @param {boolean} reactivate - Bring a deactivated account back during its grace period
+ * @returns {Object} - Login response
+ */
+function passwordLogin(params, reactivate) {
+    const email = String(params.email || '').trim().toLowerCase();
+    const affiliate = Store.findAffiliateByEmail(email);
+
+    if (params.passwordScheme !== PASSWORD_SCHEME) {
+        return fail('Please refresh the page and try again');
+    }
+
+    const throttled = checkLoginThrottle(email, params);
+    if (throttled) return throttled;
+
+    if (!affiliate || isDeletionDue(affiliate)) {
+        if (Store.db.pending[email]) return fail('Please verify your email before logging in');
+        return recordLoginFailure(email, 'Invalid email or password', params.captchaId);
+    }
+
+    const passwordError = checkPassword(affiliate, params);
+    if (passwordError) {
+        // The legacy upgrade prompt is not a wrong password
+        return passwordError.legacyPassword
+            ? passwordError
+            : recordLoginFailure(email, passwordError.message, params.captchaId);
+    }
+
+    delete Store.db.loginAttempts[email];
+    useCaptcha(params.captchaId);
+    Store.save();
+
+    if (affiliate.status === 'DEACTIVATED') {
+        if (!reactivate) return deactivatedResponse(affiliate);
+    } else if (affiliate.status !== 'ACTIVE') {
+        return fail('This account is not active');
+    }
+
+    // Password is right - the session (and any reactivation) waits for the second factor
+    if (hasTwoFactor(affiliate)) {
+        return twoFactorChallengeResponse(affiliate, params, reactivate);
+    }
+
+    if (reactivate) reactivateAffiliate(affiliate, params);
+    return sessionResponse(affiliate, params);
+}
+
+/**
+ * Record a click after checking tier and system limits
+ * @param {Object} params - { id, prod, ipAttestation, ip, ua }
+ * @returns {Object} - { success, product } or failure
+ */
+function recordClick(params) {
+    const affiliate = Store.findAffiliateById(params.id || params.affiliateId);
+    const product = PRODUCTS.find(p => p.productID === (params.prod || params.productId));
+
+    if (!affiliate || affiliate.status !== 'ACTIVE') return fail('Unknown affiliate');
+    if (!product) return fail('Unknown product');
+
+    const stats = statsFor(affiliate);
+    if (stats.clicksRemaining <= 0) {
+        return fail('Daily click limit reached', { limitReached: true, product });
+    }
+    if (Store.clicksToday().length >= runtimeConfig().CAPACITY.totalDailyClicks) {
+        return fail('System click capacity reached', { capacityReached: true, product });
+    }
+
+    Store.db.clicks.push({
+        affiliateID: affiliate.affiliateID,
+        productID: product.productID,
+        timestamp: new Date().toISOString(),
+        ...requestIp(params),
+        ua: params.ua || null
+    });
+    Store.save();
+
+    return { success: true, product };
+}
+
+// ============================================
+// IP ATTESTATION
+// ============================================
+
+/**
+ * Caller IP as this server sees it. X-Forwarded-For is only read behind a
+ * trusted proxy (MOCK_TRUST_PROXY=1), since any client can set it
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} - IP address
+ */
+function callerIp(req) {
+    const forwarded = TRUST_PROXY ? String(req.headers['x-forwarded-for'] || '').split(',')[0].trim() : '';
+    const ip = (forwarded || req.socket.remoteAddress || '').replace(/^::ffff:(?=\d+\.)/, '');
+    return net.isIP(ip) ? ip : null;
+}
+
+/**
+ * Sign a caller IP. An edge endpoint answering instead of attestIp must use
+ * the same format and key: base64url("ip|expires") + "." + HMAC-SHA256 of
+ * "ip|" + that payload
+ * @param {string} ip - Caller IP
+ * @param {number} expires - Expiry timestamp (ms)
+ * @returns {string} - Attestation
+ */
+function signIpAttestation(ip, expires) {
+    const payload = Buffer.from(`${ip}|${expires}`).toString('base64url');
+    const signature = crypto.createHmac('sha256', signingKey()).update(`ip|${payload}`).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+/**
+ * Read an attestation sent back by the browser
+ * @param {string} attestation - From attestIp or the edge endpoint
+ * @returns {string|null} - Attested IP, or null if missing, forged or expired
+ */
+function verifyIpAttestation(attestation) {
+    const token = String(attestation || '');
+    const [ip, expires] = Buffer.from(token.split('.')[0], 'base64url').toString().split('|');
+    if (!net.isIP(ip || '') || !/^\d+$/.test(expires || '') || Date.now() > Number(expires)) return null;
+
+    const expected = Buffer.from(signIpAttestation(ip, expires));
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? ip : null;
+}
+
+/**
+ * Client IP for stored records. An attested IP is verified. An IP the
+ * browser looked up itself (the opt-in third-party fallback) is kept but
+ * marked unverified so fraud checks can tell the two apart.
+ * @param {Object} params - Request parameters (ipAttestation, ip)
+ * @returns {Object} - { ip, ipVerified }
+ */
+function requestIp(params) {
+    const attested = verifyIpAttestation(params.ipAttestation);
+    if (attested) return { ip: attested, ipVerified: true };
+
+    const reported = String(params.ip || '').trim();
+    return { ip: net.isIP(reported) ? reported : null, ipVerified: false };
+}
+
+// ============================================
+// DEACTIVATION
+// ============================================
+
+/**
+ * Check if a deactivated account's grace period is over
+ * @param {Object} affiliate - Affiliate record
+ * @returns {boolean} - True if it should be deleted
+ */
+function isDeletionDue(affiliate) {
+    return affiliate.status === 'DEACTIVATED' &&
+        Date.now() >= new Date(affiliate.deactivation?.deleteAfter || 0).getTime();
+}
+
+/**
+ * Login failure for a deactivated account, once the password has matched
+ * @param {Object} affiliate - Deactivated affiliate
+ * @param {string} message - Error message
+ * @returns {Object} - Failure response with deactivated and deletionScheduledAt
+ */
+function deactivatedResponse(affiliate, message = 'This account is deactivated') {
+    return fail(message, {
+        deactivated: true,
+        deletionScheduledAt: affiliate.deactivation.deleteAfter
+    });
+}
+
+/**
+ * Restore a deactivated account (the caller has checked its credentials)
+ * @param {Object} affiliate - Affiliate record
+ * @param {Object} params - Request parameters (for the audit log)
+ */
+function reactivateAffiliate(affiliate, params) {
+    if (affiliate.status !== 'DEACTIVATED') return;
+
+    affiliate.status = 'ACTIVE';
+    delete affiliate.deactivation;
+    audit(affiliate.affiliateID, 'account.reactivated', params);
+    Store.save();
+
+    sendEmail(affiliate.email, `${affiliate.email}: your VettedPulse account is active again. Not you? Reset your password now.`);
+}
+
+/**
+ * Permanently delete accounts whose grace period is over. Sales stay for
+ * the books but lose their affiliate; everything else about them goes.
+ * @returns {number} - Accounts deleted
+ */
+function purgeDeactivatedAccounts() {
+    const due = Store.db.affiliates.filter(isDeletionDue);
+    if (due.length === 0) return 0;
+
+    const ids = new Set(due.map(a => a.affiliateID));
+    const emails = new Set(due.map(a => a.email));
+    const byOthers = record => !ids.has(record.affiliateID);
+
+    Store.db.affiliates = Store.db.affiliates.filter(byOthers);
+    Store.db.clicks = Store.db.clicks.filter(byOthers);
+    Store.db.tierHistory = Store.db.tierHistory.filter(byOthers);
+    Store.db.auditLog = (Store.db.auditLog || []).filter(byOthers);
+    Store.db.waitlist = Store.db.waitlist.filter(w => !emails.has(w.email));
+    Store.db.sales.forEach(sale => {
+        if (ids.has(sale.affiliateID)) sale.affiliateID = null;
+    });
+
+    due.forEach(affiliate => {
+        endAllSessions(affiliate.affiliateID);
+        delete (Store.db.loginAttempts || {})[affiliate.email];
+        delete (Store.db.magicLinks || {})[affiliate.email];
+        delete (Store.db.passwordResets || {})[affiliate.email];
+        delete (Store.db.deactivations || {})[affiliate.affiliateID];
+    });
+    Object.entries(Store.db.emailChangeUndos || {}).forEach(([id, undo]) => {
+        if (ids.has(undo.affiliateID)) delete Store.db.emailChangeUndos[id];
+    });
+    Store.save();
+
+    return due.length;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+const actions = {
+    getSystemStatus() {
+        return { success: true, ...Store.db.systemStatus };
+    },
+
+    getConfig() {
+        const config = runtimeConfig();
+        const version = crypto.createHash('sha1').update(JSON.stringify(config)).digest('hex').slice(0, 12);
+        return { success: true, version, config };
+    },
+
+    attestIp(params, req) {
+        const ip = callerIp(req);
+        if (!ip) return fail('Could not determine your IP address');
+
+        const expires = Date.now() + IP_ATTESTATION_TTL;
+        return {
+            success: true,
+            ip,
+            attestation: signIpAttestation(ip, expires),
+            expiresAt: new Date(expires).toISOString()
+        };
+    },
+
+    reportConfigIssues(params) {
+        const errors = Array.isArray(params.errors) ? params.errors : [];
+        const warnings = Array.isArray(params.warnings) ? params.warnings : [];
+
+        console.warn(`⚠️ [config report] ${params.page || '?'}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+
+        Store.db.configReports = (Store.db.configReports || []).slice(-49);
+        Store.db.configReports.push({
+            environment: params.environment || null,
+            page: params.page || null,
+            errors,
+            warnings,
+            timestamp: new Date().toISOString()
+        });
+        Store.save();
+
+        return { success: true };
+    },
+
+    signup(params) {
+        const name = String(params.name || '').trim();
+        const email = String(params.email || '').trim().toLowerCase();
+        const { TIERS } = runtimeConfig();
+        const tier = TIERS[params.requestedTier] ? params.requestedTier : tierOrder()[0];
+        // An unknown ref is ignored rather than failing the signup
+        const referrer = params.referredBy ? Store.findAffiliateById(String(params.referredBy)) : null;
+
+        if (!name || !email || !params.password) {
+            return fail('Name, email and password are required');
+        }
+        if (params.passwordScheme !== PASSWORD_SCHEME) {
+            return fail('Please refresh the page and try again');
+        }
+        if (Store.findAffiliateByEmail(email)) {
+            return fail('An account with this email already exists');
+        }
+
+        const capacity = capacitySnapshot().tiers;
+        if (capacity[tier].available <= 0) {
+            const availableTier = tierOrder().find(t => capacity[t].available > 0) || null;
+            return fail(`${TIERS[tier].name} tier is full`, { tierFull: true, availableTier });
+        }
+
+        if (process.env.MOCK_MANUAL_VERIFICATION === '1') {
+            return fail('Due to high traffic, verification will be completed manually within 24 hours.', {
+                manualVerification: true
+            });
+        }
+
+        const salt = crypto.randomBytes(8).toString('hex');
+        const code = makeCode();
+        Store.db.pending[email] = {
+            name,
+            email,
+            salt,
+            passwordHash: hashPassword(params.password, salt),
+            passwordScheme: PASSWORD_SCHEME,
+            tier,
+            consent: consentRecord(params.consent),
+            referredBy: referrer ? referrer.affiliateID : null,
+            code,
+            expires: Date.now() + VERIFICATION_TTL
+        };
+        Store.save();
+
+        sendEmail(email, `Verification code for ${email}: ${code}`);
+
+        return { success: true, message: 'Verification code sent' };
+    },
+
+    verify(params) {
+        const email = String(params.email || '').trim().toLowerCase();
+        const pending = Store.db.pending[email];
+
+        if (!pending) return fail('No pending signup for this email');
+        if (Date.now() > pending.expires) return fail('Verification code expired. Please request a new one.');
+        if (pending.code !== String(params.code)) return fail('Invalid verification code');
+
+        const joined = Date.now();
+        const affiliate = {
+            affiliateID: makeAffiliateId(joined, crypto.randomInt(1, 1000)),
+            name: pending.name,
+            email: pending.email,
+            salt: pending.salt,
+            passwordHash: pending.passwordHash,
+            passwordScheme: pending.passwordScheme,
+            tier: pending.tier,
+            status: 'ACTIVE',
+            joinedDate: new Date(joined).toISOString(),
+            consent: pending.consent || null,
+            referredBy: pending.referredBy || null
+        };
+
+        Store.db.affiliates.push(affiliate);
+        Store.db.tierHistory.push({ affiliateID: affiliate.affiliateID, tier: affiliate.tier, timestamp: affiliate.joinedDate });
+        delete Store.db.pending[email];
+        Store.save();
+
+        return { success: true, affiliateID: affiliate.affiliateID };
+    },
+
+    resendVerification(params) {
+        const email = String(params.email || '').trim().toLowerCase();
+        const pending = Store.db.pending[email];
+        if (!pending) return fail('No pending signup for this email');
+
+        pending.code = makeCode();
+        pending.expires = Date.now() + VERIFICATION_TTL;
+        Store.save();
+
+        sendEmail(email, `New verification code for ${email}: ${pending.code}`);
+
+        return { success: true };
+    },
+
+    requestPasswordReset(params) {
+        const email = String(params.email || '').trim().toLowerCase();
+        if (!email) return fail('Email is required');
+
+        const retryAfter = emailRequestRetryAfter('passwordResetRequests', email, verifyIpAttestation(params.ipAttestation));
+        if (retryAfter > 0) {
+            return fail(`Too many reset requests. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, {
+                rateLimited: true,
+                retryAfter
+            });
+        }
+
+        // Same answer whether or not the account exists
+        const response = { success: true, message: 'If an account exists for this email, a reset code has been sent' };
+
+        // Deactivated accounts can still reset, or they could never reactivate
+        const affiliate = Store.findAffiliateByEmail(email);
+        if (!affiliate || !['ACTIVE', 'DEACTIVATED'].includes(affiliate.status) || isDeletionDue(affiliate)) {
+            return response;
+        }
+
+        const reset = {
+            code: makeCode(),
+            nonce: makeToken(),
+            expires: Date.now() + PASSWORD_RESET_TTL,
+            attempts: 0
+        };
+        Store.db.passwordResets = Store.db.passwordResets || {};
+        Store.db.passwordResets[email] = reset;
+        Store.save();
+
+        const link = `${SITE_ORIGIN}/reset-password.html#` +
+            new URLSearchParams({ email, token: signResetToken(email, reset) });
+        sendEmail(email, `Password reset for ${email}: code ${reset.code} or ${link}`);
+
+        return response;
+    },
+
+    resetPassword(params) {
+        const email = String(params.email || '').trim().toLowerCase();
+        const resets = Store.db.passwordResets || {};
+        const reset = resets[email];
+        const affiliate = Store.findAffiliateByEmail(email);
+
+        if (params.passwordScheme !== PASSWORD_SCHEME) {
+            return fail('Please refresh the page and try again');
+        }
+        if (!reset || Date.now() > reset.expires || !affiliate) {
+            delete resets[email];
+            Store.save();
+            return fail('This reset has expired. Please request a new one.', { resetExpired: true });
+        }
+
+        const valid = params.resetToken
+            ? verifyResetToken(params.resetToken, email, reset)
+            : reset.code === String(params.code || '');
+
+        if (!valid) {
+            reset.attempts++;
+            if (reset.attempts >= PASSWORD_RESET_MAX_ATTEMPTS) {
+                delete resets[email];
+                Store.save();
+                return fail('Too many incorrect codes. Please request a new reset.', { resetExpired: true });
+            }
+            Store.save();
+            return fail(params.resetToken ? 'This reset link is invalid' : 'Invalid reset code', {
+                attemptsRemaining: PASSWORD_RESET_MAX_ATTEMPTS - reset.attempts
+            });
+        }
+        if (!params.password) return fail('New password is required');
+
+        affiliate.salt = crypto.randomBytes(8).toString('hex');
+        affiliate.passwordHash = hashPassword(String(params.password), affiliate.salt);
+        affiliate.passwordScheme = PASSWORD_SCHEME;
+        delete resets[email];
+
+        // Anyone holding an old session or a half-finished 2FA login is signed out
+        endAllSessions(affiliate.affiliateID);
+        Store.save();
+
+        return { success: true };
+    },
+
+    login(params) {
+        return passwordLogin(params, false);
+    },
+
+    reactivateAccount(params) {
+        return passwordLogin(params, true);
+    },
+
+    requestMagicLink(params) {
+        const email = String(params.email || '').trim().toLowerCase();
+        if (!email) return fail('Email is required');
+
+        // Keep what is left of the quota for verification and reset emails
+        if (emailQuotaRemaining() <= CONFIG.QUOTA_WARNING.EMAIL_REMAINING) {
+            return fail('Sign-in links are paused due to high email volume. Please log in with your password.', {
+                emailQuota: true
+            });
+        }
+
+        const retryAfter = emailRequestRetryAfter('magicLinkRequests', email, verifyIpAttestation(params.ipAttestation));
+        if (retryAfter > 0) {
+            return fail(`Too many sign-in link requests. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, {
+                rateLimited: true,
+                retryAfter
+            });
+        }
+
+        // Same answer whether or not the account exists
+        const response = {
+            success: true,
+            message: 'If an account exists for this email, a sign-in link has been sent',
+            expiresInMinutes: MAGIC_LINK_TTL / 60000
+        };
+
+        const affiliate = Store.findAffiliateByEmail(email);
+        if (!affiliate || affiliate.status !== 'ACTIVE') return response;
+
+        // Only the newest link works, and only the hash is kept
+        const token = makeToken();
+        Store.db.magicLinks = Store.db.magicLinks || {};
+        Store.db.magicLinks[email] = {
+            tokenHash: crypto.createHash('sha256').update(token).digest('hex'),
+            expires: Date.now() + MAGIC_LINK_TTL
+        };
+        Store.save();
+
+        const link = `${SITE_ORIGIN}/magic-link.html#` + new URLSearchParams({ email, token });
+        sendEmail(email, `Sign-in link for ${email}: ${link}`);
+
+        return response;
+    },
+
+    loginWithMagicLink(params) {
+        const email = String(params.email || '').trim().toLowerCase();
+        const links = Store.db.magicLinks || {};
+        const link = links[email];
+        const affiliate = Store.findAffiliateByEmail(email);
+
+        const given = crypto.createHash('sha256').update(String(params.linkToken || '')).digest();
+        const valid = link && Date.now() <= link.expires &&
+            crypto.timingSafeEqual(given, Buffer.from(link.tokenHash, 'hex'));
+
+        if (!valid || !affiliate || affiliate.status !== 'ACTIVE') {
+            return fail('This sign-in link has expired or was already used. Please request a new one.', {
+                linkExpired: true
+            });
+        }
+
+        // Single use
+        delete links[email];
+        Store.save();
+
+        // The link replaces the password, not the second factor
+        if (hasTwoFactor(affiliate)) {
+            return twoFactorChallengeResponse(affiliate, params);
+        }
+
+        return sessionResponse(affiliate, params);
+    },
+
+    verifyTwoFactor(params) {
+        const challenges = Store.db.twoFactorChallenges || {};
+        const challenge = challenges[params.challengeToken];
+        const affiliate = challenge && Store.findAffiliateById(challenge.affiliateID);
+
+        if (!challenge || Date.now() > challenge.expires || !affiliate || !hasTwoFactor(affiliate)) {
+            delete challenges[params.challengeToken];
+            Store.save();
+            return fail('Sign-in expired. Please log in again.', { challengeExpired: true });
+        }
+
+        if (!checkSecondFactor(affiliate, params)) {
+            challenge.attempts++;
+            if (challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                delete challenges[params.challengeToken];
+                Store.save();
+                return fail('Too many incorrect codes. Please log in again.', { challengeExpired: true });
+            }
+            Store.save();
+            return fail('Invalid authentication code', {
+                attemptsRemaining: TWO_FACTOR_MAX_ATTEMPTS - challenge.attempts
+            });
+        }
+
+        delete challenges[params.challengeToken];
+
+        if (affiliate.status === 'DEACTIVATED' && challenge.reactivate && !isDeletionDue(affiliate)) {
+            reactivateAffiliate(affiliate, challenge);
+        }
+        if (affiliate.status !== 'ACTIVE') {
+            Store.save();
+            return fail('This account is not active');
+        }
+
+        return {
+            ...sessionResponse(affiliate, challenge),
+            recoveryCodesRemaining: affiliate.twoFactor.recoveryCodes.length
+        };
+    },
+
+    getTwoFactorStatus(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const twoFactor = auth.affiliate.twoFactor;
+        const enabled = hasTwoFactor(auth.affiliate);
+
+        return {
+            success: true,
+            enabled,
+            required: requiresTwoFactor(auth.affiliate),
+            enabledAt: enabled ? twoFactor.enabledAt : null,
+            recoveryCodesRemaining: enabled ? twoFactor.recoveryCodes.length : 0
+        };
+    },
+
+    setupTwoFactor(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        if (hasTwoFactor(affiliate)) {
+            return fail('Two-factor authentication is already enabled');
+        }
+
+        const secret = generateSecret();
+        affiliate.twoFactor = { enabled: false, pendingSecret: secret };
+        Store.save();
+
+        return { success: true, secret, otpauthUrl: otpauthUrl(secret, affiliate.email) };
+    },
+
+    enableTwoFactor(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const pendingSecret = affiliate.twoFactor && affiliate.twoFactor.pendingSecret;
+        if (!pendingSecret) return fail('Start two-factor setup first');
+
+        const step = verifyCode(pendingSecret, params.code);
+        if (step === null) return fail('Invalid authentication code');
+
+        const { codes, hashes } = generateRecoveryCodes();
+        affiliate.twoFactor = {
+            enabled: true,
+            secret: pendingSecret,
+            lastStep: step,
+            recoveryCodes: hashes,
+            enabledAt: new Date().toISOString()
+        };
+        Store.save();
+
+        return { success: true, recoveryCodes: codes };
+    },
+
+    disableTwoFactor(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        if (!hasTwoFactor(affiliate)) {
+            return fail('Two-factor authentication is not enabled');
+        }
+        if (requiresTwoFactor(affiliate)) {
+            return fail('Your tier requires two-factor authentication');
+        }
+        if (!checkSecondFactor(affiliate, params)) {
+            return fail('Invalid authentication code');
+        }
+
+        delete affiliate.twoFactor;
+        Store.save();
+
+        return { success: true };
+    },
+
+    regenerateRecoveryCodes(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        if (!hasTwoFactor(affiliate)) {
+            return fail('Two-factor authentication is not enabled');
+        }
+        if (!checkSecondFactor(affiliate, { code: params.code })) {
+            return fail('Invalid authentication code');
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        affiliate.twoFactor.recoveryCodes = hashes;
+        Store.save();
+
+        return { success: true, recoveryCodes: codes };
+    },
+
+    getPasskeyLoginOptions() {
+        // Discoverable credentials only - the authenticator picks the account
+        return {
+            success: true,
+            challenge: issuePasskeyChallenge('login'),
+            rpId: RP_ID,
+            timeout: PASSKEY_TIMEOUT,
+            userVerification: 'required'
+        };
+    },
+
+    loginWithPasskey(params) {
+        const credential = params.credential || {};
+        const affiliate = Store.db.affiliates.find(a =>
+            (a.passkeys || []).some(p => p.id === credential.id)
+        );
+        const passkey = affiliate && affiliate.passkeys.find(p => p.id === credential.id);
+
+        if (!passkey || (credential.userHandle && credential.userHandle !== affiliate.passkeyUserHandle)) {
+            return fail('This passkey is not registered. Sign in with your password and add it in Settings.');
+        }
+
+        const result = verifyAssertion(credential, passkey, passkeyChallengeFor('login'));
+        if (result.error) return fail(result.error);
+
+        // Reactivation goes through the password form
+        if (affiliate.status === 'DEACTIVATED' && !isDeletionDue(affiliate)) {
+            return deactivatedResponse(affiliate, 'This account is deactivated. Log in with your password to reactivate it.');
+        }
+        if (affiliate.status !== 'ACTIVE') {
+            return fail('This account is not active');
+        }
+
+        passkey.signCount = result.signCount;
+        passkey.lastUsedAt = new Date().toISOString();
+        Store.save();
+
+        // A user-verified passkey is already two factors, so no TOTP step
+        return sessionResponse(affiliate, params);
+    },
+
+    getPasskeyRegistrationOptions(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const passkeys = affiliate.passkeys || [];
+        if (passkeys.length >= MAX_PASSKEYS) {
+            return fail(`You can register up to ${MAX_PASSKEYS} passkeys. Remove one to add another.`);
+        }
+
+        // Random user handle so authenticators never store the affiliate ID or email
+        if (!affiliate.passkeyUserHandle) {
+            affiliate.passkeyUserHandle = toBase64Url(crypto.randomBytes(16));
+        }
+
+        return {
+            success: true,
+            challenge: issuePasskeyChallenge('register', affiliate.affiliateID),
+            rp: { id: RP_ID, name: RP_NAME },
+            user: { id: affiliate.passkeyUserHandle, name: affiliate.email, displayName: affiliate.name },
+            pubKeyCredParams: Object.values(ALGORITHMS).map(alg => ({ type: 'public-key', alg })),
+            excludeCredentials: passkeys.map(p => ({ type: 'public-key', id: p.id, transports: p.transports || [] })),
+            authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+            attestation: 'none',
+            timeout: PASSKEY_TIMEOUT
+        };
+    },
+
+    registerPasskey(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const result = verifyRegistration(params.credential || {}, passkeyChallengeFor('register', affiliate.affiliateID));
+        if (result.error) return fail(result.error);
+
+        if (Store.db.affiliates.some(a => (a.passkeys || []).some(p => p.id === result.id))) {
+            return fail('This passkey is already registered');
+        }
+
+        affiliate.passkeys = affiliate.passkeys || [];
+        if (affiliate.passkeys.length >= MAX_PASSKEYS) {
+            return fail(`You can register up to ${MAX_PASSKEYS} passkeys. Remove one to add another.`);
+        }
+
+        const passkey = {
+            id: result.id,
+            name: passkeyName(params.name),
+            publicKey: result.publicKey,
+            algorithm: result.algorithm,
+            signCount: result.signCount,
+            transports: result.transports,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        affiliate.passkeys.push(passkey);
+        Store.save();
+
+        return { success: true, passkey: passkeySummary(passkey) };
+    },
+
+    listPasskeys(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        return { success: true, passkeys: (auth.affiliate.passkeys || []).map(passkeySummary) };
+    },
+
+    renamePasskey(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const passkey = (auth.affiliate.passkeys || []).find(p => p.id === params.credentialId);
+        if (!passkey) return fail('Passkey not found');
+
+        passkey.name = passkeyName(params.name);
+        Store.save();
+
+        return { success: true, passkey: passkeySummary(passkey) };
+    },
+
+    deletePasskey(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const passkeys = auth.affiliate.passkeys || [];
+        const index = passkeys.findIndex(p => p.id === params.credentialId);
+        if (index === -1) return fail('Passkey not found');
+
+        passkeys.splice(index, 1);
+        Store.save();
+
+        return { success: true };
+    },
+
+    validateSession(params) {
+        const result = Store.getSession(params.token);
+        if (!result) return { success: true, valid: false };
+        if (result.tokenExpired) return fail('Token expired', { tokenExpired: true });
+
+        return {
+            success: true,
+            valid: true,
+            affiliateID: result.affiliate.affiliateID,
+            tier: result.affiliate.tier,
+            twoFactorSetupRequired: needsTwoFactorSetup(result.affiliate)
+        };
+    },
+
+    refreshToken(params) {
+        const result = Store.getSession(params.token);
+        if (!result) {
+            return fail('Session expired. Please log in again.', { sessionExpired: true });
+        }
+
+        // Already rotated by another tab - hand back the newest token
+        let token = params.token;
+        while (Store.db.sessions[token] && Store.db.sessions[token].rotatedTo) {
+            token = Store.db.sessions[token].rotatedTo;
+        }
+
+        if (token === params.token) {
+            token = Store.rotateSession(token);
+        }
+
+        const session = Store.db.sessions[token];
+        if (!session) {
+            return fail('Session expired. Please log in again.', { sessionExpired: true });
+        }
+
+        return { success: true, token, tokenExpiresAt: session.tokenExpires };
+    },
+
+    logout(params) {
+        if (params.token) Store.deleteSession(params.token);
+        return { success: true };
+    },
+
+    listSessions(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const currentId = auth.session.sessionId || params.token;
+        const sessions = Store.activeSessionsFor(auth.affiliate.affiliateID)
+            .map(({ token, session }) => sessionSummary(session, token, currentId))
+            .sort((a, b) => (b.current - a.current) || (new Date(b.lastSeen) - new Date(a.lastSeen)));
+
+        return { success: true, sessions };
+    },
+
+    revokeSession(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const match = Store.activeSessionsFor(auth.affiliate.affiliateID)
+            .find(({ token, session }) => (session.sessionId || token) === params.sessionId);
+        if (!match) return fail('Session not found or already signed out');
+
+        Store.deleteSession(match.token);
+
+        return { success: true, current: params.sessionId === (auth.session.sessionId || params.token) };
+    },
+
+    revokeOtherSessions(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const currentId = auth.session.sessionId || params.token;
+        const others = Store.activeSessionsFor(auth.affiliate.affiliateID)
+            .filter(({ token, session }) => (session.sessionId || token) !== currentId);
+
+        others.forEach(({ token }) => Store.deleteSession(token));
+
+        return { success: true, revoked: others.length };
+    },
+
+    updateProfile(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const name = String(params.name || '').trim().replace(/\s+/g, ' ');
+
+        if (name.length < 2 || name.length > 50) {
+            return fieldError('name', 'Name must be 2-50 characters');
+        }
+        if (!NAME_PATTERN.test(name)) {
+            return fieldError('name', 'Name can only contain letters, spaces, hyphens and apostrophes');
+        }
+
+        if (name !== affiliate.name) {
+            audit(affiliate.affiliateID, 'profile.updated', params, { field: 'name', from: affiliate.name, to: name });
+            affiliate.name = name;
+            Store.save();
+        }
+
+        return { success: true, name };
+    },
+
+    changePassword(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+
+        // Strength is checked in the browser - only the derived credential arrives here
+        if (params.passwordScheme !== PASSWORD_SCHEME) {
+            return fail('Please refresh the page and try again');
+        }
+        if (!params.newPassword) {
+            return fieldError('newPassword', 'New password is required');
+        }
+
+        const passwordError = checkCurrentPassword(affiliate, params, 'currentPassword');
+        if (passwordError) return passwordError;
+        if (String(params.newPassword) === String(params.password)) {
+            return fieldError('newPassword', 'Choose a password you are not already using');
+        }
+
+        affiliate.salt = crypto.randomBytes(8).toString('hex');
+        affiliate.passwordHash = hashPassword(String(params.newPassword), affiliate.salt);
+        affiliate.passwordScheme = PASSWORD_SCHEME;
+
+        // Stay signed in here; everywhere else has to use the new password
+        const currentId = auth.session.sessionId || params.token;
+        const others = Store.activeSessionsFor(affiliate.affiliateID)
+            .filter(({ token, session }) => (session.sessionId || token) !== currentId);
+        others.forEach(({ token }) => Store.deleteSession(token));
+        // A login halfway through 2FA was started with the old password
+        endTwoFactorChallenges(affiliate.affiliateID);
+        delete (Store.db.passwordResets || {})[affiliate.email];
+
+        audit(affiliate.affiliateID, 'password.changed', params, { otherSessionsEnded: others.length });
+        Store.save();
+
+        return { success: true, revokedSessions: others.length };
+    },
+
+    requestEmailChange(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const newEmail = String(params.newEmail || '').trim().toLowerCase();
+
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+            return fieldError('email', 'Please enter a valid email address');
+        }
+        if (newEmail === affiliate.email) {
+            return fieldError('email', 'That is already your email address');
+        }
+        if (params.passwordScheme !== PASSWORD_SCHEME || !params.newPassword) {
+            return fail('Please refresh the page and try again');
+        }
+
+        const passwordError = checkCurrentPassword(affiliate, params, 'password');
+        if (passwordError) {
+            return passwordError.legacyPassword
+                ? fieldError('password', 'Please log out and back in once before changing your email')
+                : passwordError;
+        }
+
+        const unavailable = checkEmailAvailable(newEmail, affiliate.affiliateID);
+        if (unavailable) return unavailable;
+
+        const retryAfter = emailRequestRetryAfter('emailChangeRequests', affiliate.email, verifyIpAttestation(params.ipAttestation));
+        if (retryAfter > 0) {
+            return fail(`Too many email change requests. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, {
+                rateLimited: true,
+                retryAfter
+            });
+        }
+
+        // The password credential is derived from the email, so the client
+        // sends the one for the new address too and it waits here with the change
+        const undoId = makeToken();
+        const salt = crypto.randomBytes(8).toString('hex');
+        const change = {
+            newEmail,
+            code: makeCode(),
+            expires: Date.now() + EMAIL_CHANGE_TTL,
+            attempts: 0,
+            salt,
+            passwordHash: hashPassword(String(params.newPassword), salt),
+            undoId
+        };
+
+        Store.db.emailChanges = Store.db.emailChanges || {};
+        Store.db.emailChangeUndos = Store.db.emailChangeUndos || {};
+        const previous = Store.db.emailChanges[affiliate.affiliateID];
+        if (previous) delete Store.db.emailChangeUndos[previous.undoId];
+
+        Store.db.emailChanges[affiliate.affiliateID] = change;
+        Store.db.emailChangeUndos[undoId] = {
+            affiliateID: affiliate.affiliateID,
+            oldEmail: affiliate.email,
+            newEmail,
+            committed: false,
+            expires: Date.now() + EMAIL_CHANGE_UNDO_TTL
+        };
+        Store.save();
+
+        const undoLink = `${SITE_ORIGIN}/email-change.html#` + new URLSearchParams({ undo: signUndoToken(undoId) });
+        sendEmail(newEmail, `Email change code for ${newEmail}: ${change.code}`);
+        sendEmail(affiliate.email, `${affiliate.email}: someone asked to move your account to ${newEmail}. Not you? Undo it: ${undoLink}`);
+
+        return { success: true, newEmail, expiresAt: new Date(change.expires).toISOString() };
+    },
+
+    resendEmailChange(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const change = (Store.db.emailChanges || {})[auth.affiliate.affiliateID];
+        if (!change) return fail('There is no email change waiting for confirmation', { changeExpired: true });
+
+        const retryAfter = emailRequestRetryAfter('emailChangeRequests', auth.affiliate.email, verifyIpAttestation(params.ipAttestation));
+        if (retryAfter > 0) {
+            return fail(`Too many email change requests. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, {
+                rateLimited: true,
+                retryAfter
+            });
+        }
+
+        change.code = makeCode();
+        change.expires = Date.now() + EMAIL_CHANGE_TTL;
+        change.attempts = 0;
+        Store.save();
+
+        sendEmail(change.newEmail, `New email change code for ${change.newEmail}: ${change.code}`);
+
+        return { success: true, expiresAt: new Date(change.expires).toISOString() };
+    },
+
+    confirmEmailChange(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const changes = Store.db.emailChanges || {};
+        const change = changes[affiliate.affiliateID];
+        const undos = Store.db.emailChangeUndos || {};
+
+        if (!change || Date.now() > change.expires) {
+            if (change) delete undos[change.undoId];
+            delete changes[affiliate.affiliateID];
+            Store.save();
+            return fail('This email change has expired. Please start again.', { changeExpired: true });
+        }
+
+        if (change.code !== String(params.code || '')) {
+            change.attempts++;
+            if (change.attempts >= EMAIL_CHANGE_MAX_ATTEMPTS) {
+                delete undos[change.undoId];
+                delete changes[affiliate.affiliateID];
+                Store.save();
+                return fail('Too many incorrect codes. Please start again.', { changeExpired: true });
+            }
+            Store.save();
+            return fail('Invalid confirmation code', {
+                attemptsRemaining: EMAIL_CHANGE_MAX_ATTEMPTS - change.attempts
+            });
+        }
+
+        // Someone may have taken the address since the request
+        const unavailable = checkEmailAvailable(change.newEmail, affiliate.affiliateID);
+        if (unavailable) {
+            delete undos[change.undoId];
+            delete changes[affiliate.affiliateID];
+            Store.save();
+            return unavailable;
+        }
+
+        const oldEmail = affiliate.email;
+        const undo = undos[change.undoId];
+        Object.assign(undo, {
+            committed: true,
+            oldSalt: affiliate.salt,
+            oldPasswordHash: affiliate.passwordHash,
+            expires: Date.now() + EMAIL_CHANGE_UNDO_TTL
+        });
+
+        // Same affiliate ID and sessions - only the email and its credential move
+        affiliate.email = change.newEmail;
+        affiliate.salt = change.salt;
+        affiliate.passwordHash = change.passwordHash;
+        affiliate.passwordScheme = PASSWORD_SCHEME;
+        delete changes[affiliate.affiliateID];
+        delete (Store.db.loginAttempts || {})[oldEmail];
+        delete (Store.db.magicLinks || {})[oldEmail];
+        delete (Store.db.passwordResets || {})[oldEmail];
+        audit(affiliate.affiliateID, 'email.changed', params, { from: oldEmail, to: affiliate.email });
+        Store.save();
+
+        const undoLink = `${SITE_ORIGIN}/email-change.html#` + new URLSearchParams({ undo: signUndoToken(change.undoId) });
+        sendEmail(oldEmail, `${oldEmail}: your account email is now ${affiliate.email}. Not you? Undo it within 7 days: ${undoLink}`);
+
+        return { success: true, email: affiliate.email };
+    },
+
+    cancelEmailChange(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const changes = Store.db.emailChanges || {};
+        const change = changes[auth.affiliate.affiliateID];
+        if (change) {
+            delete (Store.db.emailChangeUndos || {})[change.undoId];
+            delete changes[auth.affiliate.affiliateID];
+            Store.save();
+        }
+
+        return { success: true };
+    },
+
+    undoEmailChange(params) {
+        const found = findUndo(params.undoToken);
+        if (!found) return fail('This undo link has expired or was already used', { undoExpired: true });
+
+        const { id, undo } = found;
+        const affiliate = Store.findAffiliateById(undo.affiliateID);
+        delete Store.db.emailChangeUndos[id];
+
+        if (!undo.committed) {
+            delete (Store.db.emailChanges || {})[undo.affiliateID];
+            Store.save();
+            return { success: true, reverted: false, email: undo.oldEmail };
+        }
+
+        if (!affiliate || affiliate.email !== undo.newEmail) {
+            Store.save();
+            return fail('The account email has changed again since then. Please contact support.');
+        }
+        const unavailable = checkEmailAvailable(undo.oldEmail, affiliate.affiliateID);
+        if (unavailable) {
+            Store.save();
+            return fail('Your old email now belongs to another account. Please contact support.');
+        }
+
+        affiliate.email = undo.oldEmail;
+        affiliate.salt = undo.oldSalt;
+        affiliate.passwordHash = undo.oldPasswordHash;
+        affiliate.passwordScheme = PASSWORD_SCHEME;
+
+        // Whoever made the change may still be signed in
+        endAllSessions(affiliate.affiliateID);
+        delete (Store.db.magicLinks || {})[undo.newEmail];
+        delete (Store.db.passwordResets || {})[undo.newEmail];
+        audit(affiliate.affiliateID, 'email.change_undone', params, { from: undo.newEmail, to: affiliate.email });
+        Store.save();
+
+        return { success: true, reverted: true, email: affiliate.email };
+    },
+
+    requestDeactivation(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const reason = String(params.reason || '');
+        const details = String(params.details || '').trim();
+
+        if (!Object.prototype.hasOwnProperty.call(CONFIG.DEACTIVATION.reasons, reason)) {
+            return fieldError('reason', 'Please choose a reason');
+        }
+        if (details.length > CONFIG.DEACTIVATION.detailsMaxLength) {
+            return fieldError('details', `Please keep it under ${CONFIG.DEACTIVATION.detailsMaxLength} characters`);
+        }
+        if (params.passwordScheme !== PASSWORD_SCHEME) {
+            return fail('Please refresh the page and try again');
+        }
+
+        const passwordError = checkCurrentPassword(affiliate, params, 'password');
+        if (passwordError) {
+            return passwordError.legacyPassword
+                ? fieldError('password', 'Please log out and back in once before deactivating your account')
+                : passwordError;
+        }
+
+        const retryAfter = emailRequestRetryAfter('deactivationRequests', affiliate.email, verifyIpAttestation(params.ipAttestation));
+        if (retryAfter > 0) {
+            return fail(`Too many deactivation requests. Try again in ${Math.ceil(retryAfter / 60)} minutes.`, {
+                rateLimited: true,
+                retryAfter
+            });
+        }
+
+        const request = {
+            code: makeCode(),
+            expires: Date.now() + DEACTIVATION_TTL,
+            attempts: 0,
+            reason,
+            details
+        };
+        Store.db.deactivations = Store.db.deactivations || {};
+        Store.db.deactivations[affiliate.affiliateID] = request;
+        Store.save();
+
+        sendEmail(affiliate.email, `Account deactivation code for ${affiliate.email}: ${request.code}. Not you? Change your password now.`);
+
+        return { success: true, expiresAt: new Date(request.expires).toISOString() };
+    },
+
+    confirmDeactivation(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const requests = Store.db.deactivations || {};
+        const request = requests[affiliate.affiliateID];
+
+        if (!request || Date.now() > request.expires) {
+            delete requests[affiliate.affiliateID];
+            Store.save();
+            return fail('This deactivation request has expired. Please start again.', { deactivationExpired: true });
+        }
+
+        if (request.code !== String(params.code || '')) {
+            request.attempts++;
+            if (request.attempts >= DEACTIVATION_MAX_ATTEMPTS) {
+                delete requests[affiliate.affiliateID];
+                Store.save();
+                return fail('Too many incorrect codes. Please start again.', { deactivationExpired: true });
+            }
+            Store.save();
+            return fail('Invalid confirmation code', {
+                attemptsRemaining: DEACTIVATION_MAX_ATTEMPTS - request.attempts
+            });
+        }
+
+        const now = new Date();
+        const deleteAfter = new Date(now.getTime() + CONFIG.DEACTIVATION.graceDays * 24 * 60 * 60 * 1000);
+        delete requests[affiliate.affiliateID];
+
+        affiliate.status = 'DEACTIVATED';
+        affiliate.deactivation = {
+            reason: request.reason,
+            details: request.details,
+            deactivatedAt: now.toISOString(),
+            deleteAfter: deleteAfter.toISOString()
+        };
+
+        // Nothing half-finished survives the deactivation
+        const change = (Store.db.emailChanges || {})[affiliate.affiliateID];
+        if (change) {
+            delete (Store.db.emailChangeUndos || {})[change.undoId];
+            delete Store.db.emailChanges[affiliate.affiliateID];
+        }
+        delete (Store.db.magicLinks || {})[affiliate.email];
+        audit(affiliate.affiliateID, 'account.deactivated', params, { reason: request.reason });
+        endAllSessions(affiliate.affiliateID);
+        Store.save();
+
+        sendEmail(affiliate.email, `${affiliate.email}: your VettedPulse account is deactivated. ` +
+            `Log in before ${deleteAfter.toDateString()} to reactivate it - after that it is deleted for good.`);
+
+        return { success: true, deletionScheduledAt: deleteAfter.toISOString() };
+    },
+
+    getDashboard(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const tierConfig = runtimeConfig().TIERS[affiliate.tier];
+        const stats = statsFor(affiliate);
+        const change = (Store.db.emailChanges || {})[affiliate.affiliateID];
+
+        return {
+            success: true,
+            affiliateID: affiliate.affiliateID,
+            name: affiliate.name,
+            email: affiliate.email,
+            level: affiliate.tier,
+            joinedDate: affiliate.joinedDate,
+            commissionTier: Math.round(tierConfig.commissionMultiplier * 100),
+            tierInfo: tierConfig,
+            pendingEmailChange: change && Date.now() <= change.expires
+                ? { newEmail: change.newEmail, expiresAt: new Date(change.expires).toISOString() }
+                : null,
+            ...stats
+        };
+    },
+
+    exportData(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const id = affiliate.affiliateID;
+        const productName = productID => PRODUCTS.find(p => p.productID === productID)?.name || productID;
+        const currentId = auth.session.sessionId || params.token;
+
+        const sales = Store.db.sales
+            .filter(s => s.affiliateID === id)
+            .map(s => ({
+                saleID: s.saleID,
+                timestamp: s.timestamp,
+                productID: s.productID,
+                productName: productName(s.productID),
+                amount: s.amount,
+                commission: s.commission,
+                refunded: s.refunded
+            }));
+
+        // Commission totals by month, refunds excluded
+        const months = {};
+        sales.forEach(sale => {
+            const month = sale.timestamp.slice(0, 7);
+            months[month] = months[month] || { month, sales: 0, refunds: 0, revenue: 0, commission: 0 };
+            if (sale.refunded) {
+                months[month].refunds++;
+            } else {
+                months[month].sales++;
+                months[month].revenue += sale.amount;
+                months[month].commission += sale.commission;
+            }
+        });
+
+        return {
+            success: true,
+            generatedAt: new Date().toISOString(),
+            profile: {
+                affiliateID: id,
+                name: affiliate.name,
+                email: affiliate.email,
+                tier: affiliate.tier,
+                status: affiliate.status,
+                joinedDate: affiliate.joinedDate,
+                twoFactorEnabled: hasTwoFactor(affiliate),
+                passkeys: (affiliate.passkeys || []).length,
+                consentAtSignup: affiliate.consent || null
+            },
+            // Visitors' IPs and user agents are theirs, not the affiliate's
+            clicks: Store.db.clicks
+                .filter(c => c.affiliateID === id)
+                .map(c => ({ timestamp: c.timestamp, productID: c.productID, productName: productName(c.productID) })),
+            sales,
+            commissions: Object.values(months)
+                .sort((a, b) => a.month.localeCompare(b.month))
+                .map(m => ({ ...m, revenue: Math.round(m.revenue * 100) / 100, commission: Math.round(m.commission * 100) / 100 })),
+            tierHistory: Store.db.tierHistory
+                .filter(t => t.affiliateID === id)
+                .map(t => ({ timestamp: t.timestamp, tier: t.tier })),
+            referrals: Store.db.affiliates
+                .filter(a => a.referredBy === id)
+                .map(a => ({ affiliateID: a.affiliateID, tier: a.tier, status: a.status, joinedDate: a.joinedDate })),
+            sessions: Store.activeSessionsFor(id)
+                .map(({ token, session }) => sessionSummary(session, token, currentId)),
+            accountActivity: (Store.db.auditLog || [])
+                .filter(entry => entry.affiliateID === id)
+                .map(({ affiliateID, ...entry }) => entry)
+        };
+    },
+
+    getProducts(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { TIERS } = runtimeConfig();
+        const tierConfig = TIERS[auth.affiliate.tier];
+        const products = PRODUCTS
+            .filter(p => TIERS[p.minTier].priority <= tierConfig.priority)
+            .map(p => ({
+                productID: p.productID,
+                name: p.name,
+                description: p.description,
+                baseCommission: p.baseCommission,
+                multiplier: tierConfig.commissionMultiplier,
+                yourCommission: Math.round(p.baseCommission * tierConfig.commissionMultiplier * 100) / 100
+            }));
+
+        return { success: true, products };
+    },
+
+    getLeaderboard(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const entries = Store.db.affiliates
+            .filter(a => a.status === 'ACTIVE')
+            .map(a => {
+                const stats = statsFor(a);
+                return {
+                    affiliateID: a.affiliateID,
+                    level: a.tier,
+                    totalSales: stats.totalSales,
+                    totalCommission: stats.lifetimeCommission,
+                    pulseScore: stats.pulseScore,
+                    isCurrentUser: a.affiliateID === auth.affiliate.affiliateID
+                };
+            })
+            .sort((a, b) => b.pulseScore - a.pulseScore)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+
+        return {
+            success: true,
+            leaderboard: entries.slice(0, 100),
+            totalAffiliates: entries.length
+        };
+    },
+
+    getCapacity() {
+        return { success: true, capacity: capacitySnapshot() };
+    },
+
+    getTierStatus(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const stats = statsFor(affiliate);
+
+        return {
+            success: true,
+            currentTier: affiliate.tier,
+            clicksToday: stats.clicksToday,
+            clicksLimit: stats.clicksLimit,
+            clicksRemaining: stats.clicksRemaining,
+            salesToday: stats.salesToday,
+            totalSales: stats.totalSales,
+            progressToNext: stats.tierProgress,
+            nextTier: stats.nextTier,
+            commissionMultiplier: runtimeConfig().TIERS[affiliate.tier].commissionMultiplier,
+            upgradeAvailable: stats.upgradeAvailable
+        };
+    },
+
+    upgradeTier(params) {
+        const auth = authenticate(params);
+        if (auth.error) return auth.error;
+
+        const { affiliate } = auth;
+        const stats = statsFor(affiliate);
+
+        if (!stats.nextTier) return fail('Already at max tier');
+        if (!stats.upgradeAvailable) return fail('Not enough sales to upgrade yet');
+        if (capacitySnapshot().tiers[stats.nextTier].available <= 0) {
+            return fail(`${runtimeConfig().TIERS[stats.nextTier].name} tier is currently full`, { waitlist: true });
+        }
+
+        affiliate.tier = stats.nextTier;
+        Store.db.tierHistory.push({ affiliateID: affiliate.affiliateID, tier: affiliate.tier, timestamp: new Date().toISOString() });
+        Store.save();
+
+        return { success: true, newTier: affiliate.tier };
+    },
+
+    click(params) {
+        const result = recordClick(params);
+        if (!result.success) {
+            const { product, ...response } = result;
+            return response;
+        }
+        return { success: true, redirectUrl: result.product.url };
+    },
+
+    redirect(params) {
+        const result = recordClick(params);
+
+        // Always land somewhere sensible, like the live redirect does. Unknown
+        // and deactivated affiliates look the same: no click, just the home page
+        if (result.product) return { redirect: result.product.url };
+        return { redirect: '/' };
+    },
+
+    sale(params) {
+        const affiliate = Store.findAffiliateById(params.id || params.affiliateId);
+        const product = PRODUCTS.find(p => p.productID === (params.prod || params.productId));
+
+        if (!affiliate || affiliate.status !== 'ACTIVE') return fail('Unknown affiliate');
+        if (!product) return fail('Unknown product');
+        const { TIERS, CAPACITY } = runtimeConfig();
+        if (Store.salesToday().length >= CAPACITY.totalDailySales) {
+            return fail('System sale capacity reached', { capacityReached: true });
+        }
+
+        const amount = Number(params.amount) || product.price;
+        const commission = Math.round(product.baseCommission * TIERS[affiliate.tier].commissionMultiplier * 100) / 100;
+        const sale = {
+            saleID: `SALE-${Store.db.sales.length + 1}`,
+            affiliateID: affiliate.affiliateID,
+            productID: product.productID,
+            amount,
+            commission,
+            refunded: false,
+            timestamp: new Date().toISOString()
+        };
+
+        Store.db.sales.push(sale);
+        Store.save();
+
+        return { success: true, saleID: sale.saleID, commission };
+    },
+
+    joinWaitlist(params) {
+        const email = String(params.email || '').trim().toLowerCase();
+        if (!email) return fail('Email is required');
+
+        if (!Store.db.waitlist.some(w => w.email === email)) {
+            Store.db.waitlist.push({
+                email,
+                tier: runtimeConfig().TIERS[params.tier] ? params.tier : tierOrder()[0],
+                timestamp: new Date().toISOString()
+            });
+            Store.save();
+        }
+
+        return { success: true, position: Store.db.waitlist.findIndex(w => w.email === email) + 1 };
+    }
+};
+
+module.exports = { actions, capacitySnapshot, purgeDeactivatedAccounts, statsFor, tierOrder };
@@ -0,0 +1,229 @@
+/**
+ * VettedPulse Mock Backend
+ * Local stand-in for the Apps Script web app. Serves the site and answers
+ * every CONFIG.ENDPOINTS action at /exec with seeded, persistent data.
+ *
+ * Usage: node mock-backend/server.js [--reset]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, DB_FILE, DEMO_ACCOUNT, Store } = require('./store');
+const { actions, purgeDeactivatedAccounts } = require('./actions');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const ROOT_DIR = path.join(__dirname, '..');
+const MAX_BODY = CONFIG.SECURITY.maxRequestSize;
+const PURGE_INTERVAL = 60 * 60 * 1000; // How often deactivated accounts past their grace period are deleted
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+// Backend files are not part of the public site
+const BLOCKED_PATHS = ['mock-backend', '.git', 'requests.jsonl']; // Top-level names under ROOT_DIR
+
+// Credentials belong in POST bodies - never in URLs, history or logs
+const CREDENTIAL_PARAMS = ['password', 'legacyPassword', 'code', 'recoveryCode', 'challengeToken', 'credential', 'resetToken', 'captchaAnswer', 'linkToken', 'newPassword', 'undoToken'];
+
+// ============================================
+// RESPONSES
+// ============================================
+
+function sendJson(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(data));
+}
+
+function sendRedirect(res, location) {
+    res.writeHead(302, { Location: location, 'Cache-Control': 'no-store' });
+    res.end();
+}
+
+function sendNotFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+}
+
+// ============================================
+// REQUEST PARSING
+// ============================================
+
+/**
+ * Read a request body (Apps Script style text/plain JSON)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body or {}
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Request too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch {
+                resolve({});
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+// ============================================
+// HANDLERS
+// ============================================
+
+/**
+ * Dispatch an /exec call to its action handler
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Parsed URL
+ */
+async function handleExec(req, res, url) {
+    let body = {};
+    if (req.method === 'POST') {
+        try {
+            body = await readBody(req);
+        } catch (error) {
+            return sendJson(res, 413, { success: false, message: error.message });
+        }
+    }
+
+    const leaked = CREDENTIAL_PARAMS.filter(name => url.searchParams.has(name));
+    if (leaked.length > 0) {
+        return sendJson(res, 200, { success: false, message: `Send ${leaked.join(', ')} in the request body, not the URL` });
+    }
+
+    const params = { ...Object.fromEntries(url.searchParams), ...body };
+    const handler = actions[params.action];
+
+    if (!handler) {
+        return sendJson(res, 200, { success: false, message: `Unknown action: ${params.action}` });
+    }
+
+    try {
+        const result = handler(params, req);
+
+        if (result.redirect) {
+            return sendRedirect(res, result.redirect);
+        }
+
+        // Apps Script always answers 200, errors live in the body
+        sendJson(res, 200, result);
+    } catch (error) {
+        console.error(`Action ${params.action} failed:`, error);
+        sendJson(res, 200, { success: false, message: 'Internal error' });
+    }
+}
+
+/**
+ * Serve a static file from the repository root
+ * @param {http.ServerResponse} res - Response
+ * @param {string} pathname - Request path
+ */
+function handleStatic(res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch {
+        return sendNotFound(res);
+    }
+
+    let filePath = path.normalize(path.join(ROOT_DIR, decoded));
+    if (filePath !== ROOT_DIR && !filePath.startsWith(ROOT_DIR + path.sep)) {
+        return sendNotFound(res);
+    }
+
+    // Checked after normalizing, so //x and /%2Fx can't slip past
+    const topLevel = path.relative(ROOT_DIR, filePath).split(path.sep)[0];
+    if (BLOCKED_PATHS.includes(topLevel)) {
+        return sendNotFound(res);
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) return sendNotFound(res);
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(content);
+    });
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+const server = http.createServer((req, res) => {
+    // Prefixed rather than resolved, so //name stays a path instead of becoming a host
+    const url = new URL(`http://localhost${req.url}`);
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        });
+        return res.end();
+    }
+
+    if (url.pathname === '/exec') {
+        return handleExec(req, res, url);
+    }
+
+    // Affiliate links point at /click?id=...&prod=...
+    if (url.pathname === '/click') {
+        url.searchParams.set('action', CONFIG.ENDPOINTS.redirect);
+        return handleExec(req, res, url);
+    }
+
+    handleStatic(res, url.pathname);
+});
+
+/**
+ * Permanently delete deactivated accounts whose grace period is over
+ */
+function runScheduledDeletion() {
+    const deleted = purgeDeactivatedAccounts();
+    if (deleted > 0) console.log(`🗑️  Deleted ${deleted} deactivated account(s) past their grace period`);
+}
+
+Store.load({ reset: process.argv.includes('--reset') });
+runScheduledDeletion();
+setInterval(runScheduledDeletion, PURGE_INTERVAL).unref();
+
+server.listen(PORT, () => {
+    console.log(`✅ VettedPulse mock backend running at http://localhost:${PORT}`);
+    console.log(`   Demo login: ${DEMO_ACCOUNT.email} / ${DEMO_ACCOUNT.password}`);
+    console.log(`   Data file:  ${path.relative(ROOT_DIR, DB_FILE)}`);
+});
@@ -0,0 +1,499 @@
+/**
+ * Mock Backend Data Store
+ * Seeded, file-persisted stand-in for the Apps Script spreadsheets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = process.env.MOCK_DATA_DIR || path.join(__dirname, 'data');
+const DB_FILE = path.join(DATA_DIR, 'db.json');
+
+// ============================================
+// CONFIG LOADING
+// ============================================
+
+/**
+ * Evaluate the frontend js/config.js so tiers and limits have one source
+ * @returns {Object} - Frontend CONFIG object
+ */
+function loadFrontendConfig() {
+    const source = fs.readFileSync(path.join(ROOT_DIR, 'js', 'config.js'), 'utf8');
+    const storage = {};
+    const sandbox = {
+        console: { log() {}, warn() {}, error() {}, info() {} },
+        location: { origin: 'http://localhost', hostname: 'localhost', search: '', pathname: '/', href: 'http://localhost/' },
+        localStorage: {
+            getItem: (key) => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); },
+            removeItem: (key) => { delete storage[key]; }
+        },
+        document: {
+            readyState: 'complete',
+            addEventListener() {},
+            createElement: () => ({ style: {}, setAttribute() {}, appendChild() {} }),
+            body: { appendChild() {} }
+        },
+        URL,
+        URLSearchParams
+    };
+    sandbox.window = sandbox;
+
+    vm.createContext(sandbox);
+    vm.runInContext(source, sandbox, { filename: 'js/config.js' });
+
+    return sandbox.window.CONFIG;
+}
+
+const CONFIG = loadFrontendConfig();
+
+// Token lifetime; MOCK_TOKEN_MINUTES shortens it to exercise refresh
+const TOKEN_TTL = (parseFloat(process.env.MOCK_TOKEN_MINUTES) || CONFIG.SECURITY.tokenRefreshMinutes) * 60 * 1000;
+const ROTATION_GRACE = 30 * 1000;
+
+// Where the site is served - used in emailed links and as the passkey origin
+const SITE_ORIGIN = process.env.SITE_ORIGIN || `http://localhost:${parseInt(process.env.PORT, 10) || 8787}`;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Deterministic PRNG so seeded data is stable between resets
+ * @param {number} seed - Seed value
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hash a password as received from the client
+ * @param {string} password - Client-transmitted password
+ * @param {string} salt - Per-account salt
+ * @returns {string} - Hex digest
+ */
+function hashPassword(password, salt) {
+    return crypto.createHash('sha256').update(salt + ':' + password).digest('hex');
+}
+
+/**
+ * Derive the credential a browser sends for a raw password (mirrors js/utils/passwordHash.js)
+ * @param {string} password - Raw password
+ * @param {string} email - Account email
+ * @returns {string} - Hex-encoded PBKDF2-SHA256 key
+ */
+function derivePassword(password, email) {
+    const salt = 'vettedpulse:' + String(email).trim().toLowerCase();
+    return crypto.pbkdf2Sync(password, salt, CONFIG.SECURITY.passwordHashIterations, 32, 'sha256').toString('hex');
+}
+
+/**
+ * Generate an affiliate ID in the AFF + timestamp + random format
+ * @param {number} timestamp - Creation time
+ * @param {number} suffix - 1-3 digit suffix
+ * @returns {string} - Affiliate ID
+ */
+function makeAffiliateId(timestamp, suffix) {
+    return `AFF${timestamp}${suffix}`;
+}
+
+/**
+ * Generate an 8-digit verification code
+ * @returns {string} - Code
+ */
+function makeCode() {
+    return String(crypto.randomInt(0, 100000000)).padStart(8, '0');
+}
+
+/**
+ * Generate an opaque session token
+ * @returns {string} - Token
+ */
+function makeToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Start of the current day (local time)
+ * @returns {number} - Timestamp
+ */
+function startOfToday() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+}
+
+// ============================================
+// SEED DATA
+// ============================================
+
+const PRODUCTS = [
+    { productID: 'PROD-SEO-101', name: 'SEO Mastery', description: 'Rank higher with a step-by-step SEO course.', baseCommission: 49, price: 197, url: 'https://example.com/seo-mastery', minTier: 'NEWBIE' },
+    { productID: 'PROD-MKT-201', name: 'Advanced Marketing Guide', description: 'Funnels, offers and retention for growing brands.', baseCommission: 35, price: 97, url: 'https://example.com/marketing-guide', minTier: 'NEWBIE' },
+    { productID: 'PROD-SOC-110', name: 'Social Media Toolkit', description: 'Templates and schedules for five platforms.', baseCommission: 20, price: 47, url: 'https://example.com/social-toolkit', minTier: 'NEWBIE' },
+    { productID: 'PROD-EML-305', name: 'Email List Accelerator', description: 'Grow and monetise an engaged email list.', baseCommission: 60, price: 247, url: 'https://example.com/email-accelerator', minTier: 'ACTIVE' },
+    { productID: 'PROD-ADS-410', name: 'Paid Ads Blueprint', description: 'Profitable campaigns on a small budget.', baseCommission: 90, price: 397, url: 'https://example.com/paid-ads', minTier: 'PRO' },
+    { productID: 'PROD-VIP-900', name: 'Founders Mastermind', description: 'Invite-only coaching for seven-figure operators.', baseCommission: 400, price: 1997, url: 'https://example.com/mastermind', minTier: 'ELITE' }
+];
+
+const FIRST_NAMES = ['Ava', 'Liam', 'Mia', 'Noah', 'Zoe', 'Ethan', 'Lena', 'Omar', 'Ivy', 'Kai', 'Nora', 'Leo', 'Ruth', 'Theo', 'Sara'];
+const LAST_NAMES = ['Hart', 'Quinn', 'Reyes', 'Stone', 'Patel', 'Ng', 'Brooks', 'Diaz', 'Frost', 'Kerr'];
+
+// Client-side credential derivation (accounts without it predate PBKDF2)
+const PASSWORD_SCHEME = 'pbkdf2-sha256';
+
+const DEMO_ACCOUNT = {
+    email: 'demo@vettedpulse.test',
+    password: 'Demo123!@#',
+    name: 'Demo Affiliate',
+    tier: 'ACTIVE'
+};
+
+/**
+ * Build a fresh seeded database
+ * @returns {Object} - Database
+ */
+function seed() {
+    const random = createRandom(20240601);
+    const now = Date.now();
+    const day = 24 * 60 * 60 * 1000;
+
+    const db = {
+        version: 1,
+        systemStatus: { status: 'ONLINE', reason: '', eta: null },
+        // Merged over CONFIG in getConfig responses, e.g. { "TIERS": { "PRO": { "monthlyFee": 129 } } }
+        configOverrides: {},
+        configReports: [],
+        affiliates: [],
+        sessions: {},
+        pending: {},
+        clicks: [],
+        sales: [],
+        waitlist: [],
+        tierHistory: []
+    };
+
+    const seedCounts = { NEWBIE: 24, ACTIVE: 10, PRO: 5, ELITE: 2 };
+    let index = 0;
+
+    Object.entries(seedCounts).forEach(([tier, count]) => {
+        for (let i = 0; i < count; i++) {
+            index++;
+            const joined = now - Math.floor((30 + random() * 300) * day);
+            const first = FIRST_NAMES[Math.floor(random() * FIRST_NAMES.length)];
+            const last = LAST_NAMES[Math.floor(random() * LAST_NAMES.length)];
+            const salt = crypto.randomBytes(8).toString('hex');
+
+            db.affiliates.push({
+                affiliateID: makeAffiliateId(joined, index),
+                name: `${first} ${last}`,
+                email: `${first}.${last}${index}@example.com`.toLowerCase(),
+                salt,
+                passwordHash: hashPassword(crypto.randomBytes(32).toString('hex'), salt),
+                passwordScheme: PASSWORD_SCHEME,
+                tier,
+                status: 'ACTIVE',
+                joinedDate: new Date(joined).toISOString()
+            });
+        }
+    });
+
+    // Demo account with a known password
+    const demoSalt = crypto.randomBytes(8).toString('hex');
+    const demoJoined = now - 90 * day;
+    const demoID = makeAffiliateId(demoJoined, 999);
+    db.affiliates.push({
+        affiliateID: demoID,
+        name: DEMO_ACCOUNT.name,
+        email: DEMO_ACCOUNT.email,
+        salt: demoSalt,
+        passwordHash: hashPassword(derivePassword(DEMO_ACCOUNT.password, DEMO_ACCOUNT.email), demoSalt),
+        passwordScheme: PASSWORD_SCHEME,
+        tier: DEMO_ACCOUNT.tier,
+        status: 'ACTIVE',
+        joinedDate: new Date(demoJoined).toISOString()
+    });
+
+    // Every third affiliate who joined after the demo account came through its link
+    db.affiliates
+        .filter(affiliate => affiliate.affiliateID !== demoID && new Date(affiliate.joinedDate).getTime() > demoJoined)
+        .forEach((affiliate, i) => {
+            if (i % 3 === 0) affiliate.referredBy = demoID;
+        });
+
+    // Historical clicks and sales
+    db.affiliates.forEach(affiliate => {
+        const tierConfig = CONFIG.TIERS[affiliate.tier];
+        const clickCount = Math.floor(random() * tierConfig.perAffiliateClickLimit * 6) + 5;
+        const conversion = 0.04 + random() * 0.12;
+
+        for (let i = 0; i < clickCount; i++) {
+            const product = PRODUCTS[Math.floor(random() * PRODUCTS.length)];
+            const timestamp = now - Math.floor(random() * 60 * day);
+            db.clicks.push({
+                affiliateID: affiliate.affiliateID,
+                productID: product.productID,
+                timestamp: new Date(timestamp).toISOString(),
+                ip: `10.0.${Math.floor(random() * 255)}.${Math.floor(random() * 255)}`
+            });
+
+            if (random() < conversion) {
+                db.sales.push({
+                    saleID: `SALE-${db.sales.length + 1}`,
+                    affiliateID: affiliate.affiliateID,
+                    productID: product.productID,
+                    amount: product.price,
+                    commission: Math.round(product.baseCommission * tierConfig.commissionMultiplier * 100) / 100,
+                    refunded: random() < 0.03,
+                    timestamp: new Date(timestamp + Math.floor(random() * day)).toISOString()
+                });
+            }
+        }
+
+        db.tierHistory.push({
+            affiliateID: affiliate.affiliateID,
+            tier: affiliate.tier,
+            timestamp: affiliate.joinedDate
+        });
+    });
+
+    return db;
+}
+
+// ============================================
+// STORE
+// ============================================
+
+const Store = {
+    db: null,
+
+    /**
+     * Load database from disk, seeding on first run
+     * @param {Object} options - { reset }
+     */
+    load(options = {}) {
+        if (!options.reset && fs.existsSync(DB_FILE)) {
+            this.db = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+            return;
+        }
+
+        this.db = seed();
+        this.save();
+    },
+
+    /**
+     * Persist database to disk
+     */
+    save() {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tmp = DB_FILE + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(this.db, null, 2));
+        fs.renameSync(tmp, DB_FILE);
+    },
+
+    // ============================================
+    // AFFILIATES
+    // ============================================
+
+    findAffiliateByEmail(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        return this.db.affiliates.find(a => a.email === normalized) || null;
+    },
+
+    findAffiliateById(affiliateID) {
+        return this.db.affiliates.find(a => a.affiliateID === affiliateID) || null;
+    },
+
+    countByTier() {
+        const counts = {};
+        Object.keys(CONFIG.TIERS).forEach(tier => { counts[tier] = 0; });
+        // Deactivated accounts keep their spot until they are deleted
+        this.db.affiliates
+            .filter(a => a.status === 'ACTIVE' || a.status === 'DEACTIVATED')
+            .forEach(a => { counts[a.tier] = (counts[a.tier] || 0) + 1; });
+        return counts;
+    },
+
+    // ============================================
+    // SESSIONS
+    // ============================================
+
+    /**
+     * Start a session. sessionId stays the same across token rotations and
+     * is what the sessions list shows instead of the token.
+     * @param {Object} affiliate - Affiliate record
+     * @param {Object} meta - Device details { ip, ua, platform, timezone }
+     * @returns {string} - Token
+     */
+    createSession(affiliate, meta = {}) {
+        const token = makeToken();
+        const now = new Date().toISOString();
+        this.db.sessions[token] = {
+            sessionId: crypto.randomBytes(8).toString('hex'),
+            affiliateID: affiliate.affiliateID,
+            created: now,
+            lastSeen: now,
+            tokenExpires: new Date(Date.now() + TOKEN_TTL).toISOString(),
+            ip: meta.ip || null,
+            ipVerified: meta.ipVerified === true,
+            ua: meta.ua || null,
+            platform: meta.platform || null,
+            timezone: meta.timezone || null,
+            consent: meta.consent || null,
+            fingerprint: meta.fingerprint || null
+        };
+        this.save();
+        return token;
+    },
+
+    /**
+     * Issue a successor token for the same session. The old token stays
+     * usable for a short grace period so requests already in flight succeed.
+     * @param {string} token - Current token
+     * @returns {string} - New token
+     */
+    rotateSession(token) {
+        const session = this.db.sessions[token];
+        const newToken = makeToken();
+        const now = Date.now();
+
+        this.db.sessions[newToken] = {
+            ...session,
+            lastSeen: new Date(now).toISOString(),
+            tokenExpires: new Date(now + TOKEN_TTL).toISOString()
+        };
+
+        session.rotatedTo = newToken;
+        session.tokenExpires = new Date(Math.min(
+            new Date(session.tokenExpires || now).getTime(),
+            now + ROTATION_GRACE
+        )).toISOString();
+
+        this.save();
+        return newToken;
+    },
+
+    /**
+     * Resolve a token to its session, expiring stale ones
+     * @param {string} token - Session token
+     * @returns {Object|null} - { session, affiliate, tokenExpired }
+     */
+    getSession(token) {
+        const session = token && this.db.sessions[token];
+        if (!session) return null;
+
+        const age = Date.now() - new Date(session.created).getTime();
+        if (age > CONFIG.SECURITY.sessionHours * 60 * 60 * 1000) {
+            delete this.db.sessions[token];
+            this.save();
+            return null;
+        }
+
+        const affiliate = this.findAffiliateById(session.affiliateID);
+        if (!affiliate) return null;
+
+        session.lastSeen = new Date().toISOString();
+        const tokenExpired = !!session.tokenExpires && Date.now() > new Date(session.tokenExpires).getTime();
+
+        return { session, affiliate, tokenExpired };
+    },
+
+    /**
+     * End a session, including tokens it rotated through that are still in
+     * their grace period
+     * @param {string} token - Any token of the session
+     */
+    deleteSession(token) {
+        const session = this.db.sessions[token];
+        if (!session) return;
+
+        const sessionId = session.sessionId || token;
+        Object.keys(this.db.sessions)
+            .filter(key => (this.db.sessions[key].sessionId || key) === sessionId)
+            .forEach(key => delete this.db.sessions[key]);
+        this.save();
+    },
+
+    /**
+     * Current token of each live session of an affiliate
+     * @param {string} affiliateID - Affiliate ID
+     * @returns {Array<Object>} - [{ token, session }]
+     */
+    activeSessionsFor(affiliateID) {
+        const maxAge = CONFIG.SECURITY.sessionHours * 60 * 60 * 1000;
+
+        return Object.entries(this.db.sessions)
+            .filter(([, session]) =>
+                session.affiliateID === affiliateID &&
+                !session.rotatedTo &&
+                Date.now() - new Date(session.created).getTime() < maxAge
+            )
+            .map(([token, session]) => ({ token, session }));
+    },
+
+    /**
+     * End every session of an affiliate (after a password reset)
+     * @param {string} affiliateID - Affiliate ID
+     * @returns {number} - Sessions removed
+     */
+    deleteSessionsFor(affiliateID) {
+        const tokens = Object.keys(this.db.sessions)
+            .filter(token => this.db.sessions[token].affiliateID === affiliateID);
+
+        tokens.forEach(token => delete this.db.sessions[token]);
+        this.save();
+        return tokens.length;
+    },
+
+    // ============================================
+    // ACTIVITY
+    // ============================================
+
+    clicksFor(affiliateID, since = 0) {
+        return this.db.clicks.filter(c =>
+            c.affiliateID === affiliateID && new Date(c.timestamp).getTime() >= since
+        );
+    },
+
+    salesFor(affiliateID, since = 0) {
+        return this.db.sales.filter(s =>
+            s.affiliateID === affiliateID && new Date(s.timestamp).getTime() >= since
+        );
+    },
+
+    clicksToday() {
+        const since = startOfToday();
+        return this.db.clicks.filter(c => new Date(c.timestamp).getTime() >= since);
+    },
+
+    salesToday() {
+        const since = startOfToday();
+        return this.db.sales.filter(s => new Date(s.timestamp).getTime() >= since);
+    }
+};
+
+module.exports = {
+    CONFIG,
+    DB_FILE,
+    SITE_ORIGIN,
+    PRODUCTS,
+    DEMO_ACCOUNT,
+    PASSWORD_SCHEME,
+    Store,
+    hashPassword,
+    derivePassword,
+    makeAffiliateId,
+    makeCode,
+    makeToken,
+    startOfToday
+};
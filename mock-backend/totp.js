@@ -0,0 +1,187 @@
+/**
+ * Mock Backend TOTP
+ * RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30s) and
+ * recovery codes for two-factor authentication
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // Accept one step either side for clock skew
+const ISSUER = 'VettedPulse';
+const RECOVERY_CODE_COUNT = 10;
+
+// ============================================
+// BASE32
+// ============================================
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} - Base32 string
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode RFC 4648 base32 (case-insensitive, padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} - Bytes
+ */
+function base32Decode(input) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of input.toUpperCase().replace(/=+$/, '')) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xFF);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// ============================================
+// TOTP
+// ============================================
+
+/**
+ * Generate a new 160-bit secret
+ * @returns {string} - Base32 secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Code for a time step (RFC 4226 HOTP)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} - Zero-padded code
+ */
+function codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0F;
+    const binary = hmac.readUInt32BE(offset) & 0x7FFFFFFF;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current time step
+ * @param {number} now - Timestamp in ms
+ * @returns {number} - Step counter
+ */
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / PERIOD_SECONDS);
+}
+
+/**
+ * Check a code within the allowed drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Submitted code
+ * @param {number} lastStep - Last accepted step (codes at or before it are replays)
+ * @returns {number|null} - Matched step, or null
+ */
+function verifyCode(secret, code, lastStep = -1) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const step = currentStep();
+    for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+        const candidate = step + drift;
+        if (candidate <= lastStep) continue;
+
+        const expected = Buffer.from(codeAt(secret, candidate));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Enrollment URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label (email)
+ * @returns {string} - otpauth:// URI
+ */
+function otpauthUrl(secret, account) {
+    const label = encodeURIComponent(`${ISSUER}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// ============================================
+// RECOVERY CODES
+// ============================================
+
+/**
+ * Normalize a recovery code for comparison
+ * @param {string} code - Code as typed
+ * @returns {string} - Lowercase without separators
+ */
+function normalizeRecoveryCode(code) {
+    return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} - Hex digest
+ */
+function hashRecoveryCode(code) {
+    return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes: shown once, hashes: stored }
+ */
+function generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+    generateSecret,
+    codeAt,
+    currentStep,
+    verifyCode,
+    otpauthUrl,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
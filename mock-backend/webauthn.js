@@ -0,0 +1,201 @@
+/**
+ * Mock Backend WebAuthn
+ * Passkey registration and assertion checks. Attestation is not requested
+ * ("none"), so the client sends the credential's SPKI public key from
+ * getPublicKey() and no CBOR parsing is needed.
+ */
+
+const crypto = require('crypto');
+const { SITE_ORIGIN } = require('./store');
+
+// Passkeys are bound to the site's hostname
+const RP_ID = new URL(SITE_ORIGIN).hostname;
+const RP_NAME = 'VettedPulse';
+
+// COSE algorithm identifiers, in order of preference
+const ALGORITHMS = {
+    ES256: -7,
+    EdDSA: -8,
+    RS256: -257
+};
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_DATA = 0x40;
+
+// ============================================
+// ENCODING
+// ============================================
+
+/**
+ * Encode bytes as base64url
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} - base64url string
+ */
+function toBase64Url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Decode base64url
+ * @param {string} value - base64url string
+ * @returns {Buffer} - Bytes
+ */
+function fromBase64Url(value) {
+    return Buffer.from(String(value || ''), 'base64url');
+}
+
+/**
+ * New random challenge
+ * @returns {string} - base64url challenge
+ */
+function makeChallenge() {
+    return toBase64Url(crypto.randomBytes(32));
+}
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Decode and check clientDataJSON
+ * @param {string} encoded - base64url clientDataJSON
+ * @param {string} type - 'webauthn.create' or 'webauthn.get'
+ * @returns {Object} - { clientData, raw } or { error }
+ */
+function parseClientData(encoded, type) {
+    const raw = fromBase64Url(encoded);
+    let clientData;
+    try {
+        clientData = JSON.parse(raw.toString('utf8'));
+    } catch {
+        return { error: 'Malformed client data' };
+    }
+
+    if (clientData.type !== type) return { error: 'Unexpected passkey operation' };
+    if (clientData.origin !== SITE_ORIGIN) return { error: 'Passkey was created for a different site' };
+
+    return { clientData, raw };
+}
+
+/**
+ * Decode and check authenticatorData
+ * @param {string} encoded - base64url authenticatorData
+ * @returns {Object} - { data, flags, signCount } or { error }
+ */
+function parseAuthenticatorData(encoded) {
+    const data = fromBase64Url(encoded);
+    if (data.length < 37) return { error: 'Malformed authenticator data' };
+
+    const rpIdHash = crypto.createHash('sha256').update(RP_ID).digest();
+    if (!crypto.timingSafeEqual(data.subarray(0, 32), rpIdHash)) {
+        return { error: 'Passkey was created for a different site' };
+    }
+
+    const flags = data[32];
+    if (!(flags & FLAG_USER_PRESENT) || !(flags & FLAG_USER_VERIFIED)) {
+        return { error: 'Passkey did not verify the user' };
+    }
+
+    return { data, flags, signCount: data.readUInt32BE(33) };
+}
+
+// ============================================
+// CEREMONIES
+// ============================================
+
+/**
+ * Check a new credential from navigator.credentials.create()
+ * @param {Object} credential - { id, clientDataJSON, authenticatorData, publicKey, publicKeyAlgorithm }
+ * @param {Function} findChallenge - Looks up a challenge string, returns its record or null
+ * @returns {Object} - { challenge, passkey fields } or { error }
+ */
+function verifyRegistration(credential, findChallenge) {
+    const client = parseClientData(credential.clientDataJSON, 'webauthn.create');
+    if (client.error) return client;
+
+    const challenge = findChallenge(client.clientData.challenge);
+    if (!challenge) return { error: 'Passkey request expired. Please try again.' };
+
+    const auth = parseAuthenticatorData(credential.authenticatorData);
+    if (auth.error) return auth;
+    if (!(auth.flags & FLAG_ATTESTED_DATA)) return { error: 'Malformed authenticator data' };
+
+    // Attested credential data: aaguid(16) | idLength(2) | id
+    const idLength = auth.data.readUInt16BE(53);
+    const credentialId = auth.data.subarray(55, 55 + idLength);
+    if (!credentialId.equals(fromBase64Url(credential.id))) {
+        return { error: 'Credential ID mismatch' };
+    }
+
+    const algorithm = Number(credential.publicKeyAlgorithm);
+    if (!Object.values(ALGORITHMS).includes(algorithm)) {
+        return { error: 'Unsupported passkey algorithm' };
+    }
+    try {
+        crypto.createPublicKey({ key: fromBase64Url(credential.publicKey), format: 'der', type: 'spki' });
+    } catch {
+        return { error: 'Malformed public key' };
+    }
+
+    return {
+        challenge,
+        id: credential.id,
+        publicKey: credential.publicKey,
+        algorithm,
+        signCount: auth.signCount,
+        transports: Array.isArray(credential.transports) ? credential.transports.map(String) : []
+    };
+}
+
+/**
+ * Check a sign-in assertion from navigator.credentials.get()
+ * @param {Object} credential - { id, clientDataJSON, authenticatorData, signature }
+ * @param {Object} passkey - Stored passkey { publicKey, algorithm, signCount }
+ * @param {Function} findChallenge - Looks up a challenge string, returns its record or null
+ * @returns {Object} - { challenge, signCount } or { error }
+ */
+function verifyAssertion(credential, passkey, findChallenge) {
+    const client = parseClientData(credential.clientDataJSON, 'webauthn.get');
+    if (client.error) return client;
+
+    const challenge = findChallenge(client.clientData.challenge);
+    if (!challenge) return { error: 'Passkey request expired. Please try again.' };
+
+    const auth = parseAuthenticatorData(credential.authenticatorData);
+    if (auth.error) return auth;
+
+    const signed = Buffer.concat([
+        auth.data,
+        crypto.createHash('sha256').update(client.raw).digest()
+    ]);
+    const key = crypto.createPublicKey({ key: fromBase64Url(passkey.publicKey), format: 'der', type: 'spki' });
+    const signature = fromBase64Url(credential.signature);
+
+    let valid = false;
+    try {
+        valid = passkey.algorithm === ALGORITHMS.EdDSA
+            ? crypto.verify(null, signed, key, signature)
+            : crypto.verify('sha256', signed, key, signature);
+    } catch {
+        valid = false;
+    }
+    if (!valid) return { error: 'Passkey signature is invalid' };
+
+    // A counter that stops increasing means the authenticator was cloned
+    if ((auth.signCount || passkey.signCount) && auth.signCount <= passkey.signCount) {
+        return { error: 'Passkey counter mismatch - remove this passkey and add it again' };
+    }
+
+    return { challenge, signCount: auth.signCount };
+}
+
+module.exports = {
+    RP_ID,
+    RP_NAME,
+    ALGORITHMS,
+    toBase64Url,
+    makeChallenge,
+    verifyRegistration,
+    verifyAssertion
+};